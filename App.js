@@ -1,27 +1,83 @@
-import React, { useState, useRef } from 'react';
-import { StyleSheet, View, Text, TouchableOpacity } from 'react-native';
+import React, { useState, useRef, useEffect } from 'react';
+import { StyleSheet, View, Text, TouchableOpacity, AppState } from 'react-native';
 import MapView, { Polygon, Circle, Marker } from 'react-native-maps';
 
-import { ZonesProvider, useZonesContext } from './src/context/ZonesContext';
-import { checkZoneOverlap } from './src/utils/zoneValidation';
-import { wouldIntersect } from './src/utils/geometry';
-import { getColorHex } from './shared/colors';
+import { ZonesProvider, useZonesContext, isPointByPointMode } from './src/context/ZonesContext';
+import { WorkspacesProvider, useWorkspacesContext } from './src/context/WorkspacesContext';
+import { checkZoneOverlap, validateHoles, validateParts } from './src/utils/zoneValidation';
+import { calculateZoneBounds, getZonePolygons } from './src/utils/zoneCalculations';
+import { findSnapPoint } from './src/utils/snapping';
+import { regionToBounds, pointToBounds } from './src/utils/spatialIndex';
+import {
+  wouldIntersect,
+  isSelfIntersecting,
+  clampRadius,
+  rectangleFromCorners,
+  rectangleCorners,
+  simplifyPath,
+  distanceMeters,
+} from './src/utils/geometry';
+import {
+  CIRCLE_RADIUS,
+  LASSO_TOLERANCE,
+  CORRIDOR_WIDTH,
+  SNAP_DISTANCE_PX,
+  MAX_ZONE_LABELS,
+} from './shared/constants';
+import { buildCorridorRing } from './src/utils/corridor';
+import { getZoneLayer, getLayerFill } from './src/utils/layers';
+import { getPaletteHex } from './src/utils/palette';
+import { describeAttributeFilter } from './src/utils/attributes';
+import { buildPerimeter } from './src/utils/perimeterRecording';
+import { createDeviceLocationSource } from './src/utils/locationSources';
+import { usePerimeterRecording } from './src/hooks/usePerimeterRecording';
+import {
+  mergeZones,
+  splitZone,
+  subtractZones,
+  turfToZoneGeometry,
+} from './src/utils/zoneOperations';
 
 import BottomToolbar from './src/components/BottomToolbar';
 import DrawingLayer from './src/components/DrawingLayer';
+import VertexEditLayer from './src/components/VertexEditLayer';
+import TransformLayer from './src/components/TransformLayer';
+import NumericInputPanel from './src/components/NumericInputPanel';
+import LassoOverlay from './src/components/LassoOverlay';
+import RecordingPanel from './src/components/RecordingPanel';
 import ZoneDetailsModal from './src/components/ZoneDetailsModal';
 import ZoneActionSheet from './src/components/ZoneActionSheet';
 import ZoneListModal from './src/components/ZoneListModal';
+import CoordinateEntryModal from './src/components/CoordinateEntryModal';
+import MergeZonesModal from './src/components/MergeZonesModal';
+import OverlapPolicyModal from './src/components/OverlapPolicyModal';
+import SelectionBar from './src/components/SelectionBar';
+import OverlapResolutionPanel from './src/components/OverlapResolutionPanel';
 import ColorFilter from './src/components/ColorFilter';
 import Toast from './src/components/Toast';
 import ConfirmationModal from './src/components/ConfirmationModal';
+import SnapshotsModal from './src/components/SnapshotsModal';
+import WorkspacesModal from './src/components/WorkspacesModal';
+import LayersModal from './src/components/LayersModal';
+import PaletteModal from './src/components/PaletteModal';
+import AttributesModal from './src/components/AttributesModal';
+import RecoveryScreen from './src/components/RecoveryScreen';
+
+// Zagreb, Croatia
+const INITIAL_REGION = {
+  latitude: 45.815,
+  longitude: 15.98,
+  latitudeDelta: 0.02,
+  longitudeDelta: 0.02,
+};
 
 /**
  * Main map screen component
  * Handles zone drawing, editing, deletion, and map interactions
  * Separated from App to consume ZonesContext (must be child of ZonesProvider)
+ * locationSource: GPS provider for perimeter recording (see locationSources.js)
  */
-function MapScreen() {
+function MapScreen({ locationSource }) {
   const {
     zones,
     clearZones,
@@ -31,6 +87,11 @@ function MapScreen() {
     setDrawingShape,
     clearDrawing,
     completeDrawing,
+    completeHole,
+    completePart,
+    completeSplit,
+    completeMerge,
+    drawingTarget,
     deleteZone,
     updateZone,
     colorFilter,
@@ -39,12 +100,82 @@ function MapScreen() {
     undoLastPoint,
     redoLastPoint,
     redoStack,
+    lassoTolerance,
+    setLassoTolerance,
+    corridorWidth,
+    setCorridorWidth,
+    setSnapIndicator,
+    editingZone,
+    editMode,
+    editShape,
+    selectedVertex,
+    setSelectedVertex,
+    startGeometryEdit,
+    updateEditShape,
+    moveVertex,
+    insertVertex,
+    removeVertex,
+    completeGeometryEdit,
+    cancelGeometryEdit,
+    undoChange,
+    redoChange,
+    canUndoChange,
+    canRedoChange,
+    overlapPolicy,
+    setOverlapPolicy,
+    spatialIndex,
+    storageError,
+    restoreLastGood,
+    discardUnreadableZones,
+    retrySave,
+    refetch,
+    snapshots,
+    loadSnapshot,
+    restoreSnapshot,
+    deleteSnapshot,
+    layers,
+    addLayer,
+    updateLayer,
+    moveLayer,
+    deleteLayer,
+    isZoneLocked,
+    palette,
+    addColor,
+    updateColor,
+    removeColor,
+    attributeSchema,
+    addAttribute,
+    updateAttribute,
+    deleteAttribute,
+    attributeFilter,
+    setAttributeFilter,
   } = useZonesContext();
+  const {
+    workspaces,
+    activeWorkspace,
+    switchWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    updateWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace,
+  } = useWorkspacesContext();
 
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [selectedZone, setSelectedZone] = useState(null);
   const [showActionSheet, setShowActionSheet] = useState(false);
+  const [selectedZones, setSelectedZones] = useState([]); // Multi-select (merge)
+  const [isSelectingZones, setIsSelectingZones] = useState(false); // Taps toggle selectedZones
+  const [pendingMerge, setPendingMerge] = useState(null); // { zones, geometry } awaiting name/color
+  const [overlapResolution, setOverlapResolution] = useState(null); // { zone, details, overlappingZones, intersections }
+  const [showOverlapPolicy, setShowOverlapPolicy] = useState(false);
   const [showZoneListModal, setShowZoneListModal] = useState(false);
+  const [showSnapshots, setShowSnapshots] = useState(false);
+  const [showWorkspaces, setShowWorkspaces] = useState(false);
+  const [showLayers, setShowLayers] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const [showAttributes, setShowAttributes] = useState(false);
+  const [showCoordinateEntry, setShowCoordinateEntry] = useState(false);
 
   const [toast, setToast] = useState({ visible: false, message: '', type: 'success' });
   const [confirmation, setConfirmation] = useState({
@@ -55,6 +186,46 @@ function MapScreen() {
   });
 
   const mapRef = useRef(null);
+  const workspaceRegion = activeWorkspace.region || INITIAL_REGION; // Where this workspace was left
+  const regionRef = useRef(workspaceRegion); // Latest visible region (for pixel → meter scale)
+  const [visibleRegion, setVisibleRegion] = useState(workspaceRegion); // Region zones are rendered for
+  const mapHeightRef = useRef(0);
+  const savedRegionRef = useRef(workspaceRegion); // Region last written to workspace list
+
+  /**
+   * Write visible region to workspace list
+   * Not done on every pan (each write saves the whole list) - only when app goes to background,
+   * before copying and when this screen unmounts (workspace switch)
+   */
+  const saveRegion = () => {
+    if (regionRef.current !== savedRegionRef.current) {
+      savedRegionRef.current = regionRef.current;
+      updateWorkspace(activeWorkspace.id, { region: regionRef.current });
+    }
+  };
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state !== 'active') saveRegion();
+    });
+    return () => {
+      subscription.remove();
+      saveRegion();
+    };
+  }, []);
+
+  // GPS perimeter recording (live track shown as lasso-style trace)
+  const { isRecording, startRecording, stopRecording } = usePerimeterRecording(
+    locationSource,
+    (track) => {
+      setDrawingShape({
+        trace: track.points,
+        coordinates: [],
+        accuracy: track.accuracy,
+        dropped: track.dropped,
+      });
+    }
+  );
 
   const showToast = (message, type = 'success') => {
     setToast({ visible: true, message, type });
@@ -76,52 +247,111 @@ function MapScreen() {
    * Toggle drawing mode (tap again to exit)
    */
   const handleModeSelect = (mode) => {
+    if (isSelectingZones) {
+      handleCancelSelection();
+    }
+    if (isRecording) {
+      stopRecording();
+    }
+
     if (drawingMode === mode) {
       clearDrawing();
     } else {
       startDrawing(mode);
+      if (mode === 'record') {
+        handleStartRecording();
+      }
     }
   };
 
+  /**
+   * Start collecting GPS fixes (walk the perimeter, then tap ✓)
+   */
+  const handleStartRecording = async () => {
+    try {
+      await startRecording();
+      showToast('Recording - walk the perimeter, then tap ✓', 'info');
+    } catch (error) {
+      clearDrawing();
+      showToast(error.message, 'error');
+    }
+  };
+
+  /**
+   * Snap point to nearby vertex/edge of visible zones
+   * Tolerance is SNAP_DISTANCE_PX converted to meters at current zoom
+   * @returns {Object|null} { point, kind, zoneId } or null if nothing in range
+   */
+  const snapToZones = (point, excludeZoneId = null) => {
+    if (!mapHeightRef.current) return null;
+
+    const metersPerPixel = (regionRef.current.latitudeDelta * 111320) / mapHeightRef.current;
+    const tolerance = SNAP_DISTANCE_PX * metersPerPixel;
+
+    // Zone bounds must reach the tolerance square around point (circles snap to circumference)
+    const nearbyIds = new Set(
+      spatialIndex.search(pointToBounds(point, tolerance)).map((zone) => zone.id)
+    );
+    const candidates = filteredZones.filter(
+      (zone) => zone.id !== excludeZoneId && nearbyIds.has(zone.id)
+    );
+
+    return findSnapPoint(point, candidates, tolerance);
+  };
+
   /**
    * Handle map tap during drawing
-   * Circle/Rectangle: Single tap creates shape
-   * Polygon: Multiple taps add points
+   * Circle: Tap places center (radius kept if already set, adjust via handles/panel)
+   * Rectangle: First tap sets corner, second tap sets opposite corner (then resize/rotate via handles)
+   * Polygon/Hole/Part: Multiple taps add points
+   * Corridor: Multiple taps add centerline points
+   * Split: Multiple taps add cutting line points
    */
   const handleMapPress = (event) => {
-    if (!drawingMode) return;
+    if (!drawingMode || overlapResolution) return;
 
     const { latitude, longitude } = event.nativeEvent.coordinate;
 
-    // Circle: Create fixed-radius circle at tap location
+    // Circle: Place (or move) center at tap location
     if (drawingMode === 'circle') {
       setDrawingShape({
         center: { lat: latitude, lng: longitude },
-        radius: 300, // Fixed 300m radius
+        radius: drawingShape?.radius || CIRCLE_RADIUS.DEFAULT,
         coordinates: [[latitude, longitude]],
       });
     }
 
-    // Rectangle: Create fixed-size rectangle centered at tap
+    // Rectangle: Two-corner definition (tap after completion starts over)
     if (drawingMode === 'rectangle') {
-      const latOffset = 0.0015; // ~165m N-S
-      const lngOffset = 0.002; // ~165m E-W (at 45° lat)
+      const tapPoint = [latitude, longitude];
 
-      const rectangleCoords = [
-        [latitude + latOffset, longitude - lngOffset], // Top-left
-        [latitude + latOffset, longitude + lngOffset], // Top-right
-        [latitude - latOffset, longitude + lngOffset], // Bottom-right
-        [latitude - latOffset, longitude - lngOffset], // Bottom-left
-      ];
+      if (!drawingShape || drawingShape.rectangle) {
+        // First corner
+        setDrawingShape({
+          coordinates: [tapPoint],
+        });
+      } else {
+        // Opposite corner (north-aligned, rotate via handle)
+        const rectangle = rectangleFromCorners(drawingShape.coordinates[0], tapPoint, 0);
+        setDrawingShape({
+          coordinates: rectangleCorners(rectangle),
+          rectangle,
+        });
+      }
+    }
 
+    // Polygon/Hole/Part: Add point with snapping + self-intersection check
+    // Corridor/Split: Add line point (line may bend freely)
+    if (drawingMode === 'corridor' || drawingMode === 'split') {
+      const newPoint = [latitude, longitude];
       setDrawingShape({
-        coordinates: rectangleCoords,
+        coordinates: drawingShape ? [...drawingShape.coordinates, newPoint] : [newPoint],
       });
     }
 
-    // Polygon: Add point with self-intersection check
-    if (drawingMode === 'polygon') {
-      const newPoint = [latitude, longitude];
+    if (isPointByPointMode(drawingMode) && drawingMode !== 'corridor' && drawingMode !== 'split') {
+      const snap = snapToZones([latitude, longitude]);
+      const newPoint = snap ? snap.point : [latitude, longitude];
 
       if (!drawingShape) {
         // First point
@@ -132,6 +362,7 @@ function MapScreen() {
         // Self-intersection check (prevents crossing lines)
         if (wouldIntersect(drawingShape.coordinates, newPoint)) {
           showToast('Invalid point - would create crossing lines', 'error');
+          setSnapIndicator(null);
           return;
         }
 
@@ -141,11 +372,108 @@ function MapScreen() {
           coordinates: updatedCoords,
         });
       }
+
+      setSnapIndicator(snap);
+    }
+  };
+
+  /**
+   * Simplify raw lasso trace into closed polygon ring
+   * Returns simplified points or null (with toast) if trace is unusable
+   */
+  const simplifyLassoTrace = (trace, tolerance) => {
+    const simplified = simplifyPath(trace, tolerance);
+
+    // Drop closing point if finger ended near start (ring is closed implicitly)
+    if (
+      simplified.length > 3 &&
+      distanceMeters(simplified[0], simplified[simplified.length - 1]) <= tolerance
+    ) {
+      simplified.pop();
+    }
+
+    if (simplified.length < 3) {
+      showToast('Outline too small - trace a larger area', 'error');
+      return null;
+    }
+
+    // Same rule as polygon drawing: no crossing lines
+    if (isSelfIntersecting(simplified)) {
+      showToast('Invalid outline - trace crosses itself', 'error');
+      return null;
+    }
+
+    return simplified;
+  };
+
+  /**
+   * Live lasso trace (raw points, not yet simplified)
+   */
+  const handleLassoTrace = (trace) => {
+    setDrawingShape({ trace, coordinates: [] });
+  };
+
+  /**
+   * Finger lifted: simplify trace into polygon
+   */
+  const handleLassoTraceEnd = (trace) => {
+    const simplified = simplifyLassoTrace(trace, lassoTolerance);
+
+    if (!simplified) {
+      setDrawingShape(null);
+      return;
+    }
+
+    setDrawingShape({ trace, coordinates: simplified });
+  };
+
+  /**
+   * Tolerance entry (re-simplifies finished trace)
+   */
+  const handleChangeTolerance = (value) => {
+    const tolerance = Math.min(LASSO_TOLERANCE.MAX, Math.max(LASSO_TOLERANCE.MIN, value));
+    setLassoTolerance(tolerance);
+
+    if (drawingShape?.trace && drawingShape.coordinates.length >= 3) {
+      const simplified = simplifyLassoTrace(drawingShape.trace, tolerance);
+      if (simplified) {
+        setDrawingShape({ ...drawingShape, coordinates: simplified });
+      }
+    }
+  };
+
+  /**
+   * Corridor width entry (drawing or editing a corridor)
+   */
+  const handleChangeCorridorWidth = (value) => {
+    const width = Math.min(CORRIDOR_WIDTH.MAX, Math.max(CORRIDOR_WIDTH.MIN, value));
+
+    if (drawingMode === 'corridor') {
+      setCorridorWidth(width);
+    } else if (editShape?.corridor) {
+      const coordinates = buildCorridorRing(editShape.corridor.centerline, width);
+      if (coordinates) {
+        updateEditShape({ coordinates, corridor: { ...editShape.corridor, width } });
+      }
+    }
+  };
+
+  /**
+   * Numeric radius entry (drawing or editing a circle)
+   */
+  const handleChangeRadius = (value) => {
+    const radius = clampRadius(value);
+
+    if (drawingMode === 'circle' && drawingShape) {
+      setDrawingShape({ ...drawingShape, radius });
+    } else if (editShape?.radius !== undefined) {
+      updateEditShape({ radius });
     }
   };
 
   /**
    * Complete drawing (validate + show name/color modal)
+   * Overlap is checked on confirm, once the zone's color is known
    */
   const handleComplete = () => {
     if (!drawingShape) {
@@ -153,21 +481,207 @@ function MapScreen() {
       return;
     }
 
+    if (drawingMode === 'hole') {
+      handleCompleteHole();
+      return;
+    }
+
+    if (drawingMode === 'part') {
+      handleCompletePart();
+      return;
+    }
+
+    if (drawingMode === 'split') {
+      handleCompleteSplit();
+      return;
+    }
+
     // Validate polygon has 3+ points
     if (drawingMode === 'polygon' && drawingShape.coordinates.length < 3) {
       showToast('Polygon needs at least 3 points', 'error');
       return;
     }
 
-    // Prepare zone for overlap check
+    // Validate lasso trace is finished
+    if (drawingMode === 'lasso' && drawingShape.coordinates.length < 3) {
+      showToast('Trace an outline first', 'error');
+      return;
+    }
+
+    // Validate rectangle has both corners
+    if (drawingMode === 'rectangle' && !drawingShape.rectangle) {
+      showToast('Tap the opposite corner to finish the rectangle', 'error');
+      return;
+    }
+
+    // Validate corridor centerline (outline is its buffer)
+    const corridorRing =
+      drawingMode === 'corridor'
+        ? buildCorridorRing(drawingShape.coordinates, corridorWidth)
+        : null;
+
+    if (drawingMode === 'corridor' && !corridorRing) {
+      showToast('Corridor needs at least 2 points', 'error');
+      return;
+    }
+
+    // Recording: simplify track into closed ring (keeps recording if track is unusable)
+    if (drawingMode === 'record') {
+      const perimeter = buildPerimeter(drawingShape.trace || []);
+      if (perimeter.error) {
+        showToast(perimeter.error, 'error');
+        return;
+      }
+
+      if (isRecording) {
+        stopRecording();
+      }
+      setDrawingShape({ ...drawingShape, coordinates: perimeter.coordinates });
+    }
+
+    // Show name/color input modal
+    setShowDetailsModal(true);
+  };
+
+  /**
+   * Shape being drawn as a zone-like object (for overlap check)
+   * Corridor outline is rebuilt from centerline, recorded ring is already in coordinates
+   */
+  const getDrawnZone = () => ({
+    type: drawingMode === 'circle' ? 'circle' : 'polygon',
+    coordinates:
+      drawingMode === 'corridor'
+        ? buildCorridorRing(drawingShape.coordinates, corridorWidth)
+        : drawingShape.coordinates,
+    radius: drawingShape.radius,
+  });
+
+  /**
+   * Overlap resolution: cut existing zones out of the new one
+   */
+  const handleTrimNewZone = () => {
+    const { zone, details, overlappingZones } = overlapResolution;
+    const { geometry, error } = subtractZones(zone, overlappingZones);
+
+    if (error) {
+      showToast(error, 'error');
+      return;
+    }
+    if (!geometry) {
+      showToast('Nothing left - new zone lies inside existing zones', 'error');
+      return;
+    }
+
+    setOverlapResolution(null);
+    if (completeDrawing({ ...details, geometry })) {
+      showToast(`Zone "${details.name}" created`, 'success');
+    }
+  };
+
+  /**
+   * Overlap resolution: cut new zone out of the existing ones
+   * Existing zones fully covered by the new zone are removed
+   */
+  const handleTrimExistingZones = () => {
+    const { zone, details, overlappingZones } = overlapResolution;
+    const trimmedZones = [];
+
+    if (overlappingZones.some(isZoneLocked)) {
+      showToast('Cannot trim zones on locked layers', 'error');
+      return;
+    }
+
+    for (const existingZone of overlappingZones) {
+      const { geometry, error } = subtractZones(existingZone, [zone]);
+      if (error) {
+        showToast(error, 'error');
+        return;
+      }
+      trimmedZones.push({ id: existingZone.id, geometry });
+    }
+
+    setOverlapResolution(null);
+    if (completeDrawing({ ...details, trimmedZones })) {
+      showToast(`Zone "${details.name}" created`, 'success');
+    }
+  };
+
+  /**
+   * Create zone from typed coordinates (CoordinateEntryModal)
+   * Same validation as drawn shapes, then continues to name/color modal (overlap checked there)
+   * @returns {string|null} Error message (keeps entry modal open) or null
+   */
+  const handleCoordinateEntry = ({ type, coordinates, radius }) => {
+    // Polygon: no crossing lines (checked point by point, like tapping them in)
+    if (type === 'polygon') {
+      for (let i = 1; i < coordinates.length; i++) {
+        if (wouldIntersect(coordinates.slice(0, i), coordinates[i])) {
+          return `Point ${i + 1} would create crossing lines`;
+        }
+      }
+      if (isSelfIntersecting(coordinates)) {
+        return 'Closing edge would create crossing lines';
+      }
+    }
+
+    // Load entry as drawing (completeDrawing saves it after name/color)
+    startDrawing(type);
+    if (type === 'circle') {
+      const [lat, lng] = coordinates[0];
+      setDrawingShape({ center: { lat, lng }, radius, coordinates });
+    } else {
+      setDrawingShape({ coordinates });
+    }
+
+    setShowCoordinateEntry(false);
+    zoomToZone({ type, coordinates, radius });
+    setShowDetailsModal(true);
+    return null;
+  };
+
+  /**
+   * Complete hole drawing (must lie inside target zone, not overlap other holes)
+   */
+  const handleCompleteHole = () => {
+    if (drawingShape.coordinates.length < 3) {
+      showToast('Hole needs at least 3 points', 'error');
+      return;
+    }
+
+    const holes = [...(drawingTarget.holes || []), drawingShape.coordinates];
+    const holeError = validateHoles(drawingTarget.coordinates, holes);
+
+    if (holeError) {
+      showToast(holeError, 'error');
+      return;
+    }
+
+    const zoneName = drawingTarget.name;
+    completeHole();
+    showToast(`Hole added to "${zoneName}"`, 'success');
+  };
+
+  /**
+   * Complete part drawing (same overlap rules as a new zone, incl. target's own parts)
+   */
+  const handleCompletePart = () => {
+    if (drawingShape.coordinates.length < 3) {
+      showToast('Part needs at least 3 points', 'error');
+      return;
+    }
+
     const tempZone = {
-      type: drawingMode === 'rectangle' ? 'polygon' : drawingMode,
+      type: 'polygon',
       coordinates: drawingShape.coordinates,
-      radius: drawingShape.radius,
+      color: drawingTarget.color,
+      layerId: drawingTarget.layerId,
     };
-
-    // Overlap detection using Turf.js (accurate)
-    const { hasOverlap, overlappingZones } = checkZoneOverlap(tempZone, zones);
+    const { hasOverlap, overlappingZones } = checkZoneOverlap(
+      tempZone,
+      zones,
+      overlapPolicy,
+      spatialIndex
+    );
 
     if (hasOverlap) {
       showToast(
@@ -177,30 +691,116 @@ function MapScreen() {
       return;
     }
 
-    // Show name/color input modal
-    setShowDetailsModal(true);
+    const zoneName = drawingTarget.name;
+    completePart();
+    showToast(`Part added to "${zoneName}"`, 'success');
+  };
+
+  /**
+   * Complete split (cutting line must cross target zone, pieces stay overlap-free)
+   */
+  const handleCompleteSplit = () => {
+    const { pieces, error } = splitZone(drawingTarget, drawingShape.coordinates);
+
+    if (error) {
+      showToast(error, 'error');
+      return;
+    }
+
+    const otherZones = zones.filter((zone) => zone.id !== drawingTarget.id);
+    for (const piece of pieces) {
+      const { hasOverlap, overlappingZones } = checkZoneOverlap(
+        { type: 'polygon', ...piece, color: drawingTarget.color, layerId: drawingTarget.layerId },
+        otherZones,
+        overlapPolicy,
+        spatialIndex
+      );
+      if (hasOverlap) {
+        showToast(
+          `Cannot save - overlaps with ${overlappingZones.length} zone${overlappingZones.length > 1 ? 's' : ''}`,
+          'error'
+        );
+        return;
+      }
+    }
+
+    const zoneName = drawingTarget.name;
+    completeSplit(pieces);
+    showToast(`Zone "${zoneName}" split in two`, 'success');
   };
 
   /**
-   * Save zone with name and color
+   * Save zone with name, color, layer and custom attributes
    * Handles both CREATE (new zone) and EDIT (existing zone)
+   * Overlap rules depend on color and layer, so they are checked here
    */
-  const handleConfirmDetails = ({ name, color }) => {
+  const handleConfirmDetails = ({ name, color, layerId, attributes }) => {
     if (selectedZone) {
-      // EDIT MODE: Update existing zone
-      const colorHex = getColorHex(color);
-      updateZone(selectedZone.id, {
+      // EDIT MODE: Update existing zone (new color/layer may not be allowed to overlap neighbours)
+      if (color !== selectedZone.color || layerId !== selectedZone.layerId) {
+        const otherZones = zones.filter((zone) => zone.id !== selectedZone.id);
+        const { hasOverlap, overlappingZones } = checkZoneOverlap(
+          { ...selectedZone, color, layerId },
+          otherZones,
+          overlapPolicy,
+          spatialIndex
+        );
+        if (hasOverlap) {
+          showToast(
+            `Cannot change color/layer - overlaps with ${overlappingZones.length} zone${overlappingZones.length > 1 ? 's' : ''}`,
+            'error'
+          );
+          return;
+        }
+      }
+
+      const colorHex = getPaletteHex(palette, color);
+      const updated = updateZone(selectedZone.id, {
         name,
         color,
         colorHex,
+        layerId,
+        attributes,
       });
+      if (!updated) {
+        showToast('Cannot edit zones on locked layers', 'error');
+        return;
+      }
       setShowDetailsModal(false);
       setSelectedZone(null);
       showToast(`Zone "${name}" updated`, 'success');
     } else {
-      // CREATE MODE: Save new zone
-      const zone = completeDrawing({ name, color });
+      // CREATE MODE: Save new zone (overlap opens resolution panel instead)
+      const tempZone = { ...getDrawnZone(), color, layerId };
+      const { hasOverlap, overlappingZones, intersections } = checkZoneOverlap(
+        tempZone,
+        zones,
+        overlapPolicy,
+        spatialIndex
+      );
+
       setShowDetailsModal(false);
+
+      // Only shared edges (touching counts as overlap) - nothing to trim
+      if (hasOverlap && intersections.every((intersection) => !intersection.geometry)) {
+        showToast(
+          `Cannot save - touches ${overlappingZones.length} zone${overlappingZones.length > 1 ? 's' : ''}`,
+          'error'
+        );
+        return;
+      }
+
+      if (hasOverlap) {
+        setOverlapResolution({
+          zone: tempZone,
+          details: { name, color, layerId, attributes },
+          overlappingZones,
+          intersections,
+        });
+        return;
+      }
+
+      const zone = completeDrawing({ name, color, layerId, attributes });
       if (zone) {
         showToast(`Zone "${name}" created`, 'success');
       }
@@ -208,23 +808,38 @@ function MapScreen() {
   };
 
   /**
-   * Cancel drawing
+   * Cancel drawing (or discard geometry edit)
    */
   const handleClear = () => {
+    if (isRecording) {
+      stopRecording();
+    }
+    if (editingZone) {
+      cancelGeometryEdit();
+      return;
+    }
     clearDrawing();
   };
 
   /**
-   * Delete all zones (with confirmation)
+   * Delete all zones (with confirmation), zones on locked layers are kept
    */
   const handleDeleteAll = () => {
     if (zones.length === 0) return;
 
+    const lockedCount = zones.filter(isZoneLocked).length;
+    if (lockedCount === zones.length) {
+      showToast('All zones are on locked layers', 'error');
+      return;
+    }
+
     showConfirmation(
       'Delete All Zones?',
-      `This will permanently delete all ${zones.length} zones.`,
+      lockedCount > 0
+        ? `This will delete ${zones.length - lockedCount} zones (${lockedCount} on locked layers are kept). A restore point is saved first.`
+        : `This will delete all ${zones.length} zones. A restore point is saved first.`,
       () => {
-        const count = zones.length;
+        const count = zones.length - lockedCount;
         clearZones();
         hideConfirmation();
         showToast(`${count} zones deleted`, 'success');
@@ -235,7 +850,7 @@ function MapScreen() {
   /**
    * Animate camera to zone bounds
    * Circle: Center + radius padding
-   * Polygon: Calculate bounding box
+   * Polygon: Bounding box of all parts
    */
   const zoomToZone = (zone) => {
     if (!mapRef.current) return;
@@ -254,15 +869,11 @@ function MapScreen() {
         500
       );
     } else {
-      // Polygon/Rectangle: Calculate bounds
-      const coords = zone.coordinates;
-      const lats = coords.map((c) => c[0]);
-      const lngs = coords.map((c) => c[1]);
+      // Polygon/Rectangle: Calculate bounds (multi-part zones included)
+      const bounds = calculateZoneBounds(zone);
+      if (!bounds) return;
 
-      const minLat = Math.min(...lats);
-      const maxLat = Math.max(...lats);
-      const minLng = Math.min(...lngs);
-      const maxLng = Math.max(...lngs);
+      const { minLat, maxLat, minLng, maxLng } = bounds;
 
       const centerLat = (minLat + maxLat) / 2;
       const centerLng = (minLng + maxLng) / 2;
@@ -286,9 +897,18 @@ function MapScreen() {
    * Disabled during drawing mode
    */
   const handleZonePress = (zone) => {
-    if (drawingMode) {
+    if (drawingMode || editingZone) {
       return;
     }
+
+    // Selection mode: toggle zone in multi-select
+    if (isSelectingZones) {
+      setSelectedZones((prev) =>
+        prev.some((z) => z.id === zone.id) ? prev.filter((z) => z.id !== zone.id) : [...prev, zone]
+      );
+      return;
+    }
+
     setSelectedZone(zone);
     setShowActionSheet(true);
   };
@@ -301,6 +921,261 @@ function MapScreen() {
     setShowDetailsModal(true);
   };
 
+  /**
+   * Edit zone shape (enters vertex edit mode)
+   */
+  const handleEditShape = () => {
+    if (!selectedZone) return;
+
+    startGeometryEdit(selectedZone);
+    setShowActionSheet(false);
+    setSelectedZone(null);
+  };
+
+  /**
+   * Transform zone (enters move/rotate/scale mode)
+   */
+  const handleTransformZone = () => {
+    if (!selectedZone) return;
+
+    startGeometryEdit(selectedZone, 'transform');
+    setShowActionSheet(false);
+    setSelectedZone(null);
+  };
+
+  /**
+   * Add part (enters part drawing mode for selected polygon)
+   */
+  const handleAddPart = () => {
+    if (!selectedZone) return;
+
+    startDrawing('part', selectedZone);
+    setShowActionSheet(false);
+    setSelectedZone(null);
+    showToast('Tap points to draw another part of this zone', 'info');
+  };
+
+  /**
+   * Add hole (enters hole drawing mode for selected polygon)
+   */
+  const handleAddHole = () => {
+    if (!selectedZone) return;
+
+    startDrawing('hole', selectedZone);
+    setShowActionSheet(false);
+    setSelectedZone(null);
+    showToast('Tap points inside the zone to draw a hole', 'info');
+  };
+
+  /**
+   * Vertex drag handler (snaps to neighbouring zones)
+   * Returns false to reject move (VertexEditLayer snaps marker back)
+   */
+  const handleMoveVertex = (index, draggedPoint) => {
+    const snap = snapToZones(draggedPoint, editingZone.id);
+    const point = snap ? snap.point : draggedPoint;
+    const updatedCoords = editShape.coordinates.map((p, i) => (i === index ? point : p));
+
+    if (isSelfIntersecting(updatedCoords)) {
+      showToast('Invalid move - would create crossing lines', 'error');
+      return false;
+    }
+
+    moveVertex(index, point);
+    return true;
+  };
+
+  /**
+   * Midpoint tap handler (new vertex lies on existing edge, always valid)
+   */
+  const handleInsertVertex = (afterIndex, point) => {
+    insertVertex(afterIndex, point);
+    return true;
+  };
+
+  /**
+   * Remove selected vertex (with self-intersection check)
+   */
+  const handleDeleteVertex = () => {
+    if (selectedVertex === null) return;
+
+    // Corridor: remove centerline point, rebuild outline
+    if (editShape.corridor) {
+      const { centerline, width } = editShape.corridor;
+      if (centerline.length <= 2) {
+        showToast('Corridor needs at least 2 points', 'error');
+        return;
+      }
+
+      const updatedCenterline = centerline.filter((_, i) => i !== selectedVertex);
+      updateEditShape({
+        coordinates: buildCorridorRing(updatedCenterline, width),
+        corridor: { centerline: updatedCenterline, width },
+      });
+      setSelectedVertex(null);
+      return;
+    }
+
+    if (editShape.coordinates.length <= 3) {
+      showToast('Polygon needs at least 3 points', 'error');
+      return;
+    }
+
+    const updatedCoords = editShape.coordinates.filter((_, i) => i !== selectedVertex);
+    if (isSelfIntersecting(updatedCoords)) {
+      showToast('Cannot remove point - would create crossing lines', 'error');
+      return;
+    }
+
+    removeVertex(selectedVertex);
+  };
+
+  /**
+   * Save edited geometry (overlap check against all other zones)
+   */
+  const handleSaveGeometry = () => {
+    if (!editingZone || !editShape) return;
+
+    const tempZone = {
+      type: editingZone.type,
+      coordinates: editShape.coordinates,
+      radius: editShape.radius,
+      holes: editShape.holes,
+      parts: editShape.parts,
+      color: editingZone.color,
+      layerId: editingZone.layerId,
+    };
+    const holeError = validateHoles(editShape.coordinates, editShape.holes);
+    if (holeError) {
+      showToast(holeError, 'error');
+      return;
+    }
+
+    const partsError = validateParts(editShape);
+    if (partsError) {
+      showToast(partsError, 'error');
+      return;
+    }
+
+    const otherZones = zones.filter((zone) => zone.id !== editingZone.id);
+
+    const { hasOverlap, overlappingZones } = checkZoneOverlap(
+      tempZone,
+      otherZones,
+      overlapPolicy,
+      spatialIndex
+    );
+
+    if (hasOverlap) {
+      showToast(
+        `Cannot save - overlaps with ${overlappingZones.length} zone${overlappingZones.length > 1 ? 's' : ''}`,
+        'error'
+      );
+      return;
+    }
+
+    const zoneName = editingZone.name;
+    completeGeometryEdit();
+    showToast(`Zone "${zoneName}" updated`, 'success');
+  };
+
+  /**
+   * Split zone (enters cutting line drawing mode for selected zone)
+   */
+  const handleSplitZone = () => {
+    if (!selectedZone) return;
+
+    startDrawing('split', selectedZone);
+    setShowActionSheet(false);
+    setSelectedZone(null);
+    showToast('Draw a line across the zone to cut it', 'info');
+  };
+
+  /**
+   * Enter selection mode (tap zones on map to add/remove them)
+   */
+  const handleSelectMore = () => {
+    if (selectedZone) {
+      setSelectedZones([selectedZone]);
+    }
+    setShowActionSheet(false);
+    setSelectedZone(null);
+    setIsSelectingZones(true);
+  };
+
+  /**
+   * Finish selection (single zone gets the regular action sheet)
+   */
+  const handleSelectionDone = () => {
+    setIsSelectingZones(false);
+
+    if (selectedZones.length === 1) {
+      setSelectedZone(selectedZones[0]);
+      setSelectedZones([]);
+    }
+    setShowActionSheet(true);
+  };
+
+  const handleCancelSelection = () => {
+    setIsSelectingZones(false);
+    setSelectedZones([]);
+  };
+
+  /**
+   * Merge selected zones (must touch)
+   * Opens name/color prompt, zones are merged on confirm
+   */
+  const handleMergeZones = () => {
+    if (selectedZones.some(isZoneLocked)) {
+      showToast('Cannot merge zones on locked layers', 'error');
+      return;
+    }
+
+    const { geometry, error } = mergeZones(selectedZones);
+
+    if (error) {
+      showToast(error, 'error');
+      return;
+    }
+
+    setShowActionSheet(false);
+    setPendingMerge({ zones: selectedZones, geometry });
+  };
+
+  /**
+   * Save merge (result must not overlap other zones under its chosen color)
+   * Merged zone stays on the layer of the zone it keeps
+   */
+  const handleConfirmMerge = (options) => {
+    const mergedIds = pendingMerge.zones.map((zone) => zone.id);
+    const otherZones = zones.filter((zone) => !mergedIds.includes(zone.id));
+    const keptZone = pendingMerge.zones.find((zone) => zone.id === options.keepId);
+    const { hasOverlap, overlappingZones } = checkZoneOverlap(
+      {
+        type: 'polygon',
+        ...pendingMerge.geometry,
+        color: options.color,
+        layerId: keptZone?.layerId,
+      },
+      otherZones,
+      overlapPolicy,
+      spatialIndex
+    );
+
+    if (hasOverlap) {
+      showToast(
+        `Cannot merge - overlaps with ${overlappingZones.length} zone${overlappingZones.length > 1 ? 's' : ''}`,
+        'error'
+      );
+      return;
+    }
+
+    completeMerge(pendingMerge.zones, pendingMerge.geometry, options);
+    showToast(`${pendingMerge.zones.length} zones merged into "${options.name}"`, 'success');
+    setPendingMerge(null);
+    setSelectedZones([]);
+  };
+
   /**
    * Delete single zone (with confirmation)
    */
@@ -327,6 +1202,13 @@ function MapScreen() {
   const handleCloseActionSheet = () => {
     setShowActionSheet(false);
     setSelectedZone(null);
+    setSelectedZones([]);
+  };
+
+  const handleSaveOverlapPolicy = (policy) => {
+    setOverlapPolicy(policy);
+    setShowOverlapPolicy(false);
+    showToast('Overlap rules saved', 'success');
   };
 
   const handleOpenZoneList = () => {
@@ -343,6 +1225,152 @@ function MapScreen() {
     handleDeleteAll();
   };
 
+  // ==========================================
+  // LAYERS
+  // ==========================================
+
+  const handleAddLayer = (name, style) => {
+    addLayer(name, style);
+    showToast(`Layer "${name}" added`, 'success');
+  };
+
+  const handleDeleteLayer = (layer) => {
+    const count = zones.filter((zone) => getZoneLayer(layers, zone) === layer).length;
+    deleteLayer(layer.id);
+    showToast(
+      count > 0
+        ? `Layer "${layer.name}" deleted - ${count} zone(s) moved to default layer`
+        : `Layer "${layer.name}" deleted`,
+      'success'
+    );
+  };
+
+  // ==========================================
+  // PALETTE
+  // ==========================================
+
+  const handleAddColor = (label, hex) => {
+    addColor(label, hex);
+    showToast(`Color "${label}" added`, 'success');
+  };
+
+  const handleUpdateColor = (entry, updates) => {
+    updateColor(entry.value, updates);
+    showToast(`Color "${updates.label}" saved`, 'success');
+  };
+
+  const handleRemoveColor = (entry, replacement) => {
+    const count = zones.filter((zone) => zone.color === entry.value).length;
+    if (!removeColor(entry.value, replacement)) {
+      showToast('Palette needs at least one color', 'error');
+      return;
+    }
+    const replacementLabel = palette.find((other) => other.value === replacement)?.label;
+    showToast(
+      count > 0
+        ? `Color "${entry.label}" removed - ${count} zone(s) now ${replacementLabel}`
+        : `Color "${entry.label}" removed`,
+      'success'
+    );
+  };
+
+  // ==========================================
+  // CUSTOM ATTRIBUTES
+  // ==========================================
+
+  const handleAddAttribute = (field) => {
+    addAttribute(field);
+    showToast(`Field "${field.name}" added`, 'success');
+  };
+
+  const handleUpdateAttribute = (field, updates) => {
+    updateAttribute(field.id, updates);
+    showToast(`Field "${updates.name}" saved`, 'success');
+  };
+
+  const handleDeleteAttribute = (field) => {
+    const count = zones.filter((zone) => zone.attributes?.[field.id] !== undefined).length;
+    deleteAttribute(field.id);
+    showToast(
+      count > 0
+        ? `Field "${field.name}" deleted - removed from ${count} zone(s)`
+        : `Field "${field.name}" deleted`,
+      'success'
+    );
+  };
+
+  const handleApplyAttributeFilter = (filter) => {
+    setAttributeFilter(filter);
+    showToast(
+      filter
+        ? `Showing zones: ${describeAttributeFilter(attributeSchema, filter)}`
+        : 'Field filter cleared',
+      'info'
+    );
+  };
+
+  // ==========================================
+  // WORKSPACES (switching remounts this screen with the other workspace's zones)
+  // ==========================================
+
+  const handleSwitchWorkspace = (workspace) => {
+    setShowWorkspaces(false);
+    switchWorkspace(workspace.id);
+  };
+
+  const handleCreateWorkspace = (name) => {
+    setShowWorkspaces(false);
+    createWorkspace(name);
+  };
+
+  const handleRenameWorkspace = (workspace, name) => {
+    renameWorkspace(workspace.id, name);
+    showToast(`Workspace renamed to "${name}"`, 'success');
+  };
+
+  const handleDuplicateWorkspace = async (workspace, name) => {
+    saveRegion(); // Copy starts where the map is now
+    try {
+      await duplicateWorkspace(workspace.id, name);
+      setShowWorkspaces(false);
+    } catch (error) {
+      showToast(`Cannot copy workspace - ${error.message}`, 'error');
+    }
+  };
+
+  const handleDeleteWorkspace = async (workspace) => {
+    const deleted = await deleteWorkspace(workspace.id);
+    if (!deleted) {
+      showToast('Cannot delete the only workspace', 'error');
+    } else if (workspace.id !== activeWorkspace.id) {
+      showToast(`Workspace "${workspace.name}" deleted`, 'success');
+    }
+  };
+
+  const handleShowSnapshots = () => {
+    setShowZoneListModal(false);
+    setShowSnapshots(true);
+  };
+
+  /**
+   * Roll back to snapshot previewed in restore screen
+   */
+  const handleRestoreSnapshot = async (snapshot) => {
+    const restored = await restoreSnapshot(snapshot);
+    if (!restored) {
+      showToast('Snapshot data is missing', 'error');
+      return;
+    }
+    setShowSnapshots(false);
+    setSelectedZone(null);
+    showToast(
+      zones.some(isZoneLocked)
+        ? 'Restored zones from snapshot, locked layers kept (undo available)'
+        : `Restored ${snapshot.zoneCount} zones (undo available)`,
+      'success'
+    );
+  };
+
   const handleUndoLastPoint = () => {
     undoLastPoint();
   };
@@ -351,6 +1379,30 @@ function MapScreen() {
     redoLastPoint();
   };
 
+  /**
+   * Undo last zone change (add/edit/delete/clear)
+   */
+  const handleUndoChange = () => {
+    const { command, locked } = undoChange();
+    if (locked) {
+      showToast(`Cannot undo "${command.label}" - it changes zones on locked layers`, 'error');
+    } else if (command) {
+      showToast(`Undone: ${command.label}`, 'info');
+    }
+  };
+
+  /**
+   * Redo last undone zone change
+   */
+  const handleRedoChange = () => {
+    const { command, locked } = redoChange();
+    if (locked) {
+      showToast(`Cannot redo "${command.label}" - it changes zones on locked layers`, 'error');
+    } else if (command) {
+      showToast(`Redone: ${command.label}`, 'info');
+    }
+  };
+
   /**
    * Called from ZoneDetailsModal when validation fails (e.g., empty name)
    */
@@ -360,23 +1412,63 @@ function MapScreen() {
     setSelectedZone(null);
   };
 
+  // Only zones near the visible region are rendered (half a screen of margin around it)
+  const nearbyIds = new Set(
+    spatialIndex.search(regionToBounds(visibleRegion, 0.5)).map((zone) => zone.id)
+  );
+  // Draw order follows layer order (zones of higher layers on top)
+  const layerIndex = (zone) => layers.indexOf(getZoneLayer(layers, zone));
+  const visibleZones = filteredZones
+    .filter((zone) => nearbyIds.has(zone.id) || !spatialIndex.has(zone))
+    .sort((a, b) => layerIndex(a) - layerIndex(b));
+
+  // Saved zones unreadable (or a change wasn't saved): nothing is shown (or saved) until user
+  // picks recovery option
+  if (storageError) {
+    return (
+      <RecoveryScreen
+        error={storageError}
+        onRestore={restoreLastGood}
+        onDiscard={discardUnreadableZones}
+        onRetry={storageError.reason === 'save' ? retrySave : refetch}
+      />
+    );
+  }
+
   return (
     <View style={styles.container}>
       {/* Map */}
       <MapView
         ref={mapRef}
         style={styles.map}
-        initialRegion={{
-          latitude: 45.815, // Zagreb, Croatia
-          longitude: 15.98,
-          latitudeDelta: 0.02,
-          longitudeDelta: 0.02,
-        }}
+        initialRegion={workspaceRegion}
         onPress={handleMapPress}
+        onRegionChangeComplete={(region) => {
+          regionRef.current = region;
+          setVisibleRegion(region);
+        }}
+        onLayout={(event) => {
+          mapHeightRef.current = event.nativeEvent.layout.height;
+        }}
       >
         {/* Render saved zones */}
-        {filteredZones.map((zone) => {
-          const isSelected = selectedZone?.id === zone.id;
+        {visibleZones.map((zone) => {
+          const isSelected =
+            selectedZone?.id === zone.id || selectedZones.some((z) => z.id === zone.id);
+          const layer = getZoneLayer(layers, zone);
+          const { fillOpacity, strokeWidth, dashed } = layer.style;
+          const zoneStyle = {
+            fillColor: getLayerFill(zone.colorHex, fillOpacity * (isSelected ? 1.5 : 1)),
+            strokeColor: zone.colorHex,
+            strokeWidth: isSelected ? strokeWidth + 2 : strokeWidth,
+            lineDashPattern: dashed ? [8, 6] : undefined,
+            zIndex: layers.indexOf(layer),
+          };
+
+          // Zone being reshaped is rendered by VertexEditLayer
+          if (editingZone?.id === zone.id) {
+            return null;
+          }
 
           if (zone.type === 'circle') {
             const center = zone.coordinates[0];
@@ -388,13 +1480,7 @@ function MapScreen() {
             return (
               <React.Fragment key={zone.id}>
                 {/* Circle visual */}
-                <Circle
-                  center={centerCoord}
-                  radius={zone.radius}
-                  fillColor={zone.colorHex + (isSelected ? '60' : '40')}
-                  strokeColor={zone.colorHex}
-                  strokeWidth={isSelected ? 4 : 2}
-                />
+                <Circle center={centerCoord} radius={zone.radius} {...zoneStyle} />
 
                 {/* Invisible tap target (Circle doesn't support onPress) */}
                 <Marker
@@ -405,91 +1491,381 @@ function MapScreen() {
               </React.Fragment>
             );
           } else {
-            // Polygon/Rectangle
-            const coords = zone.coordinates.map((point) => ({
-              latitude: point[0],
-              longitude: point[1],
-            }));
-
+            // Polygon/Rectangle (one Polygon per part, all select the same zone)
             return (
-              <Polygon
-                key={zone.id}
-                coordinates={coords}
-                fillColor={zone.colorHex + (isSelected ? '60' : '40')}
-                strokeColor={zone.colorHex}
-                strokeWidth={isSelected ? 4 : 2}
-                onPress={() => handleZonePress(zone)}
-                tappable={true}
-              />
+              <React.Fragment key={zone.id}>
+                {getZonePolygons(zone).map((part, partIndex) => {
+                  const coords = part.coordinates.map((point) => ({
+                    latitude: point[0],
+                    longitude: point[1],
+                  }));
+                  const holes = part.holes?.map((hole) =>
+                    hole.map((point) => ({ latitude: point[0], longitude: point[1] }))
+                  );
+
+                  return (
+                    <Polygon
+                      key={partIndex}
+                      coordinates={coords}
+                      holes={holes}
+                      {...zoneStyle}
+                      onPress={() => handleZonePress(zone)}
+                      tappable={true}
+                    />
+                  );
+                })}
+              </React.Fragment>
             );
           }
         })}
 
+        {/* Zone names at label point (inside the shape, unlike centroid) */}
+        {visibleZones.length <= MAX_ZONE_LABELS &&
+          visibleZones
+            .filter((zone) => editingZone?.id !== zone.id && (zone.labelPoint || zone.center))
+            .map((zone) => {
+              const labelPoint = zone.labelPoint || zone.center;
+              return (
+                <Marker
+                  key={`label-${zone.id}`}
+                  coordinate={{ latitude: labelPoint.lat, longitude: labelPoint.lng }}
+                  anchor={{ x: 0.5, y: 0.5 }}
+                  tracksViewChanges={false}
+                  onPress={() => handleZonePress(zone)}
+                >
+                  <Text style={styles.zoneLabel}>
+                    {isZoneLocked(zone) ? '🔒 ' : ''}
+                    {zone.name}
+                  </Text>
+                </Marker>
+              );
+            })}
+
         {/* In-progress drawing (blue overlay) */}
         <DrawingLayer />
+
+        {/* Overlap of new zone with existing zones (red) */}
+        {overlapResolution?.intersections
+          .filter(({ geometry }) => geometry)
+          .map(({ zoneId, geometry }) =>
+            getZonePolygons({ type: 'polygon', ...turfToZoneGeometry(geometry) }).map(
+              (part, partIndex) => (
+                <Polygon
+                  key={`overlap-${zoneId}-${partIndex}`}
+                  coordinates={part.coordinates.map((point) => ({
+                    latitude: point[0],
+                    longitude: point[1],
+                  }))}
+                  holes={part.holes?.map((hole) =>
+                    hole.map((point) => ({ latitude: point[0], longitude: point[1] }))
+                  )}
+                  fillColor="rgba(239, 68, 68, 0.5)"
+                  strokeColor="#ef4444"
+                  strokeWidth={2}
+                />
+              )
+            )
+          )}
+
+        {/* Saved zone in geometry edit mode (draggable vertices or transform handles) */}
+        {editMode === 'transform' ? (
+          <TransformLayer />
+        ) : (
+          <VertexEditLayer onMoveVertex={handleMoveVertex} onInsertVertex={handleInsertVertex} />
+        )}
       </MapView>
 
-      {/* Header (zones count + list button) */}
+      {/* Lasso touch capture (until outline is finished) */}
+      {drawingMode === 'lasso' && !(drawingShape?.coordinates.length >= 3) && (
+        <LassoOverlay mapRef={mapRef} onTrace={handleLassoTrace} onTraceEnd={handleLassoTraceEnd} />
+      )}
+
+      {/* Header (zones count + coordinate entry + layers + zone fields + overlap rules + list button) */}
       <View style={styles.headerWrapper} pointerEvents="box-none">
         <View style={styles.header} pointerEvents="auto">
           <View style={styles.headerTop}>
-            <View>
-              <Text style={styles.title}>Zones</Text>
-              <Text style={styles.subtitle}>{filteredZones.length} zones</Text>
-            </View>
-            <TouchableOpacity style={styles.listButton} onPress={handleOpenZoneList}>
-              <Text style={styles.listIcon}>☰</Text>
+            <TouchableOpacity
+              onPress={() => setShowWorkspaces(true)}
+              disabled={drawingMode !== null || editingZone !== null}
+            >
+              <Text style={styles.title}>{activeWorkspace.name} ▾</Text>
+              <Text style={styles.subtitle}>
+                {filteredZones.length} zones
+                {attributeFilter &&
+                  ` • ${describeAttributeFilter(attributeSchema, attributeFilter)}`}
+              </Text>
             </TouchableOpacity>
+            <View style={styles.headerButtons}>
+              <TouchableOpacity
+                style={styles.listButton}
+                onPress={() => setShowCoordinateEntry(true)}
+                disabled={drawingMode !== null || editingZone !== null}
+              >
+                <Text style={styles.listIcon}>⌖</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.listButton} onPress={() => setShowLayers(true)}>
+                <Text style={styles.listIcon}>◧</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.listButton, attributeFilter && styles.listButtonActive]}
+                onPress={() => setShowAttributes(true)}
+              >
+                <Text style={[styles.listIcon, attributeFilter && styles.listIconActive]}>⊞</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.listButton}
+                onPress={() => setShowOverlapPolicy(true)}
+              >
+                <Text style={styles.listIcon}>⚙</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.listButton} onPress={handleOpenZoneList}>
+                <Text style={styles.listIcon}>☰</Text>
+              </TouchableOpacity>
+            </View>
           </View>
         </View>
       </View>
 
       {/* Color filter (floating right side) */}
-      <ColorFilter activeColors={colorFilter} onToggleColor={toggleColorFilter} />
+      <ColorFilter
+        colors={palette}
+        activeColors={colorFilter}
+        onToggleColor={toggleColorFilter}
+        onEditPalette={() => setShowPalette(true)}
+      />
+
+      {/* Circle radius readout + numeric entry */}
+      {drawingMode === 'circle' && drawingShape && (
+        <NumericInputPanel
+          label="Radius"
+          value={drawingShape.radius}
+          hint={`${CIRCLE_RADIUS.MIN}–${CIRCLE_RADIUS.MAX} m`}
+          onChangeValue={handleChangeRadius}
+        />
+      )}
+      {editMode === 'shape' && editShape?.radius !== undefined && (
+        <NumericInputPanel
+          label="Radius"
+          value={editShape.radius}
+          hint={`${CIRCLE_RADIUS.MIN}–${CIRCLE_RADIUS.MAX} m`}
+          onChangeValue={handleChangeRadius}
+        />
+      )}
+
+      {/* Corridor width (drawing or editing) */}
+      {(drawingMode === 'corridor' || (editMode === 'shape' && editShape?.corridor)) && (
+        <NumericInputPanel
+          label="Width"
+          value={drawingMode === 'corridor' ? corridorWidth : editShape.corridor.width}
+          hint={`${CORRIDOR_WIDTH.MIN}–${CORRIDOR_WIDTH.MAX} m`}
+          onChangeValue={handleChangeCorridorWidth}
+        />
+      )}
+
+      {/* GPS recording status */}
+      {drawingMode === 'record' && (
+        <RecordingPanel
+          isRecording={isRecording}
+          points={drawingShape?.coordinates.length || drawingShape?.trace?.length || 0}
+          accuracy={drawingShape?.accuracy}
+          dropped={drawingShape?.dropped || 0}
+        />
+      )}
+
+      {/* Multi-select (tap zones to add/remove) */}
+      {isSelectingZones && (
+        <SelectionBar
+          count={selectedZones.length}
+          onDone={handleSelectionDone}
+          onCancel={handleCancelSelection}
+        />
+      )}
+
+      {/* Lasso simplification tolerance */}
+      {drawingMode === 'lasso' && (
+        <NumericInputPanel
+          label="Tolerance"
+          value={lassoTolerance}
+          hint={`${drawingShape?.coordinates.length || 0} points`}
+          onChangeValue={handleChangeTolerance}
+        />
+      )}
 
       {/* Bottom toolbar (mode selection + actions) */}
       <BottomToolbar
         drawingMode={drawingMode}
         onSelectMode={handleModeSelect}
-        onComplete={handleComplete}
+        onComplete={editingZone ? handleSaveGeometry : handleComplete}
         onClear={handleClear}
         onUndo={handleUndoLastPoint}
         onRedo={handleRedoLastPoint}
-        hasDrawing={drawingShape !== null}
-        canUndo={drawingMode === 'polygon' && drawingShape?.coordinates?.length > 0}
-        canRedo={drawingMode === 'polygon' && redoStack.length > 0}
+        onDeleteVertex={handleDeleteVertex}
+        hasDrawing={drawingShape !== null || editShape !== null}
+        canUndo={isPointByPointMode(drawingMode) && drawingShape?.coordinates?.length > 0}
+        canRedo={isPointByPointMode(drawingMode) && redoStack.length > 0}
+        canDeleteVertex={editShape !== null && selectedVertex !== null}
+        onUndoChange={handleUndoChange}
+        onRedoChange={handleRedoChange}
+        canUndoChange={canUndoChange && !drawingMode}
+        canRedoChange={canRedoChange && !drawingMode}
       />
 
+      {/* Overlap resolution (covers toolbar until resolved or cancelled) */}
+      {overlapResolution && (
+        <OverlapResolutionPanel
+          zoneCount={overlapResolution.overlappingZones.length}
+          overlapArea={overlapResolution.intersections.reduce((sum, i) => sum + i.area, 0)}
+          onTrimNew={handleTrimNewZone}
+          onTrimExisting={handleTrimExistingZones}
+          onCancel={() => setOverlapResolution(null)}
+        />
+      )}
+
       {/* Zone name/color input modal (dual-mode: create/edit) */}
       <ZoneDetailsModal
         visible={showDetailsModal}
+        layers={layers}
+        colors={palette}
+        attributeSchema={attributeSchema}
         onConfirm={handleConfirmDetails}
         onCancel={() => {
           setShowDetailsModal(false);
           setSelectedZone(null);
         }}
         onError={onError}
-        initialValues={selectedZone ? { name: selectedZone.name, color: selectedZone.color } : null}
+        initialValues={
+          selectedZone
+            ? {
+                name: selectedZone.name,
+                color: selectedZone.color,
+                layerId: selectedZone.layerId,
+                attributes: selectedZone.attributes,
+              }
+            : null
+        }
       />
 
       {/* Edit/Delete action sheet (bottom sheet) */}
       <ZoneActionSheet
         visible={showActionSheet}
-        zone={selectedZone}
+        zones={selectedZones.length > 0 ? selectedZones : selectedZone ? [selectedZone] : []}
+        layers={layers}
+        attributeSchema={attributeSchema}
         onEdit={handleEditZone}
+        onEditShape={handleEditShape}
+        onTransform={handleTransformZone}
+        onAddHole={handleAddHole}
+        onAddPart={handleAddPart}
+        onSplit={handleSplitZone}
+        onSelectMore={handleSelectMore}
+        onMerge={handleMergeZones}
         onDelete={handleDeleteZone}
         onClose={handleCloseActionSheet}
       />
 
+      {/* Typed/pasted coordinates entry */}
+      <CoordinateEntryModal
+        visible={showCoordinateEntry}
+        onSubmit={handleCoordinateEntry}
+        onCancel={() => setShowCoordinateEntry(false)}
+      />
+
+      {/* Merge prompt (which name/color to keep) */}
+      <MergeZonesModal
+        visible={pendingMerge !== null}
+        zones={pendingMerge?.zones || []}
+        onConfirm={handleConfirmMerge}
+        onCancel={() => {
+          setPendingMerge(null);
+          setSelectedZones([]);
+        }}
+      />
+
+      {/* Layers (visibility, lock, draw order, style) */}
+      <LayersModal
+        visible={showLayers}
+        layers={layers}
+        zones={zones}
+        colors={palette}
+        onAdd={handleAddLayer}
+        onUpdate={(layer, updates) => updateLayer(layer.id, updates)}
+        onMove={(layer, offset) => moveLayer(layer.id, offset)}
+        onDelete={handleDeleteLayer}
+        onError={(message) => showToast(message, 'error')}
+        onClose={() => setShowLayers(false)}
+      />
+
+      {/* Zone color palette (add, rename, recolor, remove) */}
+      <PaletteModal
+        visible={showPalette}
+        palette={palette}
+        zones={zones}
+        onAdd={handleAddColor}
+        onUpdate={handleUpdateColor}
+        onRemove={handleRemoveColor}
+        onError={(message) => showToast(message, 'error')}
+        onClose={() => setShowPalette(false)}
+      />
+
+      {/* Custom zone fields (schema + attribute filter) */}
+      <AttributesModal
+        visible={showAttributes}
+        schema={attributeSchema}
+        zones={zones}
+        filter={attributeFilter}
+        onAdd={handleAddAttribute}
+        onUpdate={handleUpdateAttribute}
+        onDelete={handleDeleteAttribute}
+        onApplyFilter={handleApplyAttributeFilter}
+        onError={(message) => showToast(message, 'error')}
+        onClose={() => setShowAttributes(false)}
+      />
+
+      {/* Overlap rules (layer scope, color pairs, touching, minimum area) */}
+      <OverlapPolicyModal
+        visible={showOverlapPolicy}
+        policy={overlapPolicy}
+        colors={palette}
+        onSave={handleSaveOverlapPolicy}
+        onCancel={() => setShowOverlapPolicy(false)}
+        onError={onError}
+      />
+
       {/* All zones list modal */}
       <ZoneListModal
         visible={showZoneListModal}
         zones={zones}
         onZoneSelect={handleZoneSelectFromList}
         onDeleteAll={handleDeleteAllFromList}
+        onShowSnapshots={handleShowSnapshots}
         onClose={() => setShowZoneListModal(false)}
       />
 
+      {/* Workspace switcher */}
+      <WorkspacesModal
+        visible={showWorkspaces}
+        workspaces={workspaces}
+        activeId={activeWorkspace.id}
+        onSwitch={handleSwitchWorkspace}
+        onCreate={handleCreateWorkspace}
+        onRename={handleRenameWorkspace}
+        onDuplicate={handleDuplicateWorkspace}
+        onDelete={handleDeleteWorkspace}
+        onError={(message) => showToast(message, 'error')}
+        onClose={() => setShowWorkspaces(false)}
+      />
+
+      {/* Restore points (snapshot preview + rollback) */}
+      <SnapshotsModal
+        visible={showSnapshots}
+        snapshots={snapshots}
+        initialRegion={regionRef.current}
+        loadSnapshot={loadSnapshot}
+        onRestore={handleRestoreSnapshot}
+        onDelete={(snapshot) => deleteSnapshot(snapshot.id)}
+        onClose={() => setShowSnapshots(false)}
+      />
+
       {/* Toast notifications (non-blocking feedback) */}
       <Toast visible={toast.visible} message={toast.message} type={toast.type} onHide={hideToast} />
 
@@ -508,17 +1884,40 @@ function MapScreen() {
 }
 
 /**
- * Root App component
- * Wraps MapScreen with ZonesProvider (context must be parent)
+ * Active workspace
+ * ZonesProvider is keyed by workspace id, so switching starts with fresh state
+ * (zones, history, drawing, filter and map region of the other workspace)
  */
-export default function App() {
+function WorkspaceScreen({ locationSource }) {
+  const { activeWorkspace } = useWorkspacesContext();
+
+  // Workspaces not loaded yet
+  if (!activeWorkspace) {
+    return null;
+  }
+
   return (
-    <ZonesProvider>
-      <MapScreen />
+    <ZonesProvider key={activeWorkspace.id}>
+      <MapScreen locationSource={locationSource} />
     </ZonesProvider>
   );
 }
 
+/**
+ * Root App component
+ * Wraps MapScreen with WorkspacesProvider + ZonesProvider (contexts must be parents)
+ * locationSource: optional override of device GPS (e.g. replayed track file)
+ */
+export default function App({ locationSource }) {
+  const [deviceLocationSource] = useState(createDeviceLocationSource);
+
+  return (
+    <WorkspacesProvider>
+      <WorkspaceScreen locationSource={locationSource || deviceLocationSource} />
+    </WorkspacesProvider>
+  );
+}
+
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -553,6 +1952,10 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#111827',
   },
+  headerButtons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
   listButton: {
     width: 36,
     height: 36,
@@ -566,6 +1969,19 @@ const styles = StyleSheet.create({
     color: '#6b7280',
     fontWeight: '600',
   },
+  listButtonActive: {
+    backgroundColor: '#111827',
+  },
+  listIconActive: {
+    color: 'white',
+  },
+  zoneLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#111827',
+    textShadowColor: 'white',
+    textShadowRadius: 3,
+  },
   subtitle: {
     fontSize: 13,
     color: '#6b7280',
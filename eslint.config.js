@@ -45,6 +45,12 @@ export default [
       'no-undef': 'error',
     },
   },
+  {
+    files: ['**/__tests__/**/*.js'],
+    languageOptions: {
+      globals: globals.jest,
+    },
+  },
   {
     ignores: ['node_modules/', '.expo/', '.expo-shared/', 'dist/', 'web-build/', '*.config.js'],
   },
@@ -7,4 +7,79 @@
 export const STORAGE_KEYS = {
   ZONES: 'parking-zones',
   COLOR_FILTER: 'colorFilter',
+  HISTORY: 'zone-history',
+  OVERLAP_POLICY: 'overlap-policy', // Overlap rules of a workspace
+  ZONES_BACKUP: 'parking-zones-backup', // + '-v<version>': data as it was before migration
+  SNAPSHOTS: 'zone-snapshots', // Snapshot list (metadata only)
+  SNAPSHOT_ZONES: 'zone-snapshot', // + '-<id>': zones of one snapshot
+  WORKSPACES: 'workspaces', // { activeId, workspaces }
+  LAYERS: 'zone-layers', // Layers of a workspace, in draw order
+  PALETTE: 'color-palette', // Zone colors of a workspace
+  ATTRIBUTES: 'zone-attributes', // Custom attribute fields of a workspace
+};
+
+// Workspace that owns data saved before workspaces existed (unscoped storage keys)
+export const DEFAULT_WORKSPACE_ID = 'default';
+
+// Layer of zones without layerId (always exists, can't be deleted)
+export const DEFAULT_LAYER_ID = 'default';
+
+// Zone style of new layers
+export const LAYER_STYLE = {
+  color: 'blue', // Preselected color for zones created on the layer
+  fillOpacity: 0.25,
+  strokeWidth: 2,
+  dashed: false,
+};
+
+// Max undo steps for zone changes (older commands are dropped)
+export const HISTORY_DEPTH = 50;
+
+// Saved undo history (history in memory keeps HISTORY_DEPTH steps)
+export const HISTORY_STORAGE = {
+  MAX_ZONE_COPIES: 200, // Newest commands are saved while their before/after zone copies fit
+  SAVE_DELAY: 1000, // History changes within this time are saved together (ms)
+};
+
+// Automatic zone snapshots (restore points)
+export const SNAPSHOTS = {
+  MAX_DAILY: 7, // Daily snapshots kept (oldest deleted beyond this)
+  MAX_BEFORE_CHANGE: 20, // Before-change snapshots kept (counted separately from daily)
+  DAILY_INTERVAL: 24 * 60 * 60 * 1000, // Time between scheduled snapshots (ms)
+  CHECK_INTERVAL: 60 * 60 * 1000, // How often a running app checks if one is due (ms)
+};
+
+// Circle radius limits (meters)
+export const CIRCLE_RADIUS = {
+  DEFAULT: 300,
+  MIN: 10,
+  MAX: 5000,
+};
+
+// Freehand lasso simplification tolerance (meters)
+export const LASSO_TOLERANCE = {
+  DEFAULT: 5,
+  MIN: 1,
+  MAX: 100,
+};
+
+// Snap radius when drawing next to existing zones (screen points)
+export const SNAP_DISTANCE_PX = 20;
+
+// Zone name labels are hidden when more zones than this are visible (map gets cluttered)
+export const MAX_ZONE_LABELS = 50;
+
+// Corridor (street strip) width limits (meters)
+export const CORRIDOR_WIDTH = {
+  DEFAULT: 10,
+  MIN: 2,
+  MAX: 200,
+};
+
+// GPS perimeter recording filters
+export const GPS_RECORDING = {
+  MAX_ACCURACY: 20, // Drop fixes with reported accuracy worse than this (meters)
+  MIN_DISTANCE: 3, // Drop fixes closer than this to previous kept point (jitter, meters)
+  MAX_SPEED: 40, // Drop fixes implying faster movement (GPS jumps, m/s)
+  SIMPLIFY_TOLERANCE: 3, // Douglas-Peucker tolerance for finished track (meters)
 };
@@ -0,0 +1,535 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  StyleSheet,
+} from 'react-native';
+import {
+  ATTRIBUTE_TYPES,
+  parseAttributeOptions,
+  parseAttributeInput,
+  validateAttributeField,
+} from '../utils/attributes';
+
+/**
+ * Custom attribute fields of workspace (values are entered in zone details)
+ * Tap field name to edit it, ⚲ to show only zones matching a value of that field
+ * Editors replace the New Field button at the bottom
+ */
+export default function AttributesModal({
+  visible,
+  schema,
+  zones,
+  filter,
+  onAdd,
+  onUpdate,
+  onDelete,
+  onApplyFilter,
+  onError,
+  onClose,
+}) {
+  const [editing, setEditing] = useState(null); // { field, mode: 'field' | 'filter' } (field null = new field)
+  const [name, setName] = useState('');
+  const [type, setType] = useState('text');
+  const [optionsText, setOptionsText] = useState(''); // Enum choices, comma-separated
+  const [required, setRequired] = useState(false);
+  const [filterInput, setFilterInput] = useState({ value: null, min: '', max: '' });
+
+  // Reset editor when opened
+  useEffect(() => {
+    if (visible) {
+      setEditing(null);
+    }
+  }, [visible]);
+
+  const startEdit = (field = null) => {
+    setEditing({ field, mode: 'field' });
+    setName(field ? field.name : '');
+    setType(field ? field.type : 'text');
+    setOptionsText(field ? field.options.join(', ') : '');
+    setRequired(field ? field.required : false);
+  };
+
+  const startFilter = (field) => {
+    const active = filter?.fieldId === field.id ? filter : {};
+    setEditing({ field, mode: 'filter' });
+    setFilterInput({
+      value: active.value ?? (field.type === 'text' ? '' : null),
+      min: active.min !== undefined ? String(active.min) : '',
+      max: active.max !== undefined ? String(active.max) : '',
+    });
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    const options = parseAttributeOptions(optionsText);
+    const error = validateAttributeField(trimmed, type, options, schema, editing.field?.id);
+    if (error) {
+      onError?.(error);
+      return;
+    }
+
+    const updates = { name: trimmed, type, options, required };
+    if (editing.field) {
+      onUpdate(editing.field, updates);
+    } else {
+      onAdd(updates);
+    }
+    setEditing(null);
+  };
+
+  const handleDelete = () => {
+    onDelete(editing.field);
+    setEditing(null);
+  };
+
+  const handleApplyFilter = () => {
+    const { field } = editing;
+
+    if (field.type === 'number' || field.type === 'date') {
+      const range = {};
+      for (const bound of ['min', 'max']) {
+        const { value, error } = parseAttributeInput(
+          { ...field, required: false },
+          filterInput[bound]
+        );
+        if (error) {
+          onError?.(error);
+          return;
+        }
+        if (value !== undefined) {
+          range[bound] = value;
+        }
+      }
+      if (Object.keys(range).length === 0) {
+        onError?.('Enter a lower or upper limit');
+        return;
+      }
+      onApplyFilter({ fieldId: field.id, ...range });
+    } else {
+      const value = field.type === 'text' ? filterInput.value.trim() : filterInput.value;
+      if (value === '' || value === null) {
+        onError?.(field.type === 'text' ? 'Enter text to filter by' : 'Pick a value');
+        return;
+      }
+      onApplyFilter({ fieldId: field.id, value });
+    }
+    setEditing(null);
+  };
+
+  const handleClearFilter = () => {
+    onApplyFilter(null);
+    setEditing(null);
+  };
+
+  const countZones = (field) =>
+    zones.filter((zone) => zone.attributes?.[field.id] !== undefined).length;
+
+  const typeLabel = (value) => ATTRIBUTE_TYPES.find((t) => t.value === value).label;
+
+  const renderFilterEditor = () => {
+    const { field } = editing;
+
+    let input;
+    if (field.type === 'number' || field.type === 'date') {
+      const placeholder = field.type === 'date' ? 'YYYY-MM-DD' : '';
+      input = (
+        <View style={styles.inputRow}>
+          {['min', 'max'].map((bound) => (
+            <TextInput
+              key={bound}
+              style={[styles.input, styles.rangeInput]}
+              value={filterInput[bound]}
+              onChangeText={(text) => setFilterInput({ ...filterInput, [bound]: text })}
+              placeholder={`${bound === 'min' ? 'From' : 'To'} ${placeholder}`}
+              placeholderTextColor="#9ca3af"
+              keyboardType={field.type === 'number' ? 'decimal-pad' : 'default'}
+              autoCapitalize="none"
+            />
+          ))}
+        </View>
+      );
+    } else if (field.type === 'text') {
+      input = (
+        <TextInput
+          style={styles.input}
+          value={filterInput.value}
+          onChangeText={(value) => setFilterInput({ ...filterInput, value })}
+          placeholder="Contains…"
+          placeholderTextColor="#9ca3af"
+        />
+      );
+    } else {
+      const choices =
+        field.type === 'boolean'
+          ? [
+              { value: true, label: 'Yes' },
+              { value: false, label: 'No' },
+            ]
+          : field.options.map((option) => ({ value: option, label: option }));
+      input = (
+        <View style={styles.optionRow}>
+          {choices.map((choice) => (
+            <TouchableOpacity
+              key={String(choice.value)}
+              style={[styles.chip, filterInput.value === choice.value && styles.optionSelected]}
+              onPress={() => setFilterInput({ ...filterInput, value: choice.value })}
+            >
+              <Text style={styles.chipText}>{choice.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      );
+    }
+
+    return (
+      <View style={styles.editor}>
+        <Text style={styles.label}>Show only zones where {field.name}</Text>
+        {input}
+        <View style={styles.actions}>
+          {filter?.fieldId === field.id && (
+            <TouchableOpacity style={styles.deleteButton} onPress={handleClearFilter}>
+              <Text style={styles.deleteText}>Clear</Text>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity style={styles.cancelButton} onPress={() => setEditing(null)}>
+            <Text style={styles.cancelText}>Cancel</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.confirmButton} onPress={handleApplyFilter}>
+            <Text style={styles.confirmText}>Apply</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  const renderFieldEditor = () => (
+    <View style={styles.editor}>
+      <TextInput
+        style={styles.input}
+        value={name}
+        onChangeText={setName}
+        placeholder="Field name (e.g. Hourly price)"
+        placeholderTextColor="#9ca3af"
+      />
+
+      <Text style={styles.label}>Type</Text>
+      <View style={styles.optionRow}>
+        {ATTRIBUTE_TYPES.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, type === option.value && styles.optionSelected]}
+            onPress={() => setType(option.value)}
+          >
+            <Text style={styles.chipText}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {type === 'enum' && (
+        <TextInput
+          style={styles.input}
+          value={optionsText}
+          onChangeText={setOptionsText}
+          placeholder="Options, comma-separated"
+          placeholderTextColor="#9ca3af"
+        />
+      )}
+
+      <View style={styles.switchRow}>
+        <Text style={styles.switchText}>Required</Text>
+        <Switch value={required} onValueChange={setRequired} />
+      </View>
+
+      {editing.field && (
+        <Text style={styles.hint}>
+          Changing type or options removes zone values that no longer fit.
+        </Text>
+      )}
+
+      <View style={styles.actions}>
+        {editing.field && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+            <Text style={styles.deleteText}>Delete</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity style={styles.cancelButton} onPress={() => setEditing(null)}>
+          <Text style={styles.cancelText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.confirmButton} onPress={handleSave}>
+          <Text style={styles.confirmText}>Save</Text>
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          {/* Header with close button */}
+          <View style={styles.header}>
+            <Text style={styles.title}>Zone Fields</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.closeButton}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Field list */}
+          <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+            {schema.length === 0 && (
+              <Text style={styles.emptyText}>
+                No fields yet. Add fields like price, max stay or operator to record them per zone.
+              </Text>
+            )}
+            {schema.map((field) => (
+              <View key={field.id} style={styles.item}>
+                <TouchableOpacity style={styles.itemName} onPress={() => startEdit(field)}>
+                  <Text style={styles.name}>
+                    {field.name}
+                    {field.required ? ' *' : ''}
+                  </Text>
+                  <Text style={styles.count}>
+                    {typeLabel(field.type)}
+                    {field.type === 'enum' && ` (${field.options.join(', ')})`} •{' '}
+                    {countZones(field)} zones
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.filterButton, filter?.fieldId === field.id && styles.filterActive]}
+                  onPress={() => startFilter(field)}
+                >
+                  <Text
+                    style={[
+                      styles.filterIcon,
+                      filter?.fieldId === field.id && styles.filterIconActive,
+                    ]}
+                  >
+                    ⚲
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+
+          {/* Field / filter editor */}
+          {editing?.mode === 'filter' && renderFilterEditor()}
+          {editing?.mode === 'field' && renderFieldEditor()}
+          {!editing && (
+            <TouchableOpacity style={styles.newButton} onPress={() => startEdit()}>
+              <Text style={styles.newText}>New Field</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: '85%',
+    paddingBottom: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  closeButton: {
+    fontSize: 32,
+    color: '#6b7280',
+    lineHeight: 32,
+    fontWeight: '300',
+  },
+  list: {
+    maxHeight: 280,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#6b7280',
+    padding: 20,
+    lineHeight: 20,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 12,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  itemName: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 16,
+    color: '#111827',
+  },
+  count: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  filterButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  filterActive: {
+    backgroundColor: '#111827',
+  },
+  filterIcon: {
+    fontSize: 16,
+    color: '#6b7280',
+  },
+  filterIconActive: {
+    color: 'white',
+  },
+  editor: {
+    padding: 20,
+    paddingBottom: 0,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+    color: '#111827',
+  },
+  rangeInput: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: 8,
+    color: '#374151',
+  },
+  hint: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginBottom: 16,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#111827',
+  },
+  optionSelected: {
+    borderColor: '#111827',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  switchText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#111827',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  deleteButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#ef4444',
+    alignItems: 'center',
+  },
+  deleteText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  confirmButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  newButton: {
+    margin: 20,
+    marginBottom: 0,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  newText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+});
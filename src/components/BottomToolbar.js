@@ -4,17 +4,25 @@ import { View, TouchableOpacity, StyleSheet, Text } from 'react-native';
 /**
  * Bottom toolbar for zone drawing controls
  * Handles mode selection and drawing actions (undo/redo/complete/clear)
+ * Also drives geometry edit mode (delete vertex/save/cancel)
+ * When idle, undo/redo apply to zone changes (add/edit/delete)
  */
 export default function BottomToolbar({
-  drawingMode, // 'circle' | 'rectangle' | 'polygon' | null
+  drawingMode, // 'circle' | 'rectangle' | 'polygon' | 'lasso' | 'corridor' | 'record' | null
   onSelectMode,
   onComplete,
   onClear,
   onUndo,
   onRedo,
+  onDeleteVertex,
   hasDrawing,
   canUndo,
   canRedo,
+  canDeleteVertex,
+  onUndoChange,
+  onRedoChange,
+  canUndoChange,
+  canRedoChange,
 }) {
   return (
     <View style={styles.container}>
@@ -40,8 +48,50 @@ export default function BottomToolbar({
         >
           <View style={styles.polygonIcon} />
         </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.modeButton, drawingMode === 'lasso' && styles.modeButtonActive]}
+          onPress={() => onSelectMode('lasso')}
+        >
+          <View style={styles.lassoIcon} />
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.modeButton, drawingMode === 'corridor' && styles.modeButtonActive]}
+          onPress={() => onSelectMode('corridor')}
+        >
+          <View style={styles.corridorIcon} />
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.modeButton, drawingMode === 'record' && styles.modeButtonActive]}
+          onPress={() => onSelectMode('record')}
+        >
+          <View style={styles.recordIcon} />
+        </TouchableOpacity>
       </View>
 
+      {/* Zone history - when not drawing */}
+      {!hasDrawing && (canUndoChange || canRedoChange) && (
+        <View style={styles.actionsSection}>
+          <TouchableOpacity
+            style={[styles.actionButton, !canUndoChange && styles.actionButtonDisabled]}
+            onPress={onUndoChange}
+            disabled={!canUndoChange}
+          >
+            <Text style={styles.actionIcon}>↶</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[styles.actionButton, !canRedoChange && styles.actionButtonDisabled]}
+            onPress={onRedoChange}
+            disabled={!canRedoChange}
+          >
+            <Text style={styles.actionIcon}>↷</Text>
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* Action Buttons - Conditional on hasDrawing */}
       {hasDrawing && (
         <View style={styles.actionsSection}>
@@ -57,6 +107,12 @@ export default function BottomToolbar({
             </TouchableOpacity>
           )}
 
+          {canDeleteVertex && (
+            <TouchableOpacity style={styles.actionButton} onPress={onDeleteVertex}>
+              <Text style={styles.actionIcon}>⌫</Text>
+            </TouchableOpacity>
+          )}
+
           <TouchableOpacity style={styles.actionButton} onPress={onComplete}>
             <Text style={styles.actionIcon}>✓</Text>
           </TouchableOpacity>
@@ -127,6 +183,10 @@ const styles = StyleSheet.create({
     alignItems: 'center',
   },
 
+  actionButtonDisabled: {
+    opacity: 0.3,
+  },
+
   actionIcon: {
     fontSize: 20,
     color: '#111827',
@@ -161,4 +221,29 @@ const styles = StyleSheet.create({
     borderRightColor: 'transparent',
     borderBottomColor: '#6b7280',
   },
+
+  lassoIcon: {
+    width: 22,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderStyle: 'dashed',
+    borderColor: '#6b7280',
+  },
+
+  corridorIcon: {
+    width: 24,
+    height: 8,
+    borderRadius: 4,
+    borderWidth: 2,
+    borderColor: '#6b7280',
+    transform: [{ rotate: '-30deg' }],
+  },
+
+  recordIcon: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    backgroundColor: '#ef4444',
+  },
 });
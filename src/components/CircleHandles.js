@@ -0,0 +1,66 @@
+import React from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Marker } from 'react-native-maps';
+import { distanceMeters, destinationPoint, clampRadius } from '../utils/geometry';
+
+/**
+ * Drag handles for circle center and radius
+ * Radius handle sits due east of center; dragging it anywhere sets radius to that distance
+ * Used both while drawing a new circle and while editing a saved one
+ */
+export default function CircleHandles({ center, radius, onChange }) {
+  const radiusHandle = destinationPoint(center, radius, 90);
+
+  const handleCenterDrag = (event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    onChange({ center: [latitude, longitude], radius });
+  };
+
+  const handleRadiusDrag = (event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    onChange({ center, radius: clampRadius(distanceMeters(center, [latitude, longitude])) });
+  };
+
+  return (
+    <>
+      <Marker
+        coordinate={{ latitude: center[0], longitude: center[1] }}
+        anchor={{ x: 0.5, y: 0.5 }}
+        draggable
+        onDrag={handleCenterDrag}
+        onDragEnd={handleCenterDrag}
+      >
+        <View style={styles.centerHandle} />
+      </Marker>
+
+      <Marker
+        coordinate={{ latitude: radiusHandle[0], longitude: radiusHandle[1] }}
+        anchor={{ x: 0.5, y: 0.5 }}
+        draggable
+        onDrag={handleRadiusDrag}
+        onDragEnd={handleRadiusDrag}
+      >
+        <View style={styles.radiusHandle} />
+      </Marker>
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  centerHandle: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: '#3b82f6',
+    borderWidth: 3,
+    borderColor: 'white',
+  },
+  radiusHandle: {
+    width: 18,
+    height: 18,
+    borderRadius: 9,
+    backgroundColor: 'white',
+    borderWidth: 3,
+    borderColor: '#3b82f6',
+  },
+});
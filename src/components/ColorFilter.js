@@ -1,32 +1,33 @@
 import React from 'react';
-import { View, TouchableOpacity, StyleSheet } from 'react-native';
-
-import { getColorOptions } from '../../shared/colors';
+import { View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
 
 /**
  * Floating vertical color filter bar
- * Toggles zone visibility by color
+ * Toggles zone visibility by palette color, ✎ opens palette editor
  */
-export default function ColorFilter({ activeColors, onToggleColor }) {
-  const colors = getColorOptions();
-
+export default function ColorFilter({ colors, activeColors, onToggleColor, onEditPalette }) {
   return (
     <View style={styles.container}>
-      {colors.map((color) => {
-        const isActive = activeColors.includes(color.value);
+      <ScrollView style={styles.list} contentContainerStyle={styles.listContent}>
+        {colors.map((color) => {
+          const isActive = activeColors.includes(color.value);
 
-        return (
-          <TouchableOpacity
-            key={color.value}
-            style={[
-              styles.colorButton,
-              { backgroundColor: color.hex },
-              !isActive && styles.colorButtonInactive,
-            ]}
-            onPress={() => onToggleColor(color.value)}
-          />
-        );
-      })}
+          return (
+            <TouchableOpacity
+              key={color.value}
+              style={[
+                styles.colorButton,
+                { backgroundColor: color.hex },
+                !isActive && styles.colorButtonInactive,
+              ]}
+              onPress={() => onToggleColor(color.value)}
+            />
+          );
+        })}
+      </ScrollView>
+      <TouchableOpacity style={styles.editButton} onPress={onEditPalette}>
+        <Text style={styles.editIcon}>✎</Text>
+      </TouchableOpacity>
     </View>
   );
 }
@@ -47,6 +48,12 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 4,
   },
+  list: {
+    maxHeight: 260, // ~6 colors, more scroll
+  },
+  listContent: {
+    gap: 8,
+  },
   colorButton: {
     width: 36,
     height: 36,
@@ -63,4 +70,16 @@ const styles = StyleSheet.create({
     opacity: 0.3,
     borderColor: '#e5e7eb',
   },
+  editButton: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    backgroundColor: '#f3f4f6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  editIcon: {
+    fontSize: 18,
+    color: '#6b7280',
+  },
 });
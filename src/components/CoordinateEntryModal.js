@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import { parseCoordinateList, parseCoordinateLine } from '../utils/coordinateParser';
+import { CIRCLE_RADIUS } from '../../shared/constants';
+
+/**
+ * Modal for creating zone from typed/pasted coordinates
+ * Polygon: one point per line (decimal, DMS, or "lat, lng")
+ * Circle: center point + radius in meters
+ * Parse errors are shown per line; geometry validation is done by parent
+ * (onSubmit returns error message to keep the modal open, or null on success)
+ */
+export default function CoordinateEntryModal({ visible, onSubmit, onCancel }) {
+  const [shapeType, setShapeType] = useState('polygon'); // 'polygon' | 'circle'
+  const [pointsText, setPointsText] = useState('');
+  const [centerText, setCenterText] = useState('');
+  const [radiusText, setRadiusText] = useState(String(CIRCLE_RADIUS.DEFAULT));
+  const [errors, setErrors] = useState([]);
+
+  // Clear errors on open (keep text so a rejected entry can be fixed)
+  useEffect(() => {
+    if (visible) {
+      setErrors([]);
+    }
+  }, [visible]);
+
+  const handleSubmit = () => {
+    if (shapeType === 'polygon') {
+      const { points, errors: parseErrors } = parseCoordinateList(pointsText);
+
+      if (parseErrors.length > 0) {
+        setErrors(parseErrors.map((e) => `Line ${e.line}: ${e.message}`));
+        return;
+      }
+      if (points.length < 3) {
+        setErrors(['Polygon needs at least 3 points']);
+        return;
+      }
+
+      const error = onSubmit({ type: 'polygon', coordinates: points });
+      setErrors(error ? [error] : []);
+      return;
+    }
+
+    // Circle
+    const center = parseCoordinateLine(centerText);
+    const radius = parseFloat(radiusText.replace(',', '.'));
+    const circleErrors = [];
+
+    if (center.error) {
+      circleErrors.push(`Center: ${center.error}`);
+    }
+    if (Number.isNaN(radius) || radius < CIRCLE_RADIUS.MIN || radius > CIRCLE_RADIUS.MAX) {
+      circleErrors.push(`Radius must be ${CIRCLE_RADIUS.MIN}–${CIRCLE_RADIUS.MAX} m`);
+    }
+    if (circleErrors.length > 0) {
+      setErrors(circleErrors);
+      return;
+    }
+
+    const error = onSubmit({ type: 'circle', coordinates: [center.point], radius });
+    setErrors(error ? [error] : []);
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <Text style={styles.title}>Enter Coordinates</Text>
+
+          {/* Shape type toggle */}
+          <View style={styles.toggle}>
+            {['polygon', 'circle'].map((type) => (
+              <TouchableOpacity
+                key={type}
+                style={[styles.toggleButton, shapeType === type && styles.toggleButtonActive]}
+                onPress={() => {
+                  setShapeType(type);
+                  setErrors([]);
+                }}
+              >
+                <Text style={[styles.toggleText, shapeType === type && styles.toggleTextActive]}>
+                  {type === 'polygon' ? 'Polygon' : 'Circle'}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {shapeType === 'polygon' ? (
+            <>
+              <Text style={styles.label}>Points (one per line)</Text>
+              <TextInput
+                style={[styles.input, styles.multilineInput]}
+                value={pointsText}
+                onChangeText={setPointsText}
+                placeholder={'45.8150, 15.9819\n45°48\'54"N 15°58\'55"E\n...'}
+                placeholderTextColor="#9ca3af"
+                multiline
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+            </>
+          ) : (
+            <>
+              <Text style={styles.label}>Center</Text>
+              <TextInput
+                style={styles.input}
+                value={centerText}
+                onChangeText={setCenterText}
+                placeholder="45.8150, 15.9819"
+                placeholderTextColor="#9ca3af"
+                autoCapitalize="characters"
+                autoCorrect={false}
+              />
+
+              <Text style={styles.label}>Radius (m)</Text>
+              <TextInput
+                style={styles.input}
+                value={radiusText}
+                onChangeText={setRadiusText}
+                keyboardType="numeric"
+              />
+            </>
+          )}
+
+          {/* Per-line errors */}
+          {errors.length > 0 && (
+            <ScrollView style={styles.errorList}>
+              {errors.map((error, index) => (
+                <Text key={index} style={styles.errorText}>
+                  {error}
+                </Text>
+              ))}
+            </ScrollView>
+          )}
+
+          {/* Actions */}
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.confirmButton} onPress={handleSubmit}>
+              <Text style={styles.confirmText}>Next</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 24,
+    width: '100%',
+    maxWidth: 400,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 20,
+    color: '#111827',
+  },
+  toggle: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 20,
+  },
+  toggleButton: {
+    flex: 1,
+    padding: 10,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+    alignItems: 'center',
+  },
+  toggleButtonActive: {
+    borderColor: '#111827',
+  },
+  toggleText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  toggleTextActive: {
+    color: '#111827',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: 8,
+    color: '#374151',
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 20,
+    color: '#111827',
+  },
+  multilineInput: {
+    height: 160,
+    textAlignVertical: 'top',
+    fontFamily: 'monospace',
+    fontSize: 14,
+  },
+  errorList: {
+    maxHeight: 100,
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  errorText: {
+    fontSize: 13,
+    color: '#ef4444',
+    marginBottom: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  confirmButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+});
@@ -1,56 +1,204 @@
 import React from 'react';
+import { View, StyleSheet } from 'react-native';
 import { Circle, Polygon, Polyline, Marker } from 'react-native-maps';
-import { useZonesContext } from '../context/ZonesContext';
+import { useZonesContext, isPointByPointMode } from '../context/ZonesContext';
+import CircleHandles from './CircleHandles';
+import RectangleHandles from './RectangleHandles';
+import { rectangleCorners } from '../utils/geometry';
+import { buildCorridorRing } from '../utils/corridor';
 
 /**
  * Renders current drawing shape
  * Different from ZoneLayer which renders saved zones
  */
 export default function DrawingLayer() {
-  const { drawingMode, drawingShape } = useZonesContext();
+  const { drawingMode, drawingShape, setDrawingShape, snapIndicator, corridorWidth } =
+    useZonesContext();
 
   if (!drawingShape) return null;
 
-  // Circle: render immediately with center + radius
+  // Circle: render immediately with center + radius, plus drag handles
   if (drawingMode === 'circle' && drawingShape.center) {
+    const handleCircleChange = ({ center, radius }) => {
+      setDrawingShape({
+        center: { lat: center[0], lng: center[1] },
+        radius,
+        coordinates: [center],
+      });
+    };
+
     return (
-      <Circle
-        center={{
-          latitude: drawingShape.center.lat,
-          longitude: drawingShape.center.lng,
-        }}
-        radius={drawingShape.radius || 100}
-        fillColor="rgba(59, 130, 246, 0.3)"
-        strokeColor="#3b82f6"
-        strokeWidth={3}
-      />
+      <>
+        <Circle
+          center={{
+            latitude: drawingShape.center.lat,
+            longitude: drawingShape.center.lng,
+          }}
+          radius={drawingShape.radius || 100}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={3}
+        />
+
+        <CircleHandles
+          center={[drawingShape.center.lat, drawingShape.center.lng]}
+          radius={drawingShape.radius || 100}
+          onChange={handleCircleChange}
+        />
+      </>
     );
   }
 
-  // Rectangle: stored as polygon with 4 corners
+  // Rectangle: first corner marker, then polygon with 4 corners + resize/rotate handles
   if (drawingMode === 'rectangle' && drawingShape.coordinates) {
     const coords = drawingShape.coordinates.map((point) => ({
       latitude: point[0],
       longitude: point[1],
     }));
 
+    if (!drawingShape.rectangle) {
+      return <Marker coordinate={coords[0]} pinColor="#3b82f6" />;
+    }
+
+    const handleRectangleChange = (rectangle) => {
+      setDrawingShape({ coordinates: rectangleCorners(rectangle), rectangle });
+    };
+
+    return (
+      <>
+        <Polygon
+          coordinates={coords}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={3}
+        />
+
+        <RectangleHandles rectangle={drawingShape.rectangle} onChange={handleRectangleChange} />
+      </>
+    );
+  }
+
+  // Lasso/GPS recording: raw trace while drawing, simplified polygon once finished
+  if (drawingMode === 'lasso' || drawingMode === 'record') {
+    if (drawingShape.coordinates.length >= 3) {
+      const coords = drawingShape.coordinates.map((point) => ({
+        latitude: point[0],
+        longitude: point[1],
+      }));
+
+      return (
+        <Polygon
+          coordinates={coords}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={3}
+        />
+      );
+    }
+
+    if (drawingShape.trace?.length > 1) {
+      const trace = drawingShape.trace.map((point) => ({
+        latitude: point[0],
+        longitude: point[1],
+      }));
+
+      return (
+        <>
+          <Polyline coordinates={trace} strokeColor="#3b82f6" strokeWidth={3} />
+          {drawingMode === 'record' && (
+            <Marker coordinate={trace[trace.length - 1]} anchor={{ x: 0.5, y: 0.5 }}>
+              <View style={styles.positionDot} />
+            </Marker>
+          )}
+        </>
+      );
+    }
+
+    return null;
+  }
+
+  // Corridor: centerline with vertex markers + live buffered outline
+  if (drawingMode === 'corridor' && drawingShape.coordinates) {
+    const centerline = drawingShape.coordinates.map((point) => ({
+      latitude: point[0],
+      longitude: point[1],
+    }));
+    const outline = buildCorridorRing(drawingShape.coordinates, corridorWidth);
+
     return (
-      <Polygon
-        coordinates={coords}
-        fillColor="rgba(59, 130, 246, 0.3)"
-        strokeColor="#3b82f6"
-        strokeWidth={3}
-      />
+      <>
+        {outline && (
+          <Polygon
+            coordinates={outline.map((point) => ({ latitude: point[0], longitude: point[1] }))}
+            fillColor="rgba(59, 130, 246, 0.3)"
+            strokeColor="#3b82f6"
+            strokeWidth={2}
+          />
+        )}
+
+        {centerline.length > 1 && (
+          <Polyline
+            coordinates={centerline}
+            strokeColor="#3b82f6"
+            strokeWidth={2}
+            lineDashPattern={[6, 4]}
+          />
+        )}
+
+        {centerline.map((coord, index) => (
+          <Marker key={index} coordinate={coord} pinColor="#3b82f6" />
+        ))}
+      </>
     );
   }
 
-  // Polygon: progressive rendering based on point count
-  if (drawingMode === 'polygon' && drawingShape.coordinates) {
+  // Split: cutting line across target zone
+  if (drawingMode === 'split' && drawingShape.coordinates) {
+    const line = drawingShape.coordinates.map((point) => ({
+      latitude: point[0],
+      longitude: point[1],
+    }));
+
+    return (
+      <>
+        {line.length > 1 && (
+          <Polyline
+            coordinates={line}
+            strokeColor="#ef4444"
+            strokeWidth={3}
+            lineDashPattern={[6, 4]}
+          />
+        )}
+
+        {line.map((coord, index) => (
+          <Marker key={index} coordinate={coord} pinColor="#ef4444" />
+        ))}
+      </>
+    );
+  }
+
+  // Polygon/Hole/Part: progressive rendering based on point count
+  if (isPointByPointMode(drawingMode) && drawingShape.coordinates) {
     const coords = drawingShape.coordinates.map((point) => ({
       latitude: point[0],
       longitude: point[1],
     }));
 
+    // Ring around last snapped point (square = vertex, round = edge)
+    const snapMarker = snapIndicator && (
+      <Marker
+        coordinate={{ latitude: snapIndicator.point[0], longitude: snapIndicator.point[1] }}
+        anchor={{ x: 0.5, y: 0.5 }}
+      >
+        <View
+          style={[
+            styles.snapIndicator,
+            snapIndicator.kind === 'vertex' && styles.snapIndicatorVertex,
+          ]}
+        />
+      </Marker>
+    );
+
     // < 3 points: show markers + connecting line (no fill)
     if (coords.length < 3) {
       return (
@@ -62,6 +210,8 @@ export default function DrawingLayer() {
           {coords.length > 1 && (
             <Polyline coordinates={coords} strokeColor="#3b82f6" strokeWidth={3} />
           )}
+
+          {snapMarker}
         </>
       );
     }
@@ -79,9 +229,33 @@ export default function DrawingLayer() {
           strokeColor="#3b82f6"
           strokeWidth={3}
         />
+
+        {snapMarker}
       </>
     );
   }
 
   return null;
 }
+
+const styles = StyleSheet.create({
+  snapIndicator: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    borderWidth: 3,
+    borderColor: '#10b981',
+    backgroundColor: 'transparent',
+  },
+  snapIndicatorVertex: {
+    borderRadius: 4,
+  },
+  positionDot: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    borderWidth: 3,
+    borderColor: 'white',
+    backgroundColor: '#3b82f6',
+  },
+});
@@ -0,0 +1,71 @@
+import React, { useRef } from 'react';
+import { View, PanResponder, StyleSheet } from 'react-native';
+
+// Minimum finger movement between recorded samples (screen points)
+const MIN_SAMPLE_DISTANCE = 4;
+
+/**
+ * Transparent touch-capturing overlay for freehand lasso drawing
+ * Converts finger positions to map coordinates via MapView.coordinateForPoint
+ * Blocks map panning while mounted (parent mounts it only while tracing is possible)
+ */
+export default function LassoOverlay({ mapRef, onTrace, onTraceEnd }) {
+  const callbacksRef = useRef({ onTrace, onTraceEnd });
+  callbacksRef.current = { onTrace, onTraceEnd };
+
+  const pendingRef = useRef([]); // coordinateForPoint promises (in touch order)
+  const lastSampleRef = useRef(null);
+
+  const addSample = (event) => {
+    const { locationX, locationY } = event.nativeEvent;
+    const last = lastSampleRef.current;
+
+    if (last && Math.hypot(locationX - last.x, locationY - last.y) < MIN_SAMPLE_DISTANCE) {
+      return;
+    }
+    if (!mapRef.current) return;
+
+    lastSampleRef.current = { x: locationX, y: locationY };
+    pendingRef.current.push(mapRef.current.coordinateForPoint({ x: locationX, y: locationY }));
+
+    // Live trace: resolve everything collected so far
+    const pending = pendingRef.current;
+    Promise.all(pending)
+      .then((coords) => {
+        if (pending === pendingRef.current) {
+          callbacksRef.current.onTrace?.(coords.map((c) => [c.latitude, c.longitude]));
+        }
+      })
+      .catch((error) => {
+        // Live trace just isn't updated; release reports the failure (empty trace)
+        console.error('[LassoOverlay] Error converting live trace:', error);
+      });
+  };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderGrant: (event) => {
+        pendingRef.current = [];
+        lastSampleRef.current = null;
+        addSample(event);
+      },
+      onPanResponderMove: (event) => addSample(event),
+      onPanResponderRelease: async () => {
+        const pending = pendingRef.current;
+        pendingRef.current = [];
+
+        try {
+          const coords = await Promise.all(pending);
+          callbacksRef.current.onTraceEnd(coords.map((c) => [c.latitude, c.longitude]));
+        } catch (error) {
+          console.error('[LassoOverlay] Error converting trace:', error);
+          callbacksRef.current.onTraceEnd([]);
+        }
+      },
+    })
+  ).current;
+
+  return <View style={StyleSheet.absoluteFill} {...panResponder.panHandlers} />;
+}
@@ -0,0 +1,433 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  StyleSheet,
+} from 'react-native';
+import { DEFAULT_LAYER_ID, LAYER_STYLE } from '../../shared/constants';
+import { getZoneLayer, validateLayerName } from '../utils/layers';
+import { getPaletteHex } from '../utils/palette';
+
+// Style choices offered in layer editor
+const FILL_OPTIONS = [0.1, 0.25, 0.5];
+const STROKE_OPTIONS = [1, 2, 4];
+
+/**
+ * Layer manager: visibility, lock and draw order per layer (top of list = drawn on top)
+ * Tap layer name to edit name/style; editor replaces the New Layer button at the bottom
+ */
+export default function LayersModal({
+  visible,
+  layers,
+  zones,
+  colors,
+  onAdd,
+  onUpdate,
+  onMove,
+  onDelete,
+  onError,
+  onClose,
+}) {
+  const [editing, setEditing] = useState(null); // { layer } (layer null = new layer)
+  const [name, setName] = useState('');
+  const [style, setStyle] = useState(LAYER_STYLE);
+
+  // Reset editor when opened
+  useEffect(() => {
+    if (visible) {
+      setEditing(null);
+    }
+  }, [visible]);
+
+  const startEdit = (layer = null) => {
+    setEditing({ layer });
+    setName(layer ? layer.name : '');
+    setStyle(layer ? layer.style : LAYER_STYLE);
+  };
+
+  const handleSave = () => {
+    const trimmed = name.trim();
+    const error = validateLayerName(trimmed, layers, editing.layer?.id);
+    if (error) {
+      onError?.(error);
+      return;
+    }
+
+    if (editing.layer) {
+      onUpdate(editing.layer, { name: trimmed, style });
+    } else {
+      onAdd(trimmed, style);
+    }
+    setEditing(null);
+  };
+
+  const handleDelete = () => {
+    onDelete(editing.layer);
+    setEditing(null);
+  };
+
+  const countZones = (layer) => zones.filter((zone) => getZoneLayer(layers, zone) === layer).length;
+
+  // Top layer first
+  const ordered = [...layers].reverse();
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          {/* Header with close button */}
+          <View style={styles.header}>
+            <Text style={styles.title}>Layers</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.closeButton}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Layer list (draw order) */}
+          <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+            {ordered.map((layer, index) => (
+              <View key={layer.id} style={styles.item}>
+                <TouchableOpacity onPress={() => onUpdate(layer, { visible: !layer.visible })}>
+                  <Text style={[styles.toggle, !layer.visible && styles.toggleOff]}>
+                    {layer.visible ? '👁' : '—'}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.itemName} onPress={() => startEdit(layer)}>
+                  <View style={styles.nameRow}>
+                    <View
+                      style={[
+                        styles.swatch,
+                        { backgroundColor: getPaletteHex(colors, layer.style.color) },
+                      ]}
+                    />
+                    <Text style={[styles.name, !layer.visible && styles.hiddenName]}>
+                      {layer.name}
+                    </Text>
+                  </View>
+                  <Text style={styles.count}>{countZones(layer)} zones</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => onUpdate(layer, { locked: !layer.locked })}>
+                  <Text style={[styles.toggle, !layer.locked && styles.toggleOff]}>
+                    {layer.locked ? '🔒' : '🔓'}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => onMove(layer, 1)} disabled={index === 0}>
+                  <Text style={[styles.orderButton, index === 0 && styles.orderDisabled]}>▲</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  onPress={() => onMove(layer, -1)}
+                  disabled={index === ordered.length - 1}
+                >
+                  <Text
+                    style={[
+                      styles.orderButton,
+                      index === ordered.length - 1 && styles.orderDisabled,
+                    ]}
+                  >
+                    ▼
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+          </ScrollView>
+
+          {/* Layer editor (name + style) */}
+          {editing ? (
+            <View style={styles.editor}>
+              <TextInput
+                style={styles.input}
+                value={name}
+                onChangeText={setName}
+                placeholder="Layer name"
+                placeholderTextColor="#9ca3af"
+              />
+
+              <Text style={styles.label}>Default color</Text>
+              <View style={styles.optionRow}>
+                {colors.map((colorOption) => (
+                  <TouchableOpacity
+                    key={colorOption.value}
+                    style={[
+                      styles.colorButton,
+                      style.color === colorOption.value && styles.optionSelected,
+                    ]}
+                    onPress={() => setStyle({ ...style, color: colorOption.value })}
+                  >
+                    <View style={[styles.colorCircle, { backgroundColor: colorOption.hex }]} />
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <Text style={styles.label}>Fill / outline</Text>
+              <View style={styles.optionRow}>
+                {FILL_OPTIONS.map((fillOpacity) => (
+                  <TouchableOpacity
+                    key={`fill-${fillOpacity}`}
+                    style={[
+                      styles.chip,
+                      style.fillOpacity === fillOpacity && styles.optionSelected,
+                    ]}
+                    onPress={() => setStyle({ ...style, fillOpacity })}
+                  >
+                    <Text style={styles.chipText}>{Math.round(fillOpacity * 100)}%</Text>
+                  </TouchableOpacity>
+                ))}
+                {STROKE_OPTIONS.map((strokeWidth) => (
+                  <TouchableOpacity
+                    key={`stroke-${strokeWidth}`}
+                    style={[
+                      styles.chip,
+                      style.strokeWidth === strokeWidth && styles.optionSelected,
+                    ]}
+                    onPress={() => setStyle({ ...style, strokeWidth })}
+                  >
+                    <Text style={styles.chipText}>{strokeWidth} px</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <View style={styles.switchRow}>
+                <Text style={styles.switchText}>Dashed outline</Text>
+                <Switch
+                  value={style.dashed}
+                  onValueChange={(dashed) => setStyle({ ...style, dashed })}
+                />
+              </View>
+
+              <View style={styles.actions}>
+                {editing.layer && editing.layer.id !== DEFAULT_LAYER_ID && (
+                  <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+                    <Text style={styles.deleteText}>Delete</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity style={styles.cancelButton} onPress={() => setEditing(null)}>
+                  <Text style={styles.cancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.confirmButton} onPress={handleSave}>
+                  <Text style={styles.confirmText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.newButton} onPress={() => startEdit()}>
+              <Text style={styles.newText}>New Layer</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: '85%',
+    paddingBottom: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  closeButton: {
+    fontSize: 32,
+    color: '#6b7280',
+    lineHeight: 32,
+    fontWeight: '300',
+  },
+  list: {
+    maxHeight: 280,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 12,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  itemName: {
+    flex: 1,
+  },
+  nameRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  swatch: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    marginRight: 8,
+  },
+  name: {
+    fontSize: 16,
+    color: '#111827',
+  },
+  hiddenName: {
+    color: '#9ca3af',
+  },
+  count: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  toggle: {
+    fontSize: 18,
+    width: 24,
+    textAlign: 'center',
+    color: '#111827',
+  },
+  toggleOff: {
+    opacity: 0.4,
+  },
+  orderButton: {
+    fontSize: 14,
+    color: '#111827',
+    padding: 4,
+  },
+  orderDisabled: {
+    color: '#d1d5db',
+  },
+  editor: {
+    padding: 20,
+    paddingBottom: 0,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+    color: '#111827',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: 8,
+    color: '#374151',
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  colorButton: {
+    padding: 3,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+  },
+  colorCircle: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#111827',
+  },
+  optionSelected: {
+    borderColor: '#111827',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  switchText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#111827',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  deleteButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#ef4444',
+    alignItems: 'center',
+  },
+  deleteText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  confirmButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  newButton: {
+    margin: 20,
+    marginBottom: 0,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  newText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+});
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+
+/**
+ * Merge prompt: choose which zone's name and which color the merged zone keeps
+ * Merged zone keeps the id of the zone whose name was chosen
+ */
+export default function MergeZonesModal({ visible, zones, onConfirm, onCancel }) {
+  const [nameZoneId, setNameZoneId] = useState(null);
+  const [color, setColor] = useState(null);
+
+  // Default to first selected zone
+  useEffect(() => {
+    if (visible && zones.length > 0) {
+      setNameZoneId(zones[0].id);
+      setColor(zones[0].color);
+    }
+  }, [visible, zones]);
+
+  // One swatch per distinct color among selected zones
+  const colorOptions = zones.filter(
+    (zone, index) => zones.findIndex((other) => other.color === zone.color) === index
+  );
+
+  const handleConfirm = () => {
+    const nameZone = zones.find((zone) => zone.id === nameZoneId);
+    if (!nameZone) return;
+    onConfirm({ keepId: nameZone.id, name: nameZone.name, color });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <Text style={styles.title}>Merge {zones.length} Zones</Text>
+
+          <Text style={styles.label}>Keep name</Text>
+          <ScrollView style={styles.nameList}>
+            {zones.map((zone) => (
+              <TouchableOpacity
+                key={zone.id}
+                style={[styles.nameOption, nameZoneId === zone.id && styles.nameOptionSelected]}
+                onPress={() => setNameZoneId(zone.id)}
+              >
+                <View style={[styles.colorDot, { backgroundColor: zone.colorHex }]} />
+                <Text style={styles.nameText}>{zone.name}</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          <Text style={styles.label}>Keep color</Text>
+          <View style={styles.colorGrid}>
+            {colorOptions.map((zone) => (
+              <TouchableOpacity
+                key={zone.color}
+                style={[styles.colorButton, color === zone.color && styles.colorButtonSelected]}
+                onPress={() => setColor(zone.color)}
+              >
+                <View style={[styles.colorCircle, { backgroundColor: zone.colorHex }]} />
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {/* Actions */}
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.confirmButton} onPress={handleConfirm}>
+              <Text style={styles.confirmText}>Merge</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 24,
+    width: '100%',
+    maxWidth: 400,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 20,
+    color: '#111827',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: 8,
+    color: '#374151',
+  },
+  nameList: {
+    maxHeight: 200,
+    marginBottom: 20,
+  },
+  nameOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+    marginBottom: 8,
+  },
+  nameOptionSelected: {
+    borderColor: '#111827',
+  },
+  colorDot: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    marginRight: 10,
+  },
+  nameText: {
+    fontSize: 16,
+    color: '#111827',
+  },
+  colorGrid: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 24,
+    flexWrap: 'wrap',
+  },
+  colorButton: {
+    padding: 4,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+    backgroundColor: 'white',
+  },
+  colorButtonSelected: {
+    borderColor: '#111827',
+  },
+  colorCircle: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  confirmButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+});
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+
+/**
+ * Floating panel with live value readout and numeric entry
+ * Shown above the toolbar (circle radius, lasso tolerance, etc.)
+ */
+export default function NumericInputPanel({ label, value, unit = 'm', hint, onChangeValue }) {
+  const [text, setText] = useState(String(Math.round(value)));
+
+  // Keep input in sync with external changes (e.g., handle drags)
+  useEffect(() => {
+    setText(String(Math.round(value)));
+  }, [value]);
+
+  const handleSubmit = () => {
+    const parsed = parseFloat(text.replace(',', '.'));
+    if (Number.isNaN(parsed)) {
+      setText(String(Math.round(value)));
+      return;
+    }
+    onChangeValue(parsed);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>{label}</Text>
+      <TextInput
+        style={styles.input}
+        value={text}
+        onChangeText={setText}
+        onSubmitEditing={handleSubmit}
+        onBlur={handleSubmit}
+        keyboardType="numeric"
+        returnKeyType="done"
+        selectTextOnFocus
+      />
+      <Text style={styles.unit}>{unit}</Text>
+      {hint ? <Text style={styles.hint}>{hint}</Text> : null}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    bottom: 130,
+    left: 20,
+    right: 20,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginRight: 12,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    fontSize: 16,
+    color: '#111827',
+  },
+  unit: {
+    fontSize: 14,
+    color: '#374151',
+    marginLeft: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#9ca3af',
+    marginLeft: 12,
+  },
+});
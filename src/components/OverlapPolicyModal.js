@@ -0,0 +1,201 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Switch,
+  StyleSheet,
+} from 'react-native';
+import { canOverlap, setPairAllowed } from '../utils/overlapPolicy';
+
+/**
+ * Overlap rules editor
+ * One switch per color pair (incl. same color), layer scope, touching rule and minimum overlap area
+ * Changes are kept locally until Save
+ */
+export default function OverlapPolicyModal({ visible, policy, colors, onSave, onCancel, onError }) {
+  const [draft, setDraft] = useState(policy);
+  const [minAreaText, setMinAreaText] = useState('');
+
+  // Every unordered pair, same-color pairs first in each group
+  const pairs = colors.flatMap((colorA, indexA) =>
+    colors.slice(indexA).map((colorB) => [colorA, colorB])
+  );
+
+  // Reset draft when opened
+  useEffect(() => {
+    if (visible) {
+      setDraft(policy);
+      setMinAreaText(String(policy.minOverlapArea));
+    }
+  }, [visible, policy]);
+
+  const handleSave = () => {
+    const minOverlapArea = Number(minAreaText.replace(',', '.'));
+    if (!Number.isFinite(minOverlapArea) || minOverlapArea < 0) {
+      onError?.('Minimum overlap must be a number ≥ 0');
+      return;
+    }
+    onSave({ ...draft, minOverlapArea });
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="fade" onRequestClose={onCancel}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          <Text style={styles.title}>Overlap Rules</Text>
+
+          <Text style={styles.label}>Allowed to overlap</Text>
+          <ScrollView style={styles.pairList}>
+            {pairs.map(([colorA, colorB]) => (
+              <View key={`${colorA.value}-${colorB.value}`} style={styles.row}>
+                <View style={[styles.colorDot, { backgroundColor: colorA.hex }]} />
+                <View style={[styles.colorDot, { backgroundColor: colorB.hex }]} />
+                <Text style={styles.rowText}>
+                  {colorA.value === colorB.value
+                    ? `${colorA.label} (same color)`
+                    : `${colorA.label} + ${colorB.label}`}
+                </Text>
+                <Switch
+                  value={canOverlap(draft, colorA.value, colorB.value)}
+                  onValueChange={(allowed) =>
+                    setDraft(setPairAllowed(draft, colorA.value, colorB.value, allowed))
+                  }
+                />
+              </View>
+            ))}
+          </ScrollView>
+
+          <View style={styles.row}>
+            <Text style={styles.rowText}>Zones on different layers may overlap</Text>
+            <Switch
+              value={draft.layerScoped}
+              onValueChange={(layerScoped) => setDraft({ ...draft, layerScoped })}
+            />
+          </View>
+
+          <View style={styles.row}>
+            <Text style={styles.rowText}>Touching edges count as overlap</Text>
+            <Switch
+              value={draft.touchingCounts}
+              onValueChange={(touchingCounts) => setDraft({ ...draft, touchingCounts })}
+            />
+          </View>
+
+          <Text style={styles.label}>Ignore overlaps smaller than (m²)</Text>
+          <TextInput
+            style={styles.input}
+            value={minAreaText}
+            onChangeText={setMinAreaText}
+            keyboardType="decimal-pad"
+            placeholder="0"
+            placeholderTextColor="#9ca3af"
+          />
+
+          {/* Actions */}
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.confirmButton} onPress={handleSave}>
+              <Text style={styles.confirmText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 24,
+    width: '100%',
+    maxWidth: 400,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 20,
+    color: '#111827',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    marginBottom: 8,
+    color: '#374151',
+  },
+  pairList: {
+    maxHeight: 240,
+    marginBottom: 12,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    marginBottom: 4,
+  },
+  colorDot: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    marginRight: 4,
+  },
+  rowText: {
+    flex: 1,
+    fontSize: 15,
+    color: '#111827',
+    marginLeft: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 24,
+    color: '#111827',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  confirmButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+});
@@ -0,0 +1,96 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+/**
+ * Bottom panel offering ways to resolve overlap of a new zone
+ * Non-modal so the highlighted intersection stays visible on the map
+ */
+export default function OverlapResolutionPanel({
+  zoneCount,
+  overlapArea,
+  onTrimNew,
+  onTrimExisting,
+  onCancel,
+}) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>
+        Overlaps {zoneCount} zone{zoneCount > 1 ? 's' : ''}
+      </Text>
+      <Text style={styles.details}>{Math.round(overlapArea)} m² shared area (highlighted)</Text>
+
+      <TouchableOpacity style={styles.actionButton} onPress={onTrimNew}>
+        <Text style={styles.actionText}>Trim new zone</Text>
+        <Text style={styles.actionHint}>Subtract existing zones from the new one</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.actionButton} onPress={onTrimExisting}>
+        <Text style={styles.actionText}>Trim existing zones</Text>
+        <Text style={styles.actionHint}>Subtract the new zone from existing ones</Text>
+      </TouchableOpacity>
+
+      <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+        <Text style={styles.cancelText}>Cancel</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    bottom: 0,
+    left: 0,
+    right: 0,
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    padding: 20,
+    paddingBottom: 40,
+    elevation: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: -2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#111827',
+    marginBottom: 2,
+  },
+  details: {
+    fontSize: 13,
+    color: '#ef4444',
+    marginBottom: 16,
+  },
+  actionButton: {
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    marginBottom: 10,
+  },
+  actionText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  actionHint: {
+    fontSize: 12,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  cancelButton: {
+    padding: 14,
+    alignItems: 'center',
+    backgroundColor: '#f3f4f6',
+    borderRadius: 8,
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+});
@@ -0,0 +1,382 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import { validatePaletteEntry } from '../utils/palette';
+
+// Quick picks in color editor (any '#rrggbb' can be typed)
+const PRESET_HEXES = [
+  '#ef4444',
+  '#f97316',
+  '#eab308',
+  '#84cc16',
+  '#10b981',
+  '#06b6d4',
+  '#3b82f6',
+  '#6366f1',
+  '#a855f7',
+  '#ec4899',
+  '#78716c',
+  '#111827',
+];
+
+/**
+ * Palette editor: add, rename, recolor and remove zone colors
+ * Removing asks which color the zones (and layers) using it get instead
+ */
+export default function PaletteModal({
+  visible,
+  palette,
+  zones,
+  onAdd,
+  onUpdate,
+  onRemove,
+  onError,
+  onClose,
+}) {
+  const [editing, setEditing] = useState(null); // { entry, removing } (entry null = new color)
+  const [label, setLabel] = useState('');
+  const [hex, setHex] = useState('');
+  const [replacement, setReplacement] = useState(null); // Color for zones of removed entry
+
+  // Reset editor when opened
+  useEffect(() => {
+    if (visible) {
+      setEditing(null);
+    }
+  }, [visible]);
+
+  const startEdit = (entry = null) => {
+    setEditing({ entry, removing: false });
+    setLabel(entry ? entry.label : '');
+    setHex(entry ? entry.hex : PRESET_HEXES[0]);
+  };
+
+  const startRemove = () => {
+    setEditing({ ...editing, removing: true });
+    setReplacement(palette.find((entry) => entry.value !== editing.entry.value).value);
+  };
+
+  const handleSave = () => {
+    const trimmed = label.trim();
+    const normalizedHex = hex.trim();
+    const error = validatePaletteEntry(trimmed, normalizedHex, palette, editing.entry?.value);
+    if (error) {
+      onError?.(error);
+      return;
+    }
+
+    if (editing.entry) {
+      onUpdate(editing.entry, { label: trimmed, hex: normalizedHex });
+    } else {
+      onAdd(trimmed, normalizedHex);
+    }
+    setEditing(null);
+  };
+
+  const handleRemove = () => {
+    onRemove(editing.entry, replacement);
+    setEditing(null);
+  };
+
+  const countZones = (value) => zones.filter((zone) => zone.color === value).length;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          {/* Header with close button */}
+          <View style={styles.header}>
+            <Text style={styles.title}>Color Palette</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.closeButton}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Palette colors */}
+          <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+            {palette.map((entry) => (
+              <TouchableOpacity
+                key={entry.value}
+                style={styles.item}
+                onPress={() => startEdit(entry)}
+              >
+                <View style={[styles.swatch, { backgroundColor: entry.hex }]} />
+                <Text style={styles.name}>{entry.label}</Text>
+                <Text style={styles.count}>{countZones(entry.value)} zones</Text>
+              </TouchableOpacity>
+            ))}
+          </ScrollView>
+
+          {/* Remove prompt (replacement color) */}
+          {editing?.removing && (
+            <View style={styles.editor}>
+              <Text style={styles.promptText}>
+                Remove &quot;{editing.entry.label}&quot;? Its {countZones(editing.entry.value)}{' '}
+                zone(s) get this color instead:
+              </Text>
+              <View style={styles.optionRow}>
+                {palette
+                  .filter((entry) => entry.value !== editing.entry.value)
+                  .map((entry) => (
+                    <TouchableOpacity
+                      key={entry.value}
+                      style={[
+                        styles.colorButton,
+                        replacement === entry.value && styles.optionSelected,
+                      ]}
+                      onPress={() => setReplacement(entry.value)}
+                    >
+                      <View style={[styles.colorCircle, { backgroundColor: entry.hex }]} />
+                    </TouchableOpacity>
+                  ))}
+              </View>
+              <View style={styles.actions}>
+                <TouchableOpacity style={styles.cancelButton} onPress={() => setEditing(null)}>
+                  <Text style={styles.cancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.deleteButton} onPress={handleRemove}>
+                  <Text style={styles.deleteText}>Remove</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+
+          {/* Color editor (name + hex) */}
+          {editing && !editing.removing && (
+            <View style={styles.editor}>
+              <View style={styles.inputRow}>
+                <TextInput
+                  style={[styles.input, styles.labelInput]}
+                  value={label}
+                  onChangeText={setLabel}
+                  placeholder="Color name"
+                  placeholderTextColor="#9ca3af"
+                />
+                <TextInput
+                  style={[styles.input, styles.hexInput]}
+                  value={hex}
+                  onChangeText={setHex}
+                  placeholder="#3b82f6"
+                  placeholderTextColor="#9ca3af"
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              </View>
+
+              <View style={styles.optionRow}>
+                {PRESET_HEXES.map((preset) => (
+                  <TouchableOpacity
+                    key={preset}
+                    style={[
+                      styles.colorButton,
+                      hex.toLowerCase() === preset && styles.optionSelected,
+                    ]}
+                    onPress={() => setHex(preset)}
+                  >
+                    <View style={[styles.colorCircle, { backgroundColor: preset }]} />
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <View style={styles.actions}>
+                {editing.entry && palette.length > 1 && (
+                  <TouchableOpacity style={styles.deleteButton} onPress={startRemove}>
+                    <Text style={styles.deleteText}>Remove</Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity style={styles.cancelButton} onPress={() => setEditing(null)}>
+                  <Text style={styles.cancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.confirmButton} onPress={handleSave}>
+                  <Text style={styles.confirmText}>Save</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+
+          {!editing && (
+            <TouchableOpacity style={styles.newButton} onPress={() => startEdit()}>
+              <Text style={styles.newText}>New Color</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: '85%',
+    paddingBottom: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  closeButton: {
+    fontSize: 32,
+    color: '#6b7280',
+    lineHeight: 32,
+    fontWeight: '300',
+  },
+  list: {
+    maxHeight: 280,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 14,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  swatch: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+  },
+  name: {
+    flex: 1,
+    fontSize: 16,
+    color: '#111827',
+  },
+  count: {
+    fontSize: 13,
+    color: '#6b7280',
+  },
+  editor: {
+    padding: 20,
+    paddingBottom: 0,
+  },
+  promptText: {
+    fontSize: 15,
+    color: '#374151',
+    marginBottom: 12,
+    lineHeight: 22,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+    color: '#111827',
+  },
+  labelInput: {
+    flex: 1,
+  },
+  hexInput: {
+    width: 110,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  colorButton: {
+    padding: 3,
+    borderRadius: 10,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+  },
+  colorCircle: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+  },
+  optionSelected: {
+    borderColor: '#111827',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  deleteButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#ef4444',
+    alignItems: 'center',
+  },
+  deleteText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  confirmButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  newButton: {
+    margin: 20,
+    marginBottom: 0,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  newText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+});
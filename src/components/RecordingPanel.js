@@ -0,0 +1,64 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+/**
+ * Floating status panel for GPS perimeter recording
+ * Shown above the toolbar (kept points, last accuracy, dropped fixes)
+ */
+export default function RecordingPanel({ isRecording, points, accuracy, dropped }) {
+  return (
+    <View style={styles.container}>
+      <View style={[styles.dot, !isRecording && styles.dotStopped]} />
+      <Text style={styles.label}>{isRecording ? 'Recording' : 'Stopped'}</Text>
+      <Text style={styles.value}>{points} points</Text>
+      {accuracy != null && <Text style={styles.hint}>±{Math.round(accuracy)} m</Text>}
+      {dropped > 0 && <Text style={styles.hint}>{dropped} dropped</Text>}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    bottom: 130,
+    left: 20,
+    right: 20,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  dot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    backgroundColor: '#ef4444',
+    marginRight: 8,
+  },
+  dotStopped: {
+    backgroundColor: '#9ca3af',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+    marginRight: 12,
+  },
+  value: {
+    flex: 1,
+    fontSize: 16,
+    color: '#111827',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#9ca3af',
+    marginLeft: 12,
+  },
+});
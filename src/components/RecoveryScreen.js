@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import ConfirmationModal from './ConfirmationModal';
+
+/**
+ * Shown instead of the map when saved zones could not be read, or a change could not be saved
+ * Nothing is saved until user picks an option, so unreadable data is never overwritten
+ * error: storageError from useZones ({ reason: 'corrupt' | 'missing' | 'failed' | 'newer' | 'save', lastGood })
+ * onRetry: reload zones, or save them again after a failed save
+ */
+export default function RecoveryScreen({ error, onRestore, onDiscard, onRetry }) {
+  const [confirmDiscard, setConfirmDiscard] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [actionError, setActionError] = useState(null); // Message of last failed option
+
+  const { lastGood } = error;
+
+  const run = async (action) => {
+    setBusy(true);
+    setActionError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('[RecoveryScreen] Recovery option failed:', err);
+      setActionError(`That didn't work (${err.message || 'storage error'}). Try another option.`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.card}>
+        <Text style={styles.title}>
+          {error.reason === 'save' ? 'Changes could not be saved' : 'Saved zones could not be read'}
+        </Text>
+        <Text style={styles.message}>
+          {error.reason === 'corrupt' &&
+            'Stored zone data is damaged (incomplete save or storage error).'}
+          {error.reason === 'missing' && 'Stored zone data is missing, but an earlier copy exists.'}
+          {error.reason === 'failed' &&
+            'Stored zones could not be loaded (unexpected data or storage error).'}
+          {error.reason === 'save' &&
+            'The latest zone change did not reach storage (storage full or unavailable). Try saving again, or go back to an earlier copy.'}
+          {error.reason === 'newer' &&
+            'Stored zones were saved by a newer version of the app. Update the app to open them.'}
+        </Text>
+
+        {actionError && <Text style={styles.errorText}>{actionError}</Text>}
+
+        {lastGood && (
+          <TouchableOpacity
+            style={[styles.primaryButton, busy && styles.disabled]}
+            onPress={() => run(onRestore)}
+            disabled={busy}
+          >
+            <Text style={styles.primaryText}>Restore last good copy</Text>
+            <Text style={styles.detailText}>
+              {lastGood.zoneCount} zone{lastGood.zoneCount !== 1 ? 's' : ''}, saved{' '}
+              {new Date(lastGood.savedAt).toLocaleString()}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        <TouchableOpacity
+          style={[styles.secondaryButton, busy && styles.disabled]}
+          onPress={() => run(onRetry)}
+          disabled={busy}
+        >
+          <Text style={styles.secondaryText}>Try again</Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity
+          style={[styles.secondaryButton, busy && styles.disabled]}
+          onPress={() => setConfirmDiscard(true)}
+          disabled={busy}
+        >
+          <Text style={styles.dangerText}>Start with no zones</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ConfirmationModal
+        visible={confirmDiscard}
+        title="Start with no zones?"
+        message="Unreadable data is kept aside on the device, but the app will start empty."
+        confirmText="Start Empty"
+        onConfirm={() => {
+          setConfirmDiscard(false);
+          run(onDiscard);
+        }}
+        onCancel={() => setConfirmDiscard(false)}
+        type="danger"
+      />
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f9fafb',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  card: {
+    backgroundColor: 'white',
+    borderRadius: 16,
+    padding: 24,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    marginBottom: 8,
+    color: '#111827',
+  },
+  message: {
+    fontSize: 15,
+    color: '#6b7280',
+    marginBottom: 24,
+    lineHeight: 22,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#ef4444',
+    marginTop: -12,
+    marginBottom: 16,
+  },
+  primaryButton: {
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  primaryText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  detailText: {
+    fontSize: 13,
+    color: '#6b7280',
+    marginTop: 2,
+  },
+  secondaryButton: {
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  secondaryText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  dangerText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
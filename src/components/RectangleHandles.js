@@ -0,0 +1,105 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Marker, Polyline } from 'react-native-maps';
+import {
+  rectangleCorners,
+  rectangleFromCorners,
+  destinationPoint,
+  bearingBetween,
+} from '../utils/geometry';
+
+// Distance of rotation handle beyond the top edge (meters)
+const ROTATION_HANDLE_OFFSET = 30;
+
+/**
+ * Drag handles for a rotated rectangle
+ * Corners: drag to resize (opposite corner stays fixed)
+ * Rotation handle: above top edge, drag to turn around center
+ * Used both while drawing a new rectangle and while editing a saved one
+ */
+export default function RectangleHandles({ rectangle, onChange }) {
+  const corners = rectangleCorners(rectangle);
+  const topCenter = destinationPoint(rectangle.center, rectangle.height / 2, rectangle.bearing);
+  const rotationHandle = destinationPoint(
+    rectangle.center,
+    rectangle.height / 2 + ROTATION_HANDLE_OFFSET,
+    rectangle.bearing
+  );
+
+  const handleCornerDrag = (index, event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    const opposite = corners[(index + 2) % 4];
+    onChange(rectangleFromCorners(opposite, [latitude, longitude], rectangle.bearing));
+  };
+
+  const handleRotationDrag = (event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    onChange({
+      ...rectangle,
+      bearing: bearingBetween(rectangle.center, [latitude, longitude]),
+    });
+  };
+
+  return (
+    <>
+      {corners.map((corner, index) => (
+        <Marker
+          key={`corner-${index}`}
+          coordinate={{ latitude: corner[0], longitude: corner[1] }}
+          anchor={{ x: 0.5, y: 0.5 }}
+          draggable
+          onDragEnd={(event) => handleCornerDrag(index, event)}
+        >
+          <View style={styles.cornerHandle} />
+        </Marker>
+      ))}
+
+      <Polyline
+        coordinates={[
+          { latitude: topCenter[0], longitude: topCenter[1] },
+          { latitude: rotationHandle[0], longitude: rotationHandle[1] },
+        ]}
+        strokeColor="#3b82f6"
+        strokeWidth={2}
+      />
+
+      <Marker
+        coordinate={{ latitude: rotationHandle[0], longitude: rotationHandle[1] }}
+        anchor={{ x: 0.5, y: 0.5 }}
+        draggable
+        onDrag={handleRotationDrag}
+        onDragEnd={handleRotationDrag}
+      >
+        <View style={styles.rotationHandle}>
+          <Text style={styles.rotationIcon}>⟳</Text>
+        </View>
+      </Marker>
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  cornerHandle: {
+    width: 18,
+    height: 18,
+    borderRadius: 3,
+    backgroundColor: 'white',
+    borderWidth: 3,
+    borderColor: '#3b82f6',
+  },
+  rotationHandle: {
+    width: 26,
+    height: 26,
+    borderRadius: 13,
+    backgroundColor: '#3b82f6',
+    borderWidth: 2,
+    borderColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  rotationIcon: {
+    fontSize: 14,
+    color: 'white',
+    fontWeight: '600',
+  },
+});
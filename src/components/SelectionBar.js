@@ -0,0 +1,79 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+
+/**
+ * Floating bar shown while picking zones for a multi-zone action (e.g. merge)
+ * Tap zones on the map to add/remove them, Done opens the action sheet
+ */
+export default function SelectionBar({ count, onDone, onCancel }) {
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>
+        {count} zone{count !== 1 ? 's' : ''} selected
+      </Text>
+      <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+        <Text style={styles.cancelText}>Cancel</Text>
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={[styles.doneButton, count === 0 && styles.doneButtonDisabled]}
+        onPress={onDone}
+        disabled={count === 0}
+      >
+        <Text style={styles.doneText}>Done</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    bottom: 130,
+    left: 20,
+    right: 20,
+    backgroundColor: 'white',
+    borderRadius: 12,
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  label: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#374151',
+  },
+  cancelButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+  },
+  cancelText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  doneButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 14,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#111827',
+  },
+  doneButtonDisabled: {
+    opacity: 0.3,
+  },
+  doneText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111827',
+  },
+});
@@ -0,0 +1,228 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Modal, View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import MapView from 'react-native-maps';
+import ZoneLayer from './ZoneLayer';
+import { calculateZoneBounds } from '../utils/zoneCalculations';
+
+/**
+ * Restore screen: list of snapshots, selected one is previewed on map before rollback
+ * Restore replaces current zones (one undo step, current zones are snapshotted first)
+ */
+export default function SnapshotsModal({
+  visible,
+  snapshots,
+  initialRegion,
+  loadSnapshot,
+  onRestore,
+  onDelete,
+  onClose,
+}) {
+  const [selected, setSelected] = useState(null);
+  const [previewZones, setPreviewZones] = useState(null); // null = not loaded / missing
+  const mapRef = useRef(null);
+  const selectedIdRef = useRef(null); // Ignores previews that finish loading after another tap
+
+  // Reset selection when opened
+  useEffect(() => {
+    if (visible) {
+      setSelected(null);
+      setPreviewZones(null);
+    }
+  }, [visible]);
+
+  const handleSelect = async (snapshot) => {
+    setSelected(snapshot);
+    setPreviewZones(null);
+    selectedIdRef.current = snapshot.id;
+
+    const zones = await loadSnapshot(snapshot.id);
+    if (selectedIdRef.current !== snapshot.id) return;
+
+    setPreviewZones(zones);
+    if (zones?.length > 0) {
+      fitToZones(zones);
+    }
+  };
+
+  /**
+   * Animate preview map to bounds of all zones
+   */
+  const fitToZones = (zones) => {
+    const allBounds = zones.map(calculateZoneBounds).filter(Boolean);
+    if (!mapRef.current || allBounds.length === 0) return;
+
+    const minLat = Math.min(...allBounds.map((b) => b.minLat));
+    const maxLat = Math.max(...allBounds.map((b) => b.maxLat));
+    const minLng = Math.min(...allBounds.map((b) => b.minLng));
+    const maxLng = Math.max(...allBounds.map((b) => b.maxLng));
+
+    mapRef.current.animateToRegion(
+      {
+        latitude: (minLat + maxLat) / 2,
+        longitude: (minLng + maxLng) / 2,
+        latitudeDelta: Math.max((maxLat - minLat) * 1.3, 0.01),
+        longitudeDelta: Math.max((maxLng - minLng) * 1.3, 0.01),
+      },
+      500
+    );
+  };
+
+  const handleDelete = () => {
+    onDelete(selected);
+    setSelected(null);
+    setPreviewZones(null);
+  };
+
+  return (
+    <Modal visible={visible} animationType="slide" onRequestClose={onClose}>
+      <View style={styles.container}>
+        {/* Header with close button */}
+        <View style={styles.header}>
+          <Text style={styles.title}>Restore Points</Text>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeButton}>×</Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Preview of selected snapshot */}
+        <MapView ref={mapRef} style={styles.map} initialRegion={initialRegion}>
+          {previewZones && <ZoneLayer zones={previewZones} />}
+        </MapView>
+
+        {/* Snapshot list (newest first) */}
+        <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+          {snapshots.length === 0 ? (
+            <Text style={styles.emptyText}>
+              No snapshots yet - one is taken daily and before zones are deleted, merged, split or
+              trimmed
+            </Text>
+          ) : (
+            snapshots.map((snapshot) => (
+              <TouchableOpacity
+                key={snapshot.id}
+                style={[styles.item, selected?.id === snapshot.id && styles.itemSelected]}
+                onPress={() => handleSelect(snapshot)}
+              >
+                <Text style={styles.itemTitle}>{snapshot.reason}</Text>
+                <Text style={styles.itemDetails}>
+                  {new Date(snapshot.createdAt).toLocaleString()} • {snapshot.zoneCount} zone
+                  {snapshot.zoneCount !== 1 ? 's' : ''}
+                </Text>
+              </TouchableOpacity>
+            ))
+          )}
+        </ScrollView>
+
+        {/* Actions for selected snapshot */}
+        {selected && (
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+              <Text style={styles.deleteText}>Delete</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.restoreButton, !previewZones && styles.disabled]}
+              onPress={() => onRestore(selected)}
+              disabled={!previewZones}
+            >
+              <Text style={styles.restoreText}>Restore</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'white',
+    paddingTop: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  closeButton: {
+    fontSize: 32,
+    color: '#6b7280',
+    lineHeight: 32,
+    fontWeight: '300',
+  },
+  map: {
+    height: '40%',
+  },
+  list: {
+    flex: 1,
+  },
+  emptyText: {
+    textAlign: 'center',
+    padding: 40,
+    fontSize: 14,
+    color: '#9ca3af',
+  },
+  item: {
+    padding: 16,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  itemSelected: {
+    backgroundColor: '#f3f4f6',
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+    marginBottom: 2,
+  },
+  itemDetails: {
+    fontSize: 13,
+    color: '#6b7280',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+    padding: 20,
+    paddingBottom: 40,
+  },
+  deleteButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+  },
+  deleteText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#ef4444',
+  },
+  restoreButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  restoreText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  disabled: {
+    opacity: 0.5,
+  },
+});
@@ -0,0 +1,138 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Polygon, Circle, Marker } from 'react-native-maps';
+import { useZonesContext } from '../context/ZonesContext';
+import { distanceMeters, bearingBetween, destinationPoint } from '../utils/geometry';
+import { getTransformRadius } from '../utils/zoneTransforms';
+
+// Distance of rotate/scale handles beyond zone boundary (meters)
+const HANDLE_OFFSET = 20;
+
+// Scale limits (relative to original size)
+const MIN_SCALE = 0.1;
+const MAX_SCALE = 10;
+
+/**
+ * Renders saved zone in transform mode with move/rotate/scale handles
+ * Center handle: drag to move
+ * Rotation handle (⟳): drag around center to rotate
+ * Scale handle (⤡): drag toward/away from center to resize uniformly
+ */
+export default function TransformLayer() {
+  const { editingZone, editShape, transformState, updateTransform } = useZonesContext();
+
+  if (!editingZone || !editShape || !transformState) return null;
+
+  const { center, rotation, scale } = transformState;
+  const handleDistance = getTransformRadius(editingZone) * scale + HANDLE_OFFSET;
+  const rotationHandle = destinationPoint(center, handleDistance, rotation);
+  const scaleHandle = destinationPoint(center, handleDistance, rotation + 135);
+
+  const toLatLng = (point) => ({ latitude: point[0], longitude: point[1] });
+
+  const handleMoveDrag = (event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    updateTransform({ center: [latitude, longitude] });
+  };
+
+  const handleRotationDrag = (event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    updateTransform({ rotation: bearingBetween(center, [latitude, longitude]) });
+  };
+
+  const handleScaleDrag = (event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    const distance = distanceMeters(center, [latitude, longitude]);
+    const newScale = (distance - HANDLE_OFFSET) / getTransformRadius(editingZone);
+    updateTransform({ scale: Math.min(MAX_SCALE, Math.max(MIN_SCALE, newScale)) });
+  };
+
+  return (
+    <>
+      {editShape.radius !== undefined ? (
+        <Circle
+          center={toLatLng(editShape.coordinates[0])}
+          radius={editShape.radius}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={3}
+        />
+      ) : (
+        <Polygon
+          coordinates={editShape.coordinates.map(toLatLng)}
+          holes={editShape.holes?.map((hole) => hole.map(toLatLng))}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={3}
+        />
+      )}
+
+      {editShape.parts?.map((part, index) => (
+        <Polygon
+          key={`part-${index}`}
+          coordinates={part.coordinates.map(toLatLng)}
+          holes={part.holes?.map((hole) => hole.map(toLatLng))}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={3}
+        />
+      ))}
+
+      <Marker
+        coordinate={toLatLng(center)}
+        anchor={{ x: 0.5, y: 0.5 }}
+        draggable
+        onDrag={handleMoveDrag}
+        onDragEnd={handleMoveDrag}
+      >
+        <View style={styles.handle}>
+          <Text style={styles.handleIcon}>✥</Text>
+        </View>
+      </Marker>
+
+      {editShape.radius === undefined && (
+        <Marker
+          coordinate={toLatLng(rotationHandle)}
+          anchor={{ x: 0.5, y: 0.5 }}
+          draggable
+          onDrag={handleRotationDrag}
+          onDragEnd={handleRotationDrag}
+        >
+          <View style={styles.handle}>
+            <Text style={styles.handleIcon}>⟳</Text>
+          </View>
+        </Marker>
+      )}
+
+      <Marker
+        coordinate={toLatLng(scaleHandle)}
+        anchor={{ x: 0.5, y: 0.5 }}
+        draggable
+        onDrag={handleScaleDrag}
+        onDragEnd={handleScaleDrag}
+      >
+        <View style={styles.handle}>
+          <Text style={styles.handleIcon}>⤡</Text>
+        </View>
+      </Marker>
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  handle: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    backgroundColor: '#3b82f6',
+    borderWidth: 2,
+    borderColor: 'white',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  handleIcon: {
+    fontSize: 14,
+    color: 'white',
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,255 @@
+import React, { useState } from 'react';
+import { View, StyleSheet } from 'react-native';
+import { Polygon, Polyline, Circle, Marker } from 'react-native-maps';
+import { useZonesContext } from '../context/ZonesContext';
+import CircleHandles from './CircleHandles';
+import RectangleHandles from './RectangleHandles';
+import { rectangleCorners } from '../utils/geometry';
+import { buildCorridorRing } from '../utils/corridor';
+
+/**
+ * Renders saved zone in geometry edit mode
+ * Polygon: vertices are draggable, edge midpoints insert a new vertex on tap
+ * (only primary part is editable, other parts of multi-part zone shown for reference)
+ * Circle: center and radius handles
+ * Rectangle (drawn as rectangle): corner resize + rotation handles
+ * Corridor: centerline vertices draggable, outline rebuilt from buffer
+ * Validation is delegated to parent (callbacks return false to reject change)
+ */
+export default function VertexEditLayer({ onMoveVertex, onInsertVertex }) {
+  const { editShape, updateEditShape, selectedVertex, setSelectedVertex } = useZonesContext();
+  const [revision, setRevision] = useState(0); // Bumped to snap rejected drags back
+
+  if (!editShape) return null;
+
+  if (editShape.radius !== undefined) {
+    const center = editShape.coordinates[0];
+
+    return (
+      <>
+        <Circle
+          center={{ latitude: center[0], longitude: center[1] }}
+          radius={editShape.radius}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={3}
+        />
+
+        <CircleHandles
+          center={center}
+          radius={editShape.radius}
+          onChange={({ center: newCenter, radius }) =>
+            updateEditShape({ coordinates: [newCenter], radius })
+          }
+        />
+      </>
+    );
+  }
+
+  const coords = editShape.coordinates.map((point) => ({
+    latitude: point[0],
+    longitude: point[1],
+  }));
+
+  const holes = editShape.holes?.map((hole) =>
+    hole.map((point) => ({ latitude: point[0], longitude: point[1] }))
+  );
+
+  // Other parts of multi-part zone (not editable here)
+  const otherParts = editShape.parts?.map((part, index) => (
+    <Polygon
+      key={`part-${index}`}
+      coordinates={part.coordinates.map((point) => ({ latitude: point[0], longitude: point[1] }))}
+      holes={part.holes?.map((hole) =>
+        hole.map((point) => ({ latitude: point[0], longitude: point[1] }))
+      )}
+      fillColor="rgba(59, 130, 246, 0.15)"
+      strokeColor="#3b82f6"
+      strokeWidth={2}
+    />
+  ));
+
+  if (editShape.corridor) {
+    const { centerline, width } = editShape.corridor;
+    const centerlineCoords = centerline.map((point) => ({
+      latitude: point[0],
+      longitude: point[1],
+    }));
+
+    const updateCenterline = (updatedCenterline) => {
+      const outline = buildCorridorRing(updatedCenterline, width);
+      if (outline) {
+        updateEditShape({
+          coordinates: outline,
+          corridor: { centerline: updatedCenterline, width },
+        });
+      }
+    };
+
+    const handleCenterlineDragEnd = (index, event) => {
+      const { latitude, longitude } = event.nativeEvent.coordinate;
+      updateCenterline(centerline.map((p, i) => (i === index ? [latitude, longitude] : p)));
+    };
+
+    const handleCenterlineInsert = (afterIndex) => {
+      const a = centerline[afterIndex];
+      const b = centerline[afterIndex + 1];
+      const updatedCenterline = [...centerline];
+      updatedCenterline.splice(afterIndex + 1, 0, [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]);
+      updateCenterline(updatedCenterline);
+      setSelectedVertex(afterIndex + 1);
+    };
+
+    return (
+      <>
+        <Polygon
+          coordinates={coords}
+          holes={holes}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={2}
+        />
+        {otherParts}
+
+        <Polyline
+          coordinates={centerlineCoords}
+          strokeColor="#3b82f6"
+          strokeWidth={2}
+          lineDashPattern={[6, 4]}
+        />
+
+        {/* Centerline midpoint handles (tap to insert point) */}
+        {centerlineCoords.slice(0, -1).map((coord, index) => (
+          <Marker
+            key={`mid-${index}`}
+            coordinate={{
+              latitude: (coord.latitude + centerlineCoords[index + 1].latitude) / 2,
+              longitude: (coord.longitude + centerlineCoords[index + 1].longitude) / 2,
+            }}
+            anchor={{ x: 0.5, y: 0.5 }}
+            onPress={() => handleCenterlineInsert(index)}
+          >
+            <View style={styles.midpointHandle} />
+          </Marker>
+        ))}
+
+        {/* Centerline vertex handles (drag to move, tap to select) */}
+        {centerlineCoords.map((coord, index) => (
+          <Marker
+            key={`vertex-${index}`}
+            coordinate={coord}
+            anchor={{ x: 0.5, y: 0.5 }}
+            draggable
+            onDragEnd={(event) => handleCenterlineDragEnd(index, event)}
+            onPress={() => setSelectedVertex(index)}
+          >
+            <View
+              style={[styles.vertexHandle, selectedVertex === index && styles.vertexHandleSelected]}
+            />
+          </Marker>
+        ))}
+      </>
+    );
+  }
+
+  if (editShape.rectangle) {
+    return (
+      <>
+        <Polygon
+          coordinates={coords}
+          holes={holes}
+          fillColor="rgba(59, 130, 246, 0.3)"
+          strokeColor="#3b82f6"
+          strokeWidth={3}
+        />
+        {otherParts}
+
+        <RectangleHandles
+          rectangle={editShape.rectangle}
+          onChange={(rectangle) =>
+            updateEditShape({ coordinates: rectangleCorners(rectangle), rectangle })
+          }
+        />
+      </>
+    );
+  }
+
+  const midpoints = coords.map((coord, index) => {
+    const next = coords[(index + 1) % coords.length];
+    return {
+      latitude: (coord.latitude + next.latitude) / 2,
+      longitude: (coord.longitude + next.longitude) / 2,
+    };
+  });
+
+  const handleDragEnd = (index, event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    if (onMoveVertex(index, [latitude, longitude]) === false) {
+      setRevision((r) => r + 1);
+    }
+  };
+
+  return (
+    <>
+      <Polygon
+        coordinates={coords}
+        holes={holes}
+        fillColor="rgba(59, 130, 246, 0.3)"
+        strokeColor="#3b82f6"
+        strokeWidth={3}
+      />
+      {otherParts}
+
+      {/* Midpoint handles (tap to insert vertex) */}
+      {midpoints.map((coord, index) => (
+        <Marker
+          key={`mid-${index}-${revision}`}
+          coordinate={coord}
+          anchor={{ x: 0.5, y: 0.5 }}
+          onPress={() => onInsertVertex(index, [coord.latitude, coord.longitude])}
+        >
+          <View style={styles.midpointHandle} />
+        </Marker>
+      ))}
+
+      {/* Vertex handles (drag to move, tap to select) */}
+      {coords.map((coord, index) => (
+        <Marker
+          key={`vertex-${index}-${revision}`}
+          coordinate={coord}
+          anchor={{ x: 0.5, y: 0.5 }}
+          draggable
+          onDragEnd={(event) => handleDragEnd(index, event)}
+          onPress={() => setSelectedVertex(index)}
+        >
+          <View
+            style={[styles.vertexHandle, selectedVertex === index && styles.vertexHandleSelected]}
+          />
+        </Marker>
+      ))}
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  vertexHandle: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: 'white',
+    borderWidth: 3,
+    borderColor: '#3b82f6',
+  },
+  vertexHandleSelected: {
+    backgroundColor: '#3b82f6',
+    borderColor: '#111827',
+  },
+  midpointHandle: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    backgroundColor: 'rgba(59, 130, 246, 0.6)',
+    borderWidth: 2,
+    borderColor: 'white',
+  },
+});
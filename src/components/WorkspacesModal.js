@@ -0,0 +1,287 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import { validateWorkspaceName } from '../utils/workspaces';
+
+/**
+ * Workspace switcher: tap workspace to switch, create / rename / duplicate / delete
+ * Name prompt and delete confirmation replace the action buttons at the bottom
+ */
+export default function WorkspacesModal({
+  visible,
+  workspaces,
+  activeId,
+  onSwitch,
+  onCreate,
+  onRename,
+  onDuplicate,
+  onDelete,
+  onError,
+  onClose,
+}) {
+  const [pending, setPending] = useState(null); // { action: 'create' | 'rename' | 'duplicate' | 'delete', workspace }
+  const [name, setName] = useState('');
+
+  // Reset prompt when opened
+  useEffect(() => {
+    if (visible) {
+      setPending(null);
+    }
+  }, [visible]);
+
+  const startAction = (action, workspace = null) => {
+    setPending({ action, workspace });
+    if (action === 'rename') setName(workspace.name);
+    if (action === 'duplicate') setName(`${workspace.name} (copy)`);
+    if (action === 'create') setName('');
+  };
+
+  const handleConfirm = () => {
+    const { action, workspace } = pending;
+
+    if (action === 'delete') {
+      onDelete(workspace);
+      setPending(null);
+      return;
+    }
+
+    const trimmed = name.trim();
+    const error = validateWorkspaceName(
+      trimmed,
+      workspaces,
+      action === 'rename' ? workspace.id : null
+    );
+    if (error) {
+      onError?.(error);
+      return;
+    }
+
+    if (action === 'create') onCreate(trimmed);
+    if (action === 'rename') onRename(workspace, trimmed);
+    if (action === 'duplicate') onDuplicate(workspace, trimmed);
+    setPending(null);
+  };
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <View style={styles.overlay}>
+        <View style={styles.modal}>
+          {/* Header with close button */}
+          <View style={styles.header}>
+            <Text style={styles.title}>Workspaces</Text>
+            <TouchableOpacity onPress={onClose}>
+              <Text style={styles.closeButton}>×</Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Workspace list */}
+          <ScrollView style={styles.list} showsVerticalScrollIndicator={false}>
+            {workspaces.map((workspace) => (
+              <View key={workspace.id} style={styles.item}>
+                <TouchableOpacity
+                  style={styles.itemName}
+                  onPress={() => onSwitch(workspace)}
+                  disabled={workspace.id === activeId}
+                >
+                  <Text style={[styles.name, workspace.id === activeId && styles.activeName]}>
+                    {workspace.id === activeId ? '✓ ' : ''}
+                    {workspace.name}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => startAction('rename', workspace)}>
+                  <Text style={styles.itemAction}>Rename</Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => startAction('duplicate', workspace)}>
+                  <Text style={styles.itemAction}>Copy</Text>
+                </TouchableOpacity>
+                {workspaces.length > 1 && (
+                  <TouchableOpacity onPress={() => startAction('delete', workspace)}>
+                    <Text style={[styles.itemAction, styles.dangerText]}>Delete</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+          </ScrollView>
+
+          {/* Name prompt / delete confirmation */}
+          {pending ? (
+            <View style={styles.prompt}>
+              {pending.action === 'delete' ? (
+                <Text style={styles.promptText}>
+                  Delete &quot;{pending.workspace.name}&quot; with all its zones and restore points?
+                </Text>
+              ) : (
+                <TextInput
+                  style={styles.input}
+                  value={name}
+                  onChangeText={setName}
+                  placeholder="Workspace name"
+                  placeholderTextColor="#9ca3af"
+                  autoFocus
+                />
+              )}
+              <View style={styles.actions}>
+                <TouchableOpacity style={styles.cancelButton} onPress={() => setPending(null)}>
+                  <Text style={styles.cancelText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.confirmButton, pending.action === 'delete' && styles.dangerButton]}
+                  onPress={handleConfirm}
+                >
+                  <Text
+                    style={[styles.confirmText, pending.action === 'delete' && styles.dangerText]}
+                  >
+                    {pending.action === 'delete' ? 'Delete' : 'Save'}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.newButton} onPress={() => startAction('create')}>
+              <Text style={styles.newText}>New Workspace</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.5)',
+    justifyContent: 'flex-end',
+  },
+  modal: {
+    backgroundColor: 'white',
+    borderTopLeftRadius: 16,
+    borderTopRightRadius: 16,
+    maxHeight: '80%',
+    paddingBottom: 40,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 20,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#e5e7eb',
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  closeButton: {
+    fontSize: 32,
+    color: '#6b7280',
+    lineHeight: 32,
+    fontWeight: '300',
+  },
+  list: {
+    maxHeight: 320,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    padding: 16,
+    paddingHorizontal: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: '#f3f4f6',
+  },
+  itemName: {
+    flex: 1,
+  },
+  name: {
+    fontSize: 16,
+    color: '#111827',
+  },
+  activeName: {
+    fontWeight: '600',
+  },
+  itemAction: {
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#6b7280',
+  },
+  prompt: {
+    padding: 20,
+    paddingBottom: 0,
+  },
+  promptText: {
+    fontSize: 15,
+    color: '#374151',
+    marginBottom: 16,
+    lineHeight: 22,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#d1d5db',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    marginBottom: 16,
+    color: '#111827',
+  },
+  actions: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  cancelButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: '#f3f4f6',
+    alignItems: 'center',
+  },
+  cancelText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#6b7280',
+  },
+  confirmButton: {
+    flex: 1,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  confirmText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+  dangerButton: {
+    borderColor: '#ef4444',
+  },
+  dangerText: {
+    color: '#ef4444',
+  },
+  newButton: {
+    margin: 20,
+    marginBottom: 0,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  newText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
+});
@@ -1,12 +1,81 @@
 import React from 'react';
 import { Modal, View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { formatLength } from '../utils/zoneCalculations';
+import { getZoneLayer } from '../utils/layers';
+import { getZoneAttributes, formatAttributeValue } from '../utils/attributes';
 
 /**
- * Bottom sheet for zone actions (Delete/Edit)
- * Triggered when tapping saved zone on map
+ * Bottom sheet for zone actions
+ * Single zone: Delete/Edit/Edit Shape/Transform/Add Hole/Add Part/Split (polygons only)/Select more
+ *   (only Select more when zone's layer is locked)
+ * Multiple zones (multi-select): Merge/Select more
+ * Single zone also lists its custom attribute values
+ * Triggered when tapping saved zone on map (or Done in selection mode)
  */
-export default function ZoneActionSheet({ visible, zone, onEdit, onDelete, onClose }) {
-  if (!zone) return null;
+export default function ZoneActionSheet({
+  visible,
+  zones,
+  layers,
+  attributeSchema,
+  onEdit,
+  onEditShape,
+  onTransform,
+  onAddHole,
+  onAddPart,
+  onSplit,
+  onSelectMore,
+  onMerge,
+  onDelete,
+  onClose,
+}) {
+  if (!zones || zones.length === 0) return null;
+
+  if (zones.length > 1) {
+    return (
+      <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+        <TouchableOpacity style={styles.overlay} activeOpacity={1} onPress={onClose}>
+          <View style={styles.sheet} onStartShouldSetResponder={() => true}>
+            {/* Selected zones summary */}
+            <View style={styles.header}>
+              <View style={styles.colorStack}>
+                {zones.slice(0, 4).map((zone) => (
+                  <View
+                    key={zone.id}
+                    style={[styles.colorStackDot, { backgroundColor: zone.colorHex }]}
+                  />
+                ))}
+              </View>
+              <View style={styles.info}>
+                <Text style={styles.zoneName}>{zones.length} zones selected</Text>
+                <Text style={styles.zoneDetails} numberOfLines={1}>
+                  {zones.map((zone) => zone.name).join(', ')}
+                </Text>
+              </View>
+            </View>
+
+            {/* Actions */}
+            <View style={styles.actions}>
+              <TouchableOpacity style={styles.actionButton} onPress={onMerge}>
+                <Text style={styles.actionText}>Merge</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.actionButton} onPress={onSelectMore}>
+                <Text style={styles.actionText}>Select</Text>
+              </TouchableOpacity>
+            </View>
+
+            <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    );
+  }
+
+  const zone = zones[0];
+  const layer = getZoneLayer(layers, zone);
+  const attributes = getZoneAttributes(attributeSchema, zone);
 
   return (
     <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
@@ -19,21 +88,89 @@ export default function ZoneActionSheet({ visible, zone, onEdit, onDelete, onClo
               <Text style={styles.zoneName}>{zone.name}</Text>
               <Text style={styles.zoneDetails}>
                 {zone.type === 'circle' && `Circle • ${Math.round(zone.area)} m²`}
-                {zone.type === 'polygon' && `Polygon • ${zone.coordinates.length} points`}
+                {zone.type === 'polygon' &&
+                  (zone.corridor
+                    ? `Corridor • ${Math.round(zone.corridor.width)} m wide`
+                    : `Polygon • ${zone.coordinates.length} points`)}
+                {zone.parts?.length > 0 && ` • ${zone.parts.length + 1} parts`}
+                {zone.holes?.length > 0 &&
+                  ` • ${zone.holes.length} hole${zone.holes.length > 1 ? 's' : ''}`}
+                {zone.perimeter != null && ` • ${formatLength(zone.perimeter)} perimeter`}
               </Text>
+              {layers.length > 1 && (
+                <Text style={styles.zoneDetails}>
+                  {layer.locked ? '🔒 ' : ''}
+                  Layer: {layer.name}
+                </Text>
+              )}
             </View>
           </View>
 
-          {/* Actions */}
-          <View style={styles.actions}>
-            <TouchableOpacity style={styles.actionButton} onPress={onDelete}>
-              <Text style={styles.actionText}>Delete</Text>
-            </TouchableOpacity>
+          {/* Custom attribute values */}
+          {attributes.length > 0 && (
+            <View style={styles.attributes}>
+              {attributes.map(({ field, value }) => (
+                <View key={field.id} style={styles.attributeRow}>
+                  <Text style={styles.attributeName}>{field.name}</Text>
+                  <Text style={styles.attributeValue}>{formatAttributeValue(field, value)}</Text>
+                </View>
+              ))}
+            </View>
+          )}
 
-            <TouchableOpacity style={styles.actionButton} onPress={onEdit}>
-              <Text style={styles.actionText}>Edit</Text>
-            </TouchableOpacity>
-          </View>
+          {/* Locked layer: zone can only be added to a multi-selection */}
+          {layer.locked ? (
+            <>
+              <Text style={styles.lockedText}>
+                Layer &quot;{layer.name}&quot; is locked. Unlock it in Layers to edit this zone.
+              </Text>
+              <View style={styles.actions}>
+                <TouchableOpacity style={styles.actionButton} onPress={onSelectMore}>
+                  <Text style={styles.actionText}>Select</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          ) : (
+            <View style={styles.actions}>
+              <TouchableOpacity style={styles.actionButton} onPress={onDelete}>
+                <Text style={styles.actionText}>Delete</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.actionButton} onPress={onEdit}>
+                <Text style={styles.actionText}>Edit</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.actionButton} onPress={onEditShape}>
+                <Text style={styles.actionText}>Shape</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity style={styles.actionButton} onPress={onTransform}>
+                <Text style={styles.actionText}>Move</Text>
+              </TouchableOpacity>
+
+              {zone.type === 'polygon' && (
+                <TouchableOpacity style={styles.actionButton} onPress={onAddHole}>
+                  <Text style={styles.actionText}>Hole</Text>
+                </TouchableOpacity>
+              )}
+
+              {zone.type === 'polygon' && (
+                <TouchableOpacity style={styles.actionButton} onPress={onAddPart}>
+                  <Text style={styles.actionText}>+ Part</Text>
+                </TouchableOpacity>
+              )}
+
+              {zone.type === 'polygon' && (
+                <TouchableOpacity style={styles.actionButton} onPress={onSplit}>
+                  <Text style={styles.actionText}>Split</Text>
+                </TouchableOpacity>
+              )}
+
+              <TouchableOpacity style={styles.actionButton} onPress={onSelectMore}>
+                <Text style={styles.actionText}>Select</Text>
+              </TouchableOpacity>
+            </View>
+          )}
 
           <TouchableOpacity style={styles.cancelButton} onPress={onClose}>
             <Text style={styles.cancelText}>Cancel</Text>
@@ -70,6 +207,18 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#e5e7eb',
   },
+  colorStack: {
+    flexDirection: 'row',
+    marginRight: 20, // Last dot overlaps by 8
+  },
+  colorStackDot: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    marginRight: -8,
+    borderWidth: 2,
+    borderColor: 'white',
+  },
   info: {
     flex: 1,
   },
@@ -83,13 +232,45 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: '#6b7280',
   },
+  attributes: {
+    marginTop: -8,
+    marginBottom: 16,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: '#f9fafb',
+  },
+  attributeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    gap: 12,
+    paddingVertical: 3,
+  },
+  attributeName: {
+    fontSize: 14,
+    color: '#6b7280',
+  },
+  attributeValue: {
+    flexShrink: 1,
+    fontSize: 14,
+    fontWeight: '500',
+    color: '#111827',
+    textAlign: 'right',
+  },
+  lockedText: {
+    fontSize: 14,
+    color: '#6b7280',
+    marginBottom: 16,
+  },
   actions: {
     flexDirection: 'row',
+    flexWrap: 'wrap',
     gap: 10,
     marginBottom: 16,
   },
   actionButton: {
     flex: 1,
+    minWidth: '28%',
     padding: 14,
     borderRadius: 8,
     backgroundColor: 'white',
@@ -1,35 +1,141 @@
 import React, { useState, useEffect } from 'react';
-import { Modal, View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
-import { getColorOptions } from '../../shared/colors';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+} from 'react-native';
+import { DEFAULT_LAYER_ID } from '../../shared/constants';
+import { parseAttributeInput, toAttributeInput } from '../utils/attributes';
 
 /**
  * Dual-purpose modal: Create new zone OR Edit existing zone
+ * New zones start on the default layer; picking a layer preselects its default color
+ * Custom attribute fields are validated on confirm (first invalid field is reported)
  */
-export default function ZoneDetailsModal({ visible, onConfirm, onCancel, onError, initialValues }) {
+export default function ZoneDetailsModal({
+  visible,
+  colors,
+  layers,
+  attributeSchema,
+  onConfirm,
+  onCancel,
+  onError,
+  initialValues,
+}) {
   const [name, setName] = useState('');
   const [selectedColor, setSelectedColor] = useState('blue');
+  const [selectedLayerId, setSelectedLayerId] = useState(DEFAULT_LAYER_ID);
+  const [attributeInputs, setAttributeInputs] = useState({}); // { [fieldId]: text | choice | boolean | null }
 
-  const colors = getColorOptions();
+  // Palette color, or first one (e.g. layer's color was removed from palette)
+  const paletteColor = (value) =>
+    colors.some((color) => color.value === value) ? value : colors[0].value;
 
   // Sync state with modal visibility and mode
   useEffect(() => {
     if (visible) {
       if (initialValues) {
         setName(initialValues.name || '');
-        setSelectedColor(initialValues.color || 'blue');
+        setSelectedColor(paletteColor(initialValues.color));
+        setSelectedLayerId(initialValues.layerId || DEFAULT_LAYER_ID);
+        setAttributeInputs(
+          Object.fromEntries(
+            attributeSchema.map((field) => [
+              field.id,
+              toAttributeInput(field, initialValues.attributes?.[field.id]),
+            ])
+          )
+        );
       } else {
+        const defaultLayer = layers.find((layer) => layer.id === DEFAULT_LAYER_ID);
         setName('');
-        setSelectedColor('blue');
+        setSelectedColor(paletteColor(defaultLayer?.style.color));
+        setSelectedLayerId(DEFAULT_LAYER_ID);
+        setAttributeInputs(
+          Object.fromEntries(attributeSchema.map((field) => [field.id, toAttributeInput(field)]))
+        );
       }
     }
   }, [visible, initialValues]);
 
+  const handleSelectLayer = (layer) => {
+    setSelectedLayerId(layer.id);
+    if (!initialValues) {
+      setSelectedColor(paletteColor(layer.style.color));
+    }
+  };
+
+  const setAttributeInput = (fieldId, input) => {
+    setAttributeInputs((prev) => ({ ...prev, [fieldId]: input }));
+  };
+
+  // Tapping selected choice again clears it
+  const toggleAttributeChoice = (fieldId, choice) => {
+    setAttributeInput(fieldId, attributeInputs[fieldId] === choice ? null : choice);
+  };
+
   const handleConfirm = () => {
     if (!name.trim()) {
       onError?.('Please enter a zone name');
       return;
     }
-    onConfirm({ name: name.trim(), color: selectedColor });
+
+    const attributes = {};
+    for (const field of attributeSchema) {
+      const { value, error } = parseAttributeInput(field, attributeInputs[field.id]);
+      if (error) {
+        onError?.(error);
+        return;
+      }
+      if (value !== undefined) {
+        attributes[field.id] = value;
+      }
+    }
+
+    onConfirm({ name: name.trim(), color: selectedColor, layerId: selectedLayerId, attributes });
+  };
+
+  const renderAttributeInput = (field) => {
+    const input = attributeInputs[field.id];
+
+    if (field.type === 'boolean' || field.type === 'enum') {
+      const choices =
+        field.type === 'boolean'
+          ? [
+              { value: true, label: 'Yes' },
+              { value: false, label: 'No' },
+            ]
+          : field.options.map((option) => ({ value: option, label: option }));
+      return (
+        <View style={styles.chipGrid}>
+          {choices.map((choice) => (
+            <TouchableOpacity
+              key={String(choice.value)}
+              style={[styles.chip, input === choice.value && styles.colorButtonSelected]}
+              onPress={() => toggleAttributeChoice(field.id, choice.value)}
+            >
+              <Text style={styles.chipText}>{choice.label}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      );
+    }
+
+    return (
+      <TextInput
+        style={styles.input}
+        value={input ?? ''}
+        onChangeText={(text) => setAttributeInput(field.id, text)}
+        placeholder={field.type === 'date' ? 'YYYY-MM-DD' : field.type === 'number' ? '0' : ''}
+        placeholderTextColor="#9ca3af"
+        keyboardType={field.type === 'number' ? 'decimal-pad' : 'default'}
+        autoCapitalize={field.type === 'text' ? 'sentences' : 'none'}
+      />
+    );
   };
 
   return (
@@ -39,31 +145,68 @@ export default function ZoneDetailsModal({ visible, onConfirm, onCancel, onError
           {/* Dynamic title based on mode */}
           <Text style={styles.title}>{initialValues ? 'Edit Zone' : 'Zone Details'}</Text>
 
-          <Text style={styles.label}>Name</Text>
-          <TextInput
-            style={styles.input}
-            value={name}
-            onChangeText={setName}
-            placeholder="Enter zone name"
-            placeholderTextColor="#9ca3af"
-            autoFocus
-          />
-
-          <Text style={styles.label}>Color</Text>
-          <View style={styles.colorGrid}>
-            {colors.map((colorOption) => (
-              <TouchableOpacity
-                key={colorOption.value}
-                style={[
-                  styles.colorButton,
-                  selectedColor === colorOption.value && styles.colorButtonSelected,
-                ]}
-                onPress={() => setSelectedColor(colorOption.value)}
-              >
-                <View style={[styles.colorCircle, { backgroundColor: colorOption.hex }]} />
-              </TouchableOpacity>
+          <ScrollView style={styles.body} keyboardShouldPersistTaps="handled">
+            <Text style={styles.label}>Name</Text>
+            <TextInput
+              style={styles.input}
+              value={name}
+              onChangeText={setName}
+              placeholder="Enter zone name"
+              placeholderTextColor="#9ca3af"
+              autoFocus
+            />
+
+            <Text style={styles.label}>Color</Text>
+            <View style={styles.colorGrid}>
+              {colors.map((colorOption) => (
+                <TouchableOpacity
+                  key={colorOption.value}
+                  style={[
+                    styles.colorButton,
+                    selectedColor === colorOption.value && styles.colorButtonSelected,
+                  ]}
+                  onPress={() => setSelectedColor(colorOption.value)}
+                >
+                  <View style={[styles.colorCircle, { backgroundColor: colorOption.hex }]} />
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Layer (top layer first, like layer list) */}
+            {layers.length > 1 && (
+              <>
+                <Text style={styles.label}>Layer</Text>
+                <View style={styles.chipGrid}>
+                  {[...layers].reverse().map((layer) => (
+                    <TouchableOpacity
+                      key={layer.id}
+                      style={[
+                        styles.chip,
+                        selectedLayerId === layer.id && styles.colorButtonSelected,
+                      ]}
+                      onPress={() => handleSelectLayer(layer)}
+                    >
+                      <Text style={styles.chipText}>
+                        {layer.locked ? '🔒 ' : ''}
+                        {layer.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </>
+            )}
+
+            {/* Custom attributes (fields of workspace) */}
+            {attributeSchema.map((field) => (
+              <View key={field.id}>
+                <Text style={styles.label}>
+                  {field.name}
+                  {field.required ? ' *' : ''}
+                </Text>
+                {renderAttributeInput(field)}
+              </View>
             ))}
-          </View>
+          </ScrollView>
 
           {/* Actions */}
           <View style={styles.actions}>
@@ -101,6 +244,9 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     color: '#111827',
   },
+  body: {
+    maxHeight: 440,
+  },
   label: {
     fontSize: 14,
     fontWeight: '500',
@@ -137,6 +283,24 @@ const styles = StyleSheet.create({
     height: 32,
     borderRadius: 16,
   },
+  chipGrid: {
+    flexDirection: 'row',
+    gap: 8,
+    marginBottom: 24,
+    flexWrap: 'wrap',
+  },
+  chip: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: '#e5e7eb',
+    backgroundColor: 'white',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#111827',
+  },
   actions: {
     flexDirection: 'row',
     gap: 12,
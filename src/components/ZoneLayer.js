@@ -4,30 +4,22 @@ import { useZonesContext } from '../context/ZonesContext';
 
 /**
  * Renders saved zones on map (respects color filter)
- * Handles coordinate format normalization for polygons
+ * zones: render these instead (e.g. snapshot preview)
  */
-export default function ZoneLayer({ onZonePress }) {
+export default function ZoneLayer({ zones, onZonePress }) {
   const { filteredZones } = useZonesContext();
 
   return (
     <>
-      {filteredZones.map((zone) => {
+      {(zones || filteredZones).map((zone) => {
         // Circle rendering
         if (zone.type === 'circle' && zone.radius) {
-          const center = zone.coordinates[0];
-
-          // Handle multiple coordinate formats
-          const coordinate = Array.isArray(center)
-            ? { latitude: center[0], longitude: center[1] }
-            : {
-                latitude: center.lat || center.latitude,
-                longitude: center.lng || center.longitude,
-              };
+          const [latitude, longitude] = zone.coordinates[0];
 
           return (
             <Circle
               key={zone.id}
-              center={coordinate}
+              center={{ latitude, longitude }}
               radius={zone.radius}
               fillColor={zone.colorHex + '33'}
               strokeColor={zone.colorHex}
@@ -37,55 +29,36 @@ export default function ZoneLayer({ onZonePress }) {
           );
         }
 
-        // Polygon/Rectangle rendering
-        if (zone.type === 'polygon' || zone.type === 'rectangle') {
-          let coords = zone.coordinates;
-
-          // Unwrap nested arrays (legacy data handling)
-          while (Array.isArray(coords) && coords.length === 1 && Array.isArray(coords[0])) {
-            coords = coords[0];
-          }
-
-          // Normalize to { latitude, longitude } format
-          const coordinates = coords
-            .map((point) => {
-              // Object format: {lat, lng} or {latitude, longitude}
-              if (point && typeof point === 'object' && !Array.isArray(point)) {
-                return {
-                  latitude: point.lat || point.latitude,
-                  longitude: point.lng || point.longitude,
-                };
-              }
-
-              // Array format: [lat, lng]
-              if (Array.isArray(point) && point.length >= 2) {
-                return {
-                  latitude: point[0],
-                  longitude: point[1],
-                };
-              }
-
-              console.warn('[ZoneLayer] Invalid coordinate format:', point);
-              return null;
-            })
-            .filter((p) => p !== null);
-
-          // Skip rendering if no valid coordinates
-          if (coordinates.length === 0) {
-            console.warn('[ZoneLayer] No valid coordinates for zone:', zone.id);
-            return null;
-          }
+        // Polygon rendering (rectangles are stored as polygons)
+        if (zone.type === 'polygon') {
+          // Rings are [lat, lng] arrays (canonical format, see zoneMigrations.js)
+          const toLatLng = (point) => ({ latitude: point[0], longitude: point[1] });
+          const polygons = [
+            {
+              coordinates: zone.coordinates.map(toLatLng),
+              holes: zone.holes?.map((hole) => hole.map(toLatLng)),
+            },
+            ...(zone.parts || []).map((part) => ({
+              coordinates: part.coordinates.map(toLatLng),
+              holes: part.holes?.map((hole) => hole.map(toLatLng)),
+            })),
+          ];
 
           return (
-            <Polygon
-              key={zone.id}
-              coordinates={coordinates}
-              fillColor={zone.colorHex + '33'}
-              strokeColor={zone.colorHex}
-              strokeWidth={2}
-              tappable={true}
-              onPress={() => onZonePress?.(zone)}
-            />
+            <React.Fragment key={zone.id}>
+              {polygons.map((polygon, index) => (
+                <Polygon
+                  key={index}
+                  coordinates={polygon.coordinates}
+                  holes={polygon.holes}
+                  fillColor={zone.colorHex + '33'}
+                  strokeColor={zone.colorHex}
+                  strokeWidth={2}
+                  tappable={true}
+                  onPress={() => onZonePress?.(zone)}
+                />
+              ))}
+            </React.Fragment>
           );
         }
 
@@ -1,11 +1,19 @@
 import React from 'react';
 import { Modal, View, Text, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { formatLength } from '../utils/zoneCalculations';
 
 /**
  * Sheet showing all zones with scroll
- * Tap zone to zoom on map, Delete All for bulk removal
+ * Tap zone to zoom on map, Delete All for bulk removal, Restore Points for snapshots
  */
-export default function ZoneListModal({ visible, zones, onZoneSelect, onDeleteAll, onClose }) {
+export default function ZoneListModal({
+  visible,
+  zones,
+  onZoneSelect,
+  onDeleteAll,
+  onShowSnapshots,
+  onClose,
+}) {
   return (
     <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
       <View style={styles.overlay}>
@@ -34,7 +42,12 @@ export default function ZoneListModal({ visible, zones, onZoneSelect, onDeleteAl
                     <Text style={styles.zoneName}>{zone.name}</Text>
                     <Text style={styles.zoneDetails}>
                       {zone.type === 'circle' && `Circle • ${Math.round(zone.area)} m²`}
-                      {zone.type === 'polygon' && `Polygon • ${zone.coordinates.length} points`}
+                      {zone.type === 'polygon' &&
+                        (zone.corridor
+                          ? `Corridor • ${Math.round(zone.corridor.width)} m wide`
+                          : `Polygon • ${zone.coordinates.length} points`)}
+                      {zone.parts?.length > 0 && ` • ${zone.parts.length + 1} parts`}
+                      {zone.perimeter != null && ` • ${formatLength(zone.perimeter)} perimeter`}
                     </Text>
                   </View>
                 </TouchableOpacity>
@@ -42,6 +55,10 @@ export default function ZoneListModal({ visible, zones, onZoneSelect, onDeleteAl
             )}
           </ScrollView>
 
+          <TouchableOpacity style={styles.snapshotsButton} onPress={onShowSnapshots}>
+            <Text style={styles.snapshotsText}>Restore Points</Text>
+          </TouchableOpacity>
+
           {/* Delete All - only visible when zones exist */}
           {zones.length > 0 && (
             <TouchableOpacity style={styles.deleteAllButton} onPress={onDeleteAll}>
@@ -125,6 +142,21 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: '#6b7280',
   },
+  snapshotsButton: {
+    marginHorizontal: 20,
+    marginTop: 12,
+    padding: 14,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 2,
+    borderColor: '#111827',
+    alignItems: 'center',
+  },
+  snapshotsText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111827',
+  },
   deleteAllButton: {
     margin: 20,
     marginTop: 12,
@@ -0,0 +1,26 @@
+import React, { createContext, useContext } from 'react';
+import { useWorkspaces } from '../hooks/useWorkspaces';
+
+/**
+ * Workspace list + active workspace
+ * Parent of ZonesProvider, which is remounted for every workspace
+ */
+const WorkspacesContext = createContext(undefined);
+
+/**
+ * Hook to consume WorkspacesContext
+ * Throws error if used outside provider (prevents undefined access)
+ */
+export function useWorkspacesContext() {
+  const context = useContext(WorkspacesContext);
+  if (!context) {
+    throw new Error('useWorkspacesContext must be used within WorkspacesProvider');
+  }
+  return context;
+}
+
+export function WorkspacesProvider({ children }) {
+  const workspacesHook = useWorkspaces(); // AsyncStorage persistence
+
+  return <WorkspacesContext.Provider value={workspacesHook}>{children}</WorkspacesContext.Provider>;
+}
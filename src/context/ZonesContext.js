@@ -1,6 +1,21 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useContext, useState, useEffect } from 'react';
 import { useZones } from '../hooks/useZones';
-import { getColorHex } from '../../shared/colors';
+import { useOverlapPolicy } from '../hooks/useOverlapPolicy';
+import { useSnapshots } from '../hooks/useSnapshots';
+import { useLayers } from '../hooks/useLayers';
+import { usePalette } from '../hooks/usePalette';
+import { useAttributeSchema } from '../hooks/useAttributeSchema';
+import { useWorkspacesContext } from './WorkspacesContext';
+import { LASSO_TOLERANCE, CORRIDOR_WIDTH, DEFAULT_LAYER_ID } from '../../shared/constants';
+import { transformZone, getTransformPivot } from '../utils/zoneTransforms';
+import { buildCorridorRing } from '../utils/corridor';
+import { getZoneLayer, getZoneLayerId } from '../utils/layers';
+import { getPaletteHex } from '../utils/palette';
+import {
+  matchesAttributeFilter,
+  coerceAttributeValue,
+  setZoneAttribute,
+} from '../utils/attributes';
 
 /**
  * Global state management for zones and drawing
@@ -8,6 +23,14 @@ import { getColorHex } from '../../shared/colors';
  */
 const ZonesContext = createContext(undefined);
 
+// Shape-specific fields dropped when merge/split turns a zone into a plain polygon
+const PLAIN_POLYGON = {
+  type: 'polygon',
+  radius: undefined,
+  rectangle: undefined,
+  corridor: undefined,
+};
+
 /**
  * Hook to consume ZonesContext
  * Throws error if used outside provider (prevents undefined access)
@@ -23,17 +46,36 @@ export function useZonesContext() {
 /**
  * Provider wrapping app with zones state
  * Combines CRUD (from hook) + drawing state + filtering
+ * Holds zones of active workspace (remounted with key = workspace id on switch)
  */
 export function ZonesProvider({ children }) {
-  const zonesHook = useZones(); // AsyncStorage persistence
+  const { activeWorkspace, updateWorkspace } = useWorkspacesContext();
+  const workspaceId = activeWorkspace.id;
+  const zonesHook = useZones(workspaceId); // Zone store persistence
+  const { overlapPolicy, setOverlapPolicy } = useOverlapPolicy(workspaceId);
+  const { snapshots, takeSnapshot, loadSnapshot, deleteSnapshot } = useSnapshots(
+    workspaceId,
+    zonesHook.zones,
+    zonesHook.loading
+  );
+  const layersHook = useLayers(workspaceId);
+  const { layers } = layersHook;
+  const paletteHook = usePalette(workspaceId);
+  const { palette } = paletteHook;
+  const attributesHook = useAttributeSchema(workspaceId);
+  const { attributeSchema } = attributesHook;
 
   // ==========================================
   // DRAWING STATE
   // ==========================================
 
-  const [drawingMode, setDrawingMode] = useState(null); // 'circle' | 'rectangle' | 'polygon' | null
+  const [drawingMode, setDrawingMode] = useState(null); // 'circle' | 'rectangle' | 'polygon' | 'lasso' | 'corridor' | 'record' | 'hole' | 'part' | 'split' | null
   const [drawingShape, setDrawingShape] = useState(null);
+  const [drawingTarget, setDrawingTarget] = useState(null); // Saved zone a hole/part/cut is drawn into
   const [redoStack, setRedoStack] = useState([]);
+  const [lassoTolerance, setLassoTolerance] = useState(LASSO_TOLERANCE.DEFAULT); // Meters
+  const [corridorWidth, setCorridorWidth] = useState(CORRIDOR_WIDTH.DEFAULT); // Meters
+  const [snapIndicator, setSnapIndicator] = useState(null); // Last snap: { point, kind }
 
   // ==========================================
   // SELECTION STATE
@@ -41,12 +83,42 @@ export function ZonesProvider({ children }) {
 
   const [selectedZone, setSelectedZone] = useState(null);
 
+  // ==========================================
+  // GEOMETRY EDIT STATE
+  // ==========================================
+
+  const [editingZone, setEditingZone] = useState(null); // Saved zone being reshaped
+  const [editMode, setEditMode] = useState(null); // 'shape' | 'transform' | null
+  const [editShape, setEditShape] = useState(null); // Working copy: { coordinates, radius?, rectangle? }
+  const [selectedVertex, setSelectedVertex] = useState(null); // Index into editShape.coordinates
+  const [transformState, setTransformState] = useState(null); // { center, rotation, scale }
+
   // ==========================================
   // FILTER STATE
   // ==========================================
 
-  const [colorFilter, setColorFilter] = useState(['red', 'blue', 'green', 'yellow', 'purple']);
-  const filteredZones = zonesHook.zones.filter((zone) => colorFilter.includes(zone.color));
+  const [colorFilter, setColorFilter] = useState(activeWorkspace.colorFilter ?? null); // Visible colors, null = all
+  const visibleColors = colorFilter ?? palette.map((entry) => entry.value);
+  const [attributeFilter, setAttributeFilter] = useState(activeWorkspace.attributeFilter ?? null); // See matchesAttributeFilter, null = off
+  const filteredZones = zonesHook.zones.filter(
+    (zone) =>
+      (colorFilter === null || colorFilter.includes(zone.color)) &&
+      getZoneLayer(layers, zone).visible &&
+      matchesAttributeFilter(attributeSchema, zone, attributeFilter)
+  );
+
+  // Filters are saved per workspace
+  useEffect(() => {
+    if (colorFilter !== (activeWorkspace.colorFilter ?? null)) {
+      updateWorkspace(workspaceId, { colorFilter });
+    }
+  }, [colorFilter]);
+
+  useEffect(() => {
+    if (attributeFilter !== (activeWorkspace.attributeFilter ?? null)) {
+      updateWorkspace(workspaceId, { attributeFilter });
+    }
+  }, [attributeFilter]);
 
   // ==========================================
   // DRAWING ACTIONS
@@ -55,11 +127,20 @@ export function ZonesProvider({ children }) {
   /**
    * Start new drawing session
    * Clears previous drawing and redo stack
+   * target: saved zone the drawing belongs to ('hole' / 'part' / 'split' mode)
    */
-  const startDrawing = (mode) => {
+  const startDrawing = (mode, target = null) => {
+    if (target && isZoneLocked(target)) {
+      console.warn('[ZonesContext] Zone is on a locked layer');
+      return;
+    }
+
+    cancelGeometryEdit();
     setDrawingMode(mode);
+    setDrawingTarget(target);
     setDrawingShape(null);
     setRedoStack([]); // Clear undo/redo history
+    setSnapIndicator(null);
     setSelectedZone(null);
   };
 
@@ -68,12 +149,17 @@ export function ZonesProvider({ children }) {
    */
   const clearDrawing = () => {
     setDrawingMode(null);
+    setDrawingTarget(null);
     setDrawingShape(null);
     setRedoStack([]);
+    setSnapIndicator(null);
   };
 
   /**
    * Finalize drawing and save as zone
+   * options.geometry: clipped geometry from overlap resolution (replaces drawn shape)
+   * options.trimmedZones: [{ id, geometry }] existing zones clipped to make room
+   *   (null geometry = zone removed), saved together with new zone as one undo step
    * Returns created zone or null if validation fails
    */
   const completeDrawing = (options = {}) => {
@@ -82,36 +168,188 @@ export function ZonesProvider({ children }) {
       return null;
     }
 
-    // Polygon validation
-    if (drawingMode === 'polygon' && drawingShape.coordinates.length < 3) {
+    // Polygon/Lasso/Recording validation
+    if (
+      (drawingMode === 'polygon' || drawingMode === 'lasso' || drawingMode === 'record') &&
+      drawingShape.coordinates.length < 3
+    ) {
       console.warn('[ZonesContext] Polygon needs at least 3 points');
       return null;
     }
 
+    // Rectangle validation (second corner not placed yet)
+    if (drawingMode === 'rectangle' && !drawingShape.rectangle) {
+      console.warn('[ZonesContext] Rectangle needs two corners');
+      return null;
+    }
+
+    // Corridor: drawn coordinates are the centerline, zone outline is its buffer
+    let coordinates = drawingShape.coordinates;
+    if (drawingMode === 'corridor') {
+      coordinates = buildCorridorRing(drawingShape.coordinates, corridorWidth);
+      if (!coordinates) {
+        console.warn('[ZonesContext] Corridor needs at least 2 points');
+        return null;
+      }
+    }
+
+    // Overlap resolution: trim existing zones, then add new one (single undo step)
+    if (options.trimmedZones?.length > 0) {
+      const { trimmedZones, ...rest } = options;
+      takeSnapshot(`Before trimming ${trimmedZones.length} zone(s) for "${rest.name}"`);
+      return zonesHook.runBatch(`Add "${rest.name}" (trimmed ${trimmedZones.length})`, () => {
+        trimmedZones.forEach(({ id, geometry }) => {
+          if (geometry) {
+            zonesHook.updateZone(id, { ...PLAIN_POLYGON, ...geometry });
+          } else {
+            zonesHook.deleteZone(id);
+          }
+        });
+        return completeDrawing(rest);
+      });
+    }
+
     // Build zone object
+    const color = options.color || palette[0].value;
     const newZone = {
       name: options.name || `${capitalize(drawingMode)} ${zonesHook.zones.length + 1}`,
-      color: options.color || 'blue',
-      colorHex: getColorHex(options.color || 'blue'),
-      type: drawingMode === 'rectangle' ? 'polygon' : drawingMode, // Rectangle stored as polygon
-      coordinates: drawingShape.coordinates,
+      color,
+      colorHex: getPaletteHex(palette, color),
+      layerId: options.layerId || DEFAULT_LAYER_ID,
+      type: drawingMode === 'circle' ? 'circle' : 'polygon', // Rectangle/Lasso/Corridor/Recording stored as polygon
+      coordinates,
     };
 
+    // Custom attribute values (see attributes.js)
+    if (options.attributes && Object.keys(options.attributes).length > 0) {
+      newZone.attributes = options.attributes;
+    }
+
+    // Clipped to fit: plain polygon, drawn shape parameters no longer apply
+    if (options.geometry) {
+      const createdZone = zonesHook.addZone({ ...newZone, type: 'polygon', ...options.geometry });
+      clearDrawing();
+      return createdZone;
+    }
+
     // Add radius for circles
     if (drawingMode === 'circle' && drawingShape.radius) {
       newZone.radius = drawingShape.radius;
     }
 
+    // Keep rectangle parameters so it can be edited as rectangle later
+    if (drawingMode === 'rectangle' && drawingShape.rectangle) {
+      newZone.rectangle = drawingShape.rectangle;
+    }
+
+    // Keep centerline + width so corridor can be edited as corridor later
+    if (drawingMode === 'corridor') {
+      newZone.corridor = { centerline: drawingShape.coordinates, width: corridorWidth };
+    }
+
     const createdZone = zonesHook.addZone(newZone);
     clearDrawing();
     return createdZone;
   };
 
+  /**
+   * Add hole ring to target zone
+   * Returns updated zone id or null if nothing to save
+   */
+  const completeHole = () => {
+    if (drawingMode !== 'hole' || !drawingTarget || !drawingShape) {
+      console.warn('[ZonesContext] No hole drawing to complete');
+      return null;
+    }
+
+    if (drawingShape.coordinates.length < 3) {
+      console.warn('[ZonesContext] Hole needs at least 3 points');
+      return null;
+    }
+
+    const holes = [...(drawingTarget.holes || []), drawingShape.coordinates];
+    zonesHook.updateZone(drawingTarget.id, { holes });
+    const zoneId = drawingTarget.id;
+    clearDrawing();
+    return zoneId;
+  };
+
+  /**
+   * Add polygon part to target zone (multi-part zone)
+   * Returns updated zone id or null if nothing to save
+   */
+  const completePart = () => {
+    if (drawingMode !== 'part' || !drawingTarget || !drawingShape) {
+      console.warn('[ZonesContext] No part drawing to complete');
+      return null;
+    }
+
+    if (drawingShape.coordinates.length < 3) {
+      console.warn('[ZonesContext] Part needs at least 3 points');
+      return null;
+    }
+
+    const parts = [...(drawingTarget.parts || []), { coordinates: drawingShape.coordinates }];
+    zonesHook.updateZone(drawingTarget.id, { parts });
+    const zoneId = drawingTarget.id;
+    clearDrawing();
+    return zoneId;
+  };
+
+  /**
+   * Replace target zone with pieces cut along drawn line (see zoneOperations.splitZone)
+   * First piece keeps the zone id, second becomes new zone with same color, layer and attributes
+   * (one undo step)
+   * Returns new zone or null if nothing to save
+   */
+  const completeSplit = (pieces) => {
+    if (drawingMode !== 'split' || !drawingTarget || pieces.length !== 2) {
+      console.warn('[ZonesContext] No split to complete');
+      return null;
+    }
+
+    const target = drawingTarget;
+    takeSnapshot(`Before splitting "${target.name}"`);
+    const newZone = zonesHook.runBatch(`Split "${target.name}"`, () => {
+      zonesHook.updateZone(target.id, { ...PLAIN_POLYGON, ...pieces[0] });
+      return zonesHook.addZone({
+        name: `${target.name} (2)`,
+        color: target.color,
+        colorHex: target.colorHex,
+        layerId: getZoneLayerId(target),
+        attributes: target.attributes,
+        type: 'polygon',
+        ...pieces[1],
+      });
+    });
+
+    clearDrawing();
+    return newZone;
+  };
+
+  /**
+   * Merge zones into one (see zoneOperations.mergeZones)
+   * Zone keepId is updated with merged geometry, the others are deleted (one undo step)
+   */
+  const completeMerge = (zones, geometry, { keepId, name, color }) => {
+    takeSnapshot(`Before merging ${zones.length} zones into "${name}"`);
+    zonesHook.runBatch(`Merge ${zones.length} zones into "${name}"`, () => {
+      zonesHook.updateZone(keepId, {
+        ...PLAIN_POLYGON,
+        ...geometry,
+        name,
+        color,
+        colorHex: getPaletteHex(palette, color),
+      });
+      zones.filter((zone) => zone.id !== keepId).forEach((zone) => zonesHook.deleteZone(zone.id));
+    });
+  };
+
   /**
    * Add point to polygon (also clears redo stack)
    */
   const addDrawingPoint = (point) => {
-    if (drawingMode !== 'polygon') {
+    if (!isPointByPointMode(drawingMode)) {
       console.warn('[ZonesContext] addDrawingPoint only works in polygon mode');
       return;
     }
@@ -130,11 +368,13 @@ export function ZonesProvider({ children }) {
    * Remove last polygon point (saves to redo stack)
    */
   const undoLastPoint = () => {
-    if (drawingMode !== 'polygon') {
+    if (!isPointByPointMode(drawingMode)) {
       console.warn('[ZonesContext] undoLastPoint only works in polygon mode');
       return;
     }
 
+    setSnapIndicator(null);
+
     setDrawingShape((prev) => {
       if (!prev || prev.coordinates.length === 0) {
         return null;
@@ -155,7 +395,7 @@ export function ZonesProvider({ children }) {
    * Restore last polygon point
    */
   const redoLastPoint = () => {
-    if (drawingMode !== 'polygon') {
+    if (!isPointByPointMode(drawingMode)) {
       console.warn('[ZonesContext] redoLastPoint only works in polygon mode');
       return;
     }
@@ -176,6 +416,137 @@ export function ZonesProvider({ children }) {
     });
   };
 
+  // ==========================================
+  // GEOMETRY EDIT ACTIONS
+  // ==========================================
+
+  /**
+   * Start reshaping a saved zone (works on a copy until saved)
+   * mode: 'shape' (vertices/handles) or 'transform' (move/rotate/scale)
+   */
+  const startGeometryEdit = (zone, mode = 'shape') => {
+    if (isZoneLocked(zone)) {
+      console.warn('[ZonesContext] Zone is on a locked layer');
+      return;
+    }
+
+    clearDrawing();
+    setEditingZone(zone);
+    setEditMode(mode);
+    setTransformState(
+      mode === 'transform' ? { center: getTransformPivot(zone), rotation: 0, scale: 1 } : null
+    );
+    setEditShape({
+      coordinates: zone.coordinates.map((point) => [...point]),
+      ...(zone.type === 'circle' && { radius: zone.radius }),
+      ...(zone.rectangle && { rectangle: zone.rectangle }),
+      ...(zone.holes && { holes: zone.holes }),
+      ...(zone.parts && { parts: zone.parts }),
+      ...(zone.corridor && { corridor: zone.corridor }),
+    });
+    setSelectedVertex(null);
+  };
+
+  /**
+   * Merge changes into working copy (circle center/radius)
+   */
+  const updateEditShape = (changes) => {
+    setEditShape((prev) => ({ ...prev, ...changes }));
+  };
+
+  /**
+   * Update move/rotate/scale and rebuild working copy from original zone
+   */
+  const updateTransform = (changes) => {
+    if (!editingZone || !transformState) return;
+
+    const nextTransform = { ...transformState, ...changes };
+    setTransformState(nextTransform);
+    setEditShape(transformZone(editingZone, nextTransform));
+  };
+
+  /**
+   * Move vertex to new position
+   */
+  const moveVertex = (index, point) => {
+    setEditShape((prev) => ({
+      ...prev,
+      coordinates: prev.coordinates.map((p, i) => (i === index ? point : p)),
+    }));
+  };
+
+  /**
+   * Insert vertex after given index (used by edge midpoints)
+   */
+  const insertVertex = (afterIndex, point) => {
+    setEditShape((prev) => {
+      const coordinates = [...prev.coordinates];
+      coordinates.splice(afterIndex + 1, 0, point);
+      return { ...prev, coordinates };
+    });
+    setSelectedVertex(afterIndex + 1);
+  };
+
+  /**
+   * Remove vertex (polygon keeps at least 3 points)
+   */
+  const removeVertex = (index) => {
+    if (!editShape || editShape.coordinates.length <= 3) {
+      console.warn('[ZonesContext] Polygon needs at least 3 points');
+      return;
+    }
+
+    setEditShape((prev) => ({
+      ...prev,
+      coordinates: prev.coordinates.filter((_, i) => i !== index),
+    }));
+    setSelectedVertex(null);
+  };
+
+  /**
+   * Persist edited geometry (area/center recalculated by useZones)
+   * Returns updated zone id or null if nothing to save
+   */
+  const completeGeometryEdit = () => {
+    if (!editingZone || !editShape) {
+      console.warn('[ZonesContext] No geometry edit to complete');
+      return null;
+    }
+
+    const updates = { coordinates: editShape.coordinates };
+    if (editShape.radius !== undefined) {
+      updates.radius = editShape.radius;
+    }
+    if (editShape.rectangle) {
+      updates.rectangle = editShape.rectangle;
+    }
+    if (editShape.holes) {
+      updates.holes = editShape.holes;
+    }
+    if (editShape.parts) {
+      updates.parts = editShape.parts;
+    }
+    if (editShape.corridor) {
+      updates.corridor = editShape.corridor;
+    }
+
+    zonesHook.updateZone(editingZone.id, updates);
+    const zoneId = editingZone.id;
+    cancelGeometryEdit();
+    return zoneId;
+  };
+
+  /**
+   * Discard geometry edit
+   */
+  const cancelGeometryEdit = () => {
+    setEditingZone(null);
+    setEditMode(null);
+    setEditShape(null);
+    setSelectedVertex(null);
+    setTransformState(null);
+  };
+
   // ==========================================
   // FILTER ACTIONS
   // ==========================================
@@ -185,19 +556,20 @@ export function ZonesProvider({ children }) {
    */
   const toggleColorFilter = (color) => {
     setColorFilter((prev) => {
-      if (prev.includes(color)) {
-        return prev.filter((c) => c !== color);
+      const current = prev ?? palette.map((entry) => entry.value);
+      if (current.includes(color)) {
+        return current.filter((c) => c !== color);
       } else {
-        return [...prev, color];
+        return [...current, color];
       }
     });
   };
 
   /**
-   * Show all colors
+   * Show all colors (incl. colors added to palette later)
    */
   const setAllColors = () => {
-    setColorFilter(['red', 'blue', 'green', 'yellow', 'purple']);
+    setColorFilter(null);
   };
 
   /**
@@ -207,6 +579,309 @@ export function ZonesProvider({ children }) {
     setColorFilter([]);
   };
 
+  // ==========================================
+  // LAYER ACTIONS
+  // ==========================================
+
+  /**
+   * Zones on locked layers can't be edited or deleted
+   */
+  const isZoneLocked = (zone) => getZoneLayer(layers, zone).locked;
+
+  /**
+   * Delete layer, its zones are moved to the default layer (one undo step)
+   * @returns {boolean} False if not deleted (default layer)
+   */
+  const deleteLayer = (id) => {
+    if (id === DEFAULT_LAYER_ID) {
+      return false;
+    }
+
+    const layerZones = zonesHook.zones.filter((zone) => getZoneLayerId(zone) === id);
+    if (layerZones.length > 0) {
+      zonesHook.runBatch(`Move ${layerZones.length} zone(s) to default layer`, () => {
+        layerZones.forEach((zone) => zonesHook.updateZone(zone.id, { layerId: DEFAULT_LAYER_ID }));
+      });
+    }
+    return layersHook.deleteLayer(id);
+  };
+
+  // ==========================================
+  // PALETTE ACTIONS
+  // (zones on locked layers are updated too - palette changes aren't zone edits)
+  // ==========================================
+
+  /**
+   * Add palette color (visible in color filter right away)
+   */
+  const addColor = (label, hex) => {
+    const entry = paletteHook.addColor(label, hex);
+    setColorFilter((prev) => (prev === null ? null : [...prev, entry.value]));
+    return entry;
+  };
+
+  /**
+   * Rename/recolor palette color, zones of that color get new hex (one undo step)
+   */
+  const updateColor = (value, { label, hex }) => {
+    const entry = palette.find((e) => e.value === value);
+    paletteHook.updateColor(value, { label, hex });
+
+    const colorZones = zonesHook.zones.filter((zone) => zone.color === value);
+    if (entry && hex.toLowerCase() !== entry.hex && colorZones.length > 0) {
+      zonesHook.runBatch(`Recolor ${colorZones.length} "${label}" zone(s)`, () => {
+        colorZones.forEach((zone) =>
+          zonesHook.updateZone(zone.id, { colorHex: hex.toLowerCase() })
+        );
+      });
+    }
+  };
+
+  /**
+   * Remove palette color; its zones and layers get replacement color (one undo step)
+   * Overlap rules for the removed color are kept (undo brings the color back)
+   * @returns {boolean} False if not removed (last color)
+   */
+  const removeColor = (value, replacement) => {
+    if (palette.length <= 1 || value === replacement) {
+      return false;
+    }
+
+    // Palette change is part of the undo step, so undo doesn't leave zones on a missing color
+    const colorZones = zonesHook.zones.filter((zone) => zone.color === value);
+    if (colorZones.length > 0) {
+      const colorHex = getPaletteHex(palette, replacement);
+      zonesHook.runBatch(
+        `Reassign ${colorZones.length} zone(s) to new color`,
+        () => {
+          colorZones.forEach((zone) =>
+            zonesHook.updateZone(zone.id, { color: replacement, colorHex })
+          );
+        },
+        { before: palette, after: palette.filter((entry) => entry.value !== value) }
+      );
+    }
+
+    layers
+      .filter((layer) => layer.style.color === value)
+      .forEach((layer) =>
+        layersHook.updateLayer(layer.id, { style: { ...layer.style, color: replacement } })
+      );
+
+    // Reassigned zones stay visible if removed color was
+    setColorFilter((prev) => {
+      if (prev === null) return null;
+      const kept = prev.filter((c) => c !== value);
+      return prev.includes(value) && !kept.includes(replacement) ? [...kept, replacement] : kept;
+    });
+
+    return paletteHook.removeColor(value);
+  };
+
+  // ==========================================
+  // ATTRIBUTE ACTIONS
+  // (zones on locked layers are updated too - field changes aren't zone edits)
+  // ==========================================
+
+  /**
+   * Update attribute field; zone values are converted to new type/options, values that
+   * no longer fit are removed (one undo step)
+   */
+  const updateAttribute = (id, updates) => {
+    const previous = attributeSchema.find((field) => field.id === id);
+    const field = attributesHook.updateAttribute(id, updates);
+    if (!field) {
+      return;
+    }
+
+    const changes = zonesHook.zones
+      .filter((zone) => zone.attributes?.[id] !== undefined)
+      .map((zone) => ({ zone, value: coerceAttributeValue(field, zone.attributes[id]) }))
+      .filter(({ zone, value }) => value !== zone.attributes[id]);
+    if (changes.length > 0) {
+      zonesHook.runBatch(`Convert "${field.name}" on ${changes.length} zone(s)`, () => {
+        changes.forEach(({ zone, value }) =>
+          zonesHook.updateZone(zone.id, {
+            attributes: setZoneAttribute(zone.attributes, id, value),
+          })
+        );
+      });
+    }
+
+    // Filter no longer fits field
+    if (
+      attributeFilter?.fieldId === id &&
+      (previous?.type !== field.type ||
+        (field.type === 'enum' && !field.options.includes(attributeFilter.value)))
+    ) {
+      setAttributeFilter(null);
+    }
+  };
+
+  /**
+   * Delete attribute field and its values on zones (one undo step)
+   */
+  const deleteAttribute = (id) => {
+    const fieldZones = zonesHook.zones.filter((zone) => zone.attributes?.[id] !== undefined);
+    if (fieldZones.length > 0) {
+      zonesHook.runBatch(`Remove field from ${fieldZones.length} zone(s)`, () => {
+        fieldZones.forEach((zone) =>
+          zonesHook.updateZone(zone.id, {
+            attributes: setZoneAttribute(zone.attributes, id, undefined),
+          })
+        );
+      });
+    }
+
+    if (attributeFilter?.fieldId === id) {
+      setAttributeFilter(null);
+    }
+    attributesHook.deleteAttribute(id);
+  };
+
+  // ==========================================
+  // SNAPSHOT ACTIONS
+  // ==========================================
+
+  /**
+   * Update zone fields (name, color, layer, attributes), zones on locked layers are kept
+   * @returns {boolean} False if zone is on a locked layer
+   */
+  const updateZone = (id, updates) => {
+    const zone = zonesHook.zones.find((z) => z.id === id);
+    if (zone && isZoneLocked(zone)) {
+      console.warn('[ZonesContext] Zone is on a locked layer');
+      return false;
+    }
+    zonesHook.updateZone(id, updates);
+    return true;
+  };
+
+  /**
+   * Delete zone (snapshot taken first), zones on locked layers are kept
+   */
+  const deleteZone = (id) => {
+    const zone = zonesHook.zones.find((z) => z.id === id);
+    if (zone && isZoneLocked(zone)) {
+      console.warn('[ZonesContext] Zone is on a locked layer');
+      return;
+    }
+    if (zone) {
+      takeSnapshot(`Before deleting "${zone.name}"`);
+    }
+    zonesHook.deleteZone(id);
+  };
+
+  /**
+   * Delete all zones except those on locked layers (snapshot taken first)
+   */
+  const clearZones = () => {
+    const lockedZones = zonesHook.zones.filter(isZoneLocked);
+    const count = zonesHook.zones.length - lockedZones.length;
+    if (count === 0) return;
+
+    takeSnapshot(`Before deleting all ${count} zones`);
+    if (lockedZones.length === 0) {
+      zonesHook.clearZones();
+    } else {
+      zonesHook.replaceZones(lockedZones, `Delete ${count} zones (locked layers kept)`);
+    }
+  };
+
+  /**
+   * Roll zones back to snapshot (one undo step, current zones are snapshotted first)
+   * Zones on locked layers are kept as they are now (snapshot copies of them are ignored)
+   * @returns {Promise<boolean>} False if snapshot data is missing
+   */
+  const restoreSnapshot = async (snapshot) => {
+    const zones = await loadSnapshot(snapshot.id);
+    if (!zones) return false;
+
+    const lockedZones = zonesHook.zones.filter(isZoneLocked);
+    const lockedIds = new Set(lockedZones.map((zone) => zone.id));
+    const restored = [
+      ...zones.filter((zone) => !lockedIds.has(zone.id) && !isZoneLocked(zone)),
+      ...lockedZones,
+    ];
+
+    takeSnapshot('Before restoring snapshot');
+    zonesHook.replaceZones(
+      restored,
+      `Restore snapshot from ${new Date(snapshot.createdAt).toLocaleString()}`
+    );
+    return true;
+  };
+
+  // ==========================================
+  // HISTORY ACTIONS
+  // ==========================================
+
+  /**
+   * Revert last zone command (and palette change recorded with it)
+   * Refused while the command would change zones on a locked layer
+   * @returns {Object} { command, locked } - command is null if history is empty
+   */
+  const undoChange = () => {
+    const next = zonesHook.peekChange('undo');
+    if (next && changesLockedZones(next, 'undo')) {
+      return { command: next, locked: true };
+    }
+
+    const command = zonesHook.undoChange();
+    applyCommandPalette(command, 'undo');
+    return { command, locked: false };
+  };
+
+  /**
+   * Re-apply last undone zone command (and palette change recorded with it)
+   * Refused while the command would change zones on a locked layer
+   * @returns {Object} { command, locked } - command is null if nothing to redo
+   */
+  const redoChange = () => {
+    const next = zonesHook.peekChange('redo');
+    if (next && changesLockedZones(next, 'redo')) {
+      return { command: next, locked: true };
+    }
+
+    const command = zonesHook.redoChange();
+    applyCommandPalette(command, 'redo');
+    return { command, locked: false };
+  };
+
+  /**
+   * Command would change a zone that is on a locked layer now or would end up on one
+   */
+  const changesLockedZones = (command, direction) =>
+    command.changes.some((change) => {
+      const current = zonesHook.zones.find((zone) => zone.id === change.id);
+      const target = direction === 'undo' ? change.before : change.after;
+      return [current, target].some((zone) => zone && isZoneLocked(zone));
+    });
+
+  /**
+   * Put back (undo) or remove again (redo) colors removed by command
+   * Applied to current palette, so colors added or edited since then are kept
+   * (brought back colors are shown if color filter is on)
+   */
+  const applyCommandPalette = (command, direction) => {
+    if (!command?.palette) return;
+
+    const { before, after } = command.palette;
+    const removed = before.filter((entry) => !after.some((e) => e.value === entry.value));
+    const current = palette.filter((entry) => !removed.some((e) => e.value === entry.value));
+    if (direction === 'redo') {
+      if (current.length > 0) paletteHook.replacePalette(current); // Last color is never removed
+      return;
+    }
+
+    const next = [...current];
+    removed.forEach((entry) => next.splice(before.indexOf(entry), 0, entry));
+    paletteHook.replacePalette(next);
+    setColorFilter((prev) =>
+      prev === null ? null : [...new Set([...prev, ...removed.map((e) => e.value)])]
+    );
+  };
+
   // ==========================================
   // CONTEXT VALUE
   // ==========================================
@@ -216,15 +891,43 @@ export function ZonesProvider({ children }) {
     zones: zonesHook.zones,
     loading: zonesHook.loading,
     addZone: zonesHook.addZone,
-    updateZone: zonesHook.updateZone,
-    deleteZone: zonesHook.deleteZone,
-    clearZones: zonesHook.clearZones,
+    updateZone,
+    deleteZone,
+    clearZones,
+    runBatch: zonesHook.runBatch,
     refetch: zonesHook.refetch,
+    spatialIndex: zonesHook.spatialIndex, // Bounds R-tree + geometry cache of all zones
+    zoneStore: zonesHook.zoneStore, // Persistent store (findByColor / findInBounds)
+
+    // Unreadable saved zones / failed save (recovery screen is shown instead of the map)
+    storageError: zonesHook.storageError,
+    restoreLastGood: zonesHook.restoreLastGood,
+    discardUnreadableZones: zonesHook.discardUnreadableZones,
+    retrySave: zonesHook.retrySave,
+
+    // Snapshots (restore points taken before destructive changes + daily)
+    snapshots,
+    loadSnapshot,
+    restoreSnapshot,
+    deleteSnapshot,
+
+    // Zone change history (undo/redo of any mutation above)
+    undoChange,
+    redoChange,
+    canUndoChange: zonesHook.canUndoChange,
+    canRedoChange: zonesHook.canRedoChange,
 
     // Drawing state + actions
     drawingMode,
     drawingShape,
+    drawingTarget,
     redoStack,
+    lassoTolerance,
+    setLassoTolerance,
+    corridorWidth,
+    setCorridorWidth,
+    snapIndicator,
+    setSnapIndicator,
     startDrawing,
     setDrawingShape,
     addDrawingPoint,
@@ -232,17 +935,63 @@ export function ZonesProvider({ children }) {
     redoLastPoint,
     clearDrawing,
     completeDrawing,
+    completeHole,
+    completePart,
+    completeSplit,
+    completeMerge,
 
     // Selection
     selectedZone,
     setSelectedZone,
 
-    // Filtering
-    colorFilter,
+    // Geometry edit state + actions
+    editingZone,
+    editMode,
+    editShape,
+    selectedVertex,
+    setSelectedVertex,
+    transformState,
+    startGeometryEdit,
+    updateEditShape,
+    updateTransform,
+    moveVertex,
+    insertVertex,
+    removeVertex,
+    completeGeometryEdit,
+    cancelGeometryEdit,
+
+    // Filtering (colorFilter = visible colors)
+    colorFilter: visibleColors,
     filteredZones,
     toggleColorFilter,
     setAllColors,
     clearAllColors,
+
+    // Layers (visibility, lock, style, draw order)
+    layers,
+    addLayer: layersHook.addLayer,
+    updateLayer: layersHook.updateLayer,
+    moveLayer: layersHook.moveLayer,
+    deleteLayer,
+    isZoneLocked,
+
+    // Palette (zone colors of workspace)
+    palette,
+    addColor,
+    updateColor,
+    removeColor,
+
+    // Custom attributes (fields of workspace, values in zone.attributes)
+    attributeSchema,
+    addAttribute: attributesHook.addAttribute,
+    updateAttribute,
+    deleteAttribute,
+    attributeFilter,
+    setAttributeFilter,
+
+    // Overlap rules (which layers / color groups may overlap)
+    overlapPolicy,
+    setOverlapPolicy,
   };
 
   return <ZonesContext.Provider value={value}>{children}</ZonesContext.Provider>;
@@ -252,6 +1001,19 @@ export function ZonesProvider({ children }) {
 // HELPER FUNCTIONS
 // ==========================================
 
+/**
+ * Modes where shape is built by tapping points one by one (undo/redo supported)
+ */
+export function isPointByPointMode(mode) {
+  return (
+    mode === 'polygon' ||
+    mode === 'corridor' ||
+    mode === 'hole' ||
+    mode === 'part' ||
+    mode === 'split'
+  );
+}
+
 /**
  * Capitalize first letter
  */
@@ -0,0 +1,70 @@
+import { useState, useEffect, useRef } from 'react';
+import * as Crypto from 'expo-crypto';
+import { getItem, setItem } from '../utils/storage';
+import { workspaceKey } from '../utils/workspaces';
+import { createAttribute, normalizeAttributeSchema } from '../utils/attributes';
+import { STORAGE_KEYS } from '../../shared/constants';
+
+/**
+ * Custom attribute fields of a workspace with AsyncStorage persistence (see attributes.js)
+ * Fields are validated by caller (validateAttributeField); zone values are updated by caller
+ *
+ * @param {string} workspaceId - Workspace the fields belong to
+ */
+export function useAttributeSchema(workspaceId) {
+  const [attributeSchema, setAttributeSchema] = useState([]);
+  const schemaRef = useRef(attributeSchema);
+  const schemaKey = workspaceKey(STORAGE_KEYS.ATTRIBUTES, workspaceId);
+
+  useEffect(() => {
+    const loadSchema = async () => {
+      const stored = await getItem(schemaKey);
+      if (stored) {
+        const loaded = normalizeAttributeSchema(stored);
+        schemaRef.current = loaded;
+        setAttributeSchema(loaded);
+      }
+    };
+
+    loadSchema();
+  }, []);
+
+  const save = (next) => {
+    schemaRef.current = next;
+    setAttributeSchema(next);
+    setItem(schemaKey, next).catch((error) => {
+      console.error('[useAttributeSchema] Error saving attribute fields:', error);
+    });
+  };
+
+  /**
+   * Add field at the end of the list
+   */
+  const addAttribute = ({ name, type, options, required }) => {
+    const field = createAttribute(Crypto.randomUUID(), name, type, options, required);
+    save([...schemaRef.current, field]);
+    return field;
+  };
+
+  /**
+   * Update field (name, type, options, required)
+   * @returns {Object|null} Updated field
+   */
+  const updateAttribute = (id, { name, type, options, required }) => {
+    const field = createAttribute(id, name, type, options, required);
+    if (!schemaRef.current.some((f) => f.id === id)) {
+      return null;
+    }
+    save(schemaRef.current.map((f) => (f.id === id ? field : f)));
+    return field;
+  };
+
+  /**
+   * Remove field (values are removed from zones by caller)
+   */
+  const deleteAttribute = (id) => {
+    save(schemaRef.current.filter((field) => field.id !== id));
+  };
+
+  return { attributeSchema, addAttribute, updateAttribute, deleteAttribute };
+}
@@ -0,0 +1,77 @@
+import { useState, useEffect, useRef } from 'react';
+import * as Crypto from 'expo-crypto';
+import { getItem, setItem } from '../utils/storage';
+import { workspaceKey } from '../utils/workspaces';
+import { createLayer, normalizeLayers, moveLayer as reorderLayer } from '../utils/layers';
+import { STORAGE_KEYS, DEFAULT_LAYER_ID } from '../../shared/constants';
+
+/**
+ * Layers of a workspace with AsyncStorage persistence (see layers.js)
+ * Only the default layer exists until stored layers are loaded
+ * Names are validated by caller (validateLayerName)
+ *
+ * @param {string} workspaceId - Workspace the layers belong to
+ */
+export function useLayers(workspaceId) {
+  const [layers, setLayers] = useState(() => normalizeLayers(null));
+  const layersRef = useRef(layers);
+  const layersKey = workspaceKey(STORAGE_KEYS.LAYERS, workspaceId);
+
+  useEffect(() => {
+    const loadLayers = async () => {
+      const stored = await getItem(layersKey);
+      if (stored) {
+        const loaded = normalizeLayers(stored);
+        layersRef.current = loaded;
+        setLayers(loaded);
+      }
+    };
+
+    loadLayers();
+  }, []);
+
+  const save = (next) => {
+    layersRef.current = next;
+    setLayers(next);
+    setItem(layersKey, next).catch((error) => {
+      console.error('[useLayers] Error saving layers:', error);
+    });
+  };
+
+  /**
+   * Add layer on top of the others
+   */
+  const addLayer = (name, style) => {
+    const layer = createLayer(Crypto.randomUUID(), name, style);
+    save([...layersRef.current, layer]);
+    return layer;
+  };
+
+  /**
+   * Update layer fields (name, visible, locked, style)
+   */
+  const updateLayer = (id, updates) => {
+    save(layersRef.current.map((layer) => (layer.id === id ? { ...layer, ...updates } : layer)));
+  };
+
+  /**
+   * Move layer up (1) or down (-1) in draw order
+   */
+  const moveLayer = (id, offset) => {
+    save(reorderLayer(layersRef.current, id, offset));
+  };
+
+  /**
+   * Remove layer (its zones are moved by caller); default layer can't be removed
+   * @returns {boolean} False if not removed
+   */
+  const deleteLayer = (id) => {
+    if (id === DEFAULT_LAYER_ID) {
+      return false;
+    }
+    save(layersRef.current.filter((layer) => layer.id !== id));
+    return true;
+  };
+
+  return { layers, addLayer, updateLayer, moveLayer, deleteLayer };
+}
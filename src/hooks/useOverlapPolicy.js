@@ -0,0 +1,44 @@
+import { useState, useEffect } from 'react';
+import { getItem, setItem } from '../utils/storage';
+import { workspaceKey } from '../utils/workspaces';
+import { STORAGE_KEYS } from '../../shared/constants';
+import { DEFAULT_OVERLAP_POLICY, normalizeOverlapPolicy } from '../utils/overlapPolicy';
+
+/**
+ * Overlap policy of a workspace with AsyncStorage persistence
+ * Stored per workspace, since color pairs refer to the workspace's palette values
+ * Strict default (no overlaps, touching allowed) until stored policy is loaded
+ *
+ * @param {string} workspaceId - Workspace the policy belongs to
+ */
+export function useOverlapPolicy(workspaceId) {
+  const [overlapPolicy, setOverlapPolicyState] = useState(DEFAULT_OVERLAP_POLICY);
+  const policyKey = workspaceKey(STORAGE_KEYS.OVERLAP_POLICY, workspaceId);
+
+  useEffect(() => {
+    const loadPolicy = async () => {
+      const stored = await getItem(policyKey);
+      if (stored) {
+        setOverlapPolicyState(normalizeOverlapPolicy(stored));
+      }
+    };
+
+    loadPolicy();
+  }, []);
+
+  /**
+   * Replace policy and persist it
+   */
+  const setOverlapPolicy = async (policy) => {
+    const normalized = normalizeOverlapPolicy(policy);
+    setOverlapPolicyState(normalized);
+
+    try {
+      await setItem(policyKey, normalized);
+    } catch (error) {
+      console.error('[useOverlapPolicy] Error saving policy:', error);
+    }
+  };
+
+  return { overlapPolicy, setOverlapPolicy };
+}
@@ -0,0 +1,83 @@
+import { useState, useEffect, useRef } from 'react';
+import * as Crypto from 'expo-crypto';
+import { getItem, setItem } from '../utils/storage';
+import { workspaceKey } from '../utils/workspaces';
+import { normalizePalette } from '../utils/palette';
+import { STORAGE_KEYS } from '../../shared/constants';
+
+/**
+ * Color palette of a workspace with AsyncStorage persistence (see palette.js)
+ * Built-in colors are used until stored palette is loaded
+ * Entries are validated by caller (validatePaletteEntry); zones are updated by caller
+ *
+ * @param {string} workspaceId - Workspace the palette belongs to
+ */
+export function usePalette(workspaceId) {
+  const [palette, setPalette] = useState(() => normalizePalette(null));
+  const paletteRef = useRef(palette);
+  const paletteKey = workspaceKey(STORAGE_KEYS.PALETTE, workspaceId);
+
+  useEffect(() => {
+    const loadPalette = async () => {
+      const stored = await getItem(paletteKey);
+      if (stored) {
+        const loaded = normalizePalette(stored);
+        paletteRef.current = loaded;
+        setPalette(loaded);
+      }
+    };
+
+    loadPalette();
+  }, []);
+
+  const save = (next) => {
+    paletteRef.current = next;
+    setPalette(next);
+    setItem(paletteKey, next).catch((error) => {
+      console.error('[usePalette] Error saving palette:', error);
+    });
+  };
+
+  /**
+   * Add color at the end of the palette
+   */
+  const addColor = (label, hex) => {
+    const entry = { value: Crypto.randomUUID(), label, hex: hex.toLowerCase() };
+    save([...paletteRef.current, entry]);
+    return entry;
+  };
+
+  /**
+   * Update color fields (label, hex)
+   */
+  const updateColor = (value, updates) => {
+    save(
+      paletteRef.current.map((entry) =>
+        entry.value === value
+          ? { ...entry, ...updates, hex: (updates.hex ?? entry.hex).toLowerCase() }
+          : entry
+      )
+    );
+  };
+
+  /**
+   * Remove color (its zones are reassigned by caller); last color can't be removed
+   * @returns {boolean} False if not removed
+   */
+  const removeColor = (value) => {
+    if (paletteRef.current.length <= 1) {
+      return false;
+    }
+    save(paletteRef.current.filter((entry) => entry.value !== value));
+    return true;
+  };
+
+  /**
+   * Replace whole palette (undo/redo of a command that removed a color)
+   */
+  const replacePalette = (entries) => {
+    save(entries);
+  };
+
+  return { palette, addColor, updateColor, removeColor, replacePalette };
+}
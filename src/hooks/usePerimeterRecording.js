@@ -0,0 +1,56 @@
+import { useState, useEffect, useRef } from 'react';
+import { createTrack, addFix } from '../utils/perimeterRecording';
+
+/**
+ * Records walk-the-perimeter track from a location source
+ * Source is injected (device GPS in the app, replayed track file in tests)
+ *
+ * @param {Object} source - { start(onFix, onError), stop() } (see locationSources.js)
+ * @param {Function} onTrackChange - Called with track state after every kept/dropped fix
+ */
+export function usePerimeterRecording(source, onTrackChange) {
+  const [isRecording, setIsRecording] = useState(false);
+  const trackRef = useRef(createTrack());
+  const onTrackChangeRef = useRef(onTrackChange);
+  onTrackChangeRef.current = onTrackChange;
+
+  // Stop source on unmount
+  useEffect(() => () => source.stop(), [source]);
+
+  /**
+   * Start new recording (previous track is discarded)
+   * Rejects if location is unavailable (e.g. permission denied)
+   */
+  const startRecording = async () => {
+    trackRef.current = createTrack();
+    setIsRecording(true);
+
+    const handleFix = (fix) => {
+      trackRef.current = addFix(trackRef.current, fix);
+      onTrackChangeRef.current?.(trackRef.current);
+    };
+
+    const handleError = (error) => {
+      console.error('[usePerimeterRecording] Location error:', error);
+    };
+
+    try {
+      await source.start(handleFix, handleError);
+    } catch (error) {
+      setIsRecording(false);
+      throw error;
+    }
+  };
+
+  /**
+   * Stop recording
+   * @returns {Object} Final track state
+   */
+  const stopRecording = () => {
+    source.stop();
+    setIsRecording(false);
+    return trackRef.current;
+  };
+
+  return { isRecording, startRecording, stopRecording };
+}
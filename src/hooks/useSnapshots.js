@@ -0,0 +1,133 @@
+import { useState, useEffect, useRef } from 'react';
+import * as Crypto from 'expo-crypto';
+import { getItem, setItem, removeItem } from '../utils/storage';
+import { serializeZones } from '../utils/zoneMigrations';
+import { workspaceKey } from '../utils/workspaces';
+import {
+  snapshotKey,
+  addSnapshot,
+  isDailySnapshotDue,
+  readSnapshotZones,
+  normalizeSnapshots,
+} from '../utils/snapshots';
+import { STORAGE_KEYS, SNAPSHOTS } from '../../shared/constants';
+
+/**
+ * Automatic zone snapshots with AsyncStorage persistence
+ * - takeSnapshot before destructive changes (called by ZonesContext)
+ * - daily snapshot, checked on load and periodically while app runs
+ * - oldest snapshots beyond SNAPSHOTS.MAX_DAILY / MAX_BEFORE_CHANGE (per kind) are deleted
+ *
+ * @param {string} workspaceId - Workspace the snapshots belong to
+ * @param {Array} zones - Current zones
+ * @param {boolean} loading - Zones not loaded yet (nothing is snapshotted)
+ */
+export function useSnapshots(workspaceId, zones, loading) {
+  const [snapshots, setSnapshots] = useState([]); // Newest first
+  const [snapshotsLoaded, setSnapshotsLoaded] = useState(false);
+  const snapshotsRef = useRef(snapshots);
+  const zonesRef = useRef(zones); // Latest zones (read by periodic check)
+  const lastZonesRef = useRef({}); // Zones of last snapshot per kind (same array = nothing to save)
+  const listKey = workspaceKey(STORAGE_KEYS.SNAPSHOTS, workspaceId);
+
+  useEffect(() => {
+    zonesRef.current = zones;
+  }, [zones]);
+
+  useEffect(() => {
+    const loadSnapshots = async () => {
+      const stored = normalizeSnapshots(await getItem(listKey));
+      snapshotsRef.current = stored;
+      setSnapshots(stored);
+      setSnapshotsLoaded(true);
+    };
+
+    loadSnapshots();
+  }, []);
+
+  /**
+   * Daily snapshot (on load, then checked every SNAPSHOTS.CHECK_INTERVAL)
+   */
+  useEffect(() => {
+    if (loading || !snapshotsLoaded) return;
+
+    const checkDaily = () => {
+      if (isDailySnapshotDue(snapshotsRef.current)) {
+        takeSnapshot('Daily snapshot', 'daily');
+      }
+    };
+
+    checkDaily();
+    const timer = setInterval(checkDaily, SNAPSHOTS.CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [loading, snapshotsLoaded]);
+
+  /**
+   * Save current zones as snapshot
+   * Zones are captured synchronously, so callers can mutate right after calling
+   * Skipped when there are no zones or zones didn't change since last snapshot of the same kind
+   * (kinds have separate retention, so a daily snapshot isn't covered by a before-change one)
+   *
+   * @param {string} reason - Shown in restore list (e.g. 'Before deleting all 12 zones')
+   * @param {string} kind - 'before-change' | 'daily'
+   * @returns {Promise<Object|null>} Snapshot or null if skipped
+   */
+  const takeSnapshot = async (reason, kind = 'before-change') => {
+    const current = zonesRef.current;
+    if (loading || current.length === 0 || current === lastZonesRef.current[kind]) {
+      return null;
+    }
+    lastZonesRef.current[kind] = current;
+
+    const snapshot = {
+      id: Crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      reason,
+      kind,
+      zoneCount: current.length,
+    };
+    const { kept, removed } = addSnapshot(snapshotsRef.current, snapshot);
+    snapshotsRef.current = kept;
+    setSnapshots(kept);
+
+    try {
+      await setItem(snapshotKey(snapshot.id), serializeZones(current));
+      await setItem(listKey, kept);
+      await Promise.all(removed.map(({ id }) => removeItem(snapshotKey(id))));
+    } catch (error) {
+      console.error('[useSnapshots] Error saving snapshot:', error);
+    }
+    return snapshot;
+  };
+
+  /**
+   * Load zones of snapshot (migrated to current schema)
+   * @returns {Promise<Array|null>} Zones or null if snapshot data is missing
+   */
+  const loadSnapshot = async (id) => {
+    return readSnapshotZones(await getItem(snapshotKey(id)));
+  };
+
+  /**
+   * Delete snapshot and its zones
+   */
+  const deleteSnapshot = async (id) => {
+    const kept = snapshotsRef.current.filter((snapshot) => snapshot.id !== id);
+    snapshotsRef.current = kept;
+    setSnapshots(kept);
+
+    try {
+      await setItem(listKey, kept);
+      await removeItem(snapshotKey(id));
+    } catch (error) {
+      console.error('[useSnapshots] Error deleting snapshot:', error);
+    }
+  };
+
+  return {
+    snapshots,
+    takeSnapshot,
+    loadSnapshot,
+    deleteSnapshot,
+  };
+}
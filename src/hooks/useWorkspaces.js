@@ -0,0 +1,160 @@
+import { useState, useEffect, useRef } from 'react';
+import * as Crypto from 'expo-crypto';
+import { getItem, setItem, removeItem } from '../utils/storage';
+import { openZoneStore } from '../utils/zoneStore';
+import { ZONES_SCHEMA_VERSION, readStoredZones } from '../utils/zoneMigrations';
+import { snapshotKey, normalizeSnapshots } from '../utils/snapshots';
+import { workspaceKey, normalizeWorkspaces } from '../utils/workspaces';
+import { STORAGE_KEYS } from '../../shared/constants';
+
+/**
+ * Workspace list with AsyncStorage persistence (see workspaces.js)
+ * Names are validated by caller (validateWorkspaceName)
+ */
+export function useWorkspaces() {
+  const [state, setState] = useState(null); // { activeId, workspaces }, null until loaded
+  const stateRef = useRef(state);
+
+  useEffect(() => {
+    const loadWorkspaces = async () => {
+      const loaded = normalizeWorkspaces(await getItem(STORAGE_KEYS.WORKSPACES));
+      stateRef.current = loaded;
+      setState(loaded);
+    };
+
+    loadWorkspaces();
+  }, []);
+
+  const save = (next) => {
+    stateRef.current = next;
+    setState(next);
+    setItem(STORAGE_KEYS.WORKSPACES, next).catch((error) => {
+      console.error('[useWorkspaces] Error saving workspaces:', error);
+    });
+  };
+
+  /**
+   * Make workspace active (its zones are loaded by remounted ZonesProvider)
+   */
+  const switchWorkspace = (id) => {
+    save({ ...stateRef.current, activeId: id });
+  };
+
+  /**
+   * Create empty workspace and switch to it
+   */
+  const createWorkspace = (name) => {
+    const workspace = { id: Crypto.randomUUID(), name, createdAt: new Date().toISOString() };
+    const { workspaces } = stateRef.current;
+    save({ activeId: workspace.id, workspaces: [...workspaces, workspace] });
+    return workspace;
+  };
+
+  const renameWorkspace = (id, name) => {
+    updateWorkspace(id, { name });
+  };
+
+  /**
+   * Update workspace fields (name, colorFilter, region)
+   */
+  const updateWorkspace = (id, updates) => {
+    const { activeId, workspaces } = stateRef.current;
+    save({
+      activeId,
+      workspaces: workspaces.map((workspace) =>
+        workspace.id === id ? { ...workspace, ...updates } : workspace
+      ),
+    });
+  };
+
+  /**
+   * Copy workspace (zones, layers, palette, attribute fields, overlap rules, filters, map region)
+   * and switch to the copy
+   * History and snapshots are not copied
+   * @throws If zones of source workspace can't be read
+   */
+  const duplicateWorkspace = async (id, name) => {
+    const source = stateRef.current.workspaces.find((workspace) => workspace.id === id);
+    if (!source) return null;
+
+    const { status, value } = await (await openZoneStore(id)).load();
+    if (status === 'corrupt') {
+      throw new Error(`Zones of "${source.name}" could not be read`);
+    }
+
+    const workspace = {
+      ...source,
+      id: Crypto.randomUUID(),
+      name,
+      createdAt: new Date().toISOString(),
+    };
+    await (await openZoneStore(workspace.id)).replaceAll(readStoredZones(value));
+
+    const copiedKeys = [
+      STORAGE_KEYS.LAYERS,
+      STORAGE_KEYS.PALETTE,
+      STORAGE_KEYS.ATTRIBUTES,
+      STORAGE_KEYS.OVERLAP_POLICY,
+    ];
+    for (const key of copiedKeys) {
+      const stored = await getItem(workspaceKey(key, id));
+      if (stored) {
+        await setItem(workspaceKey(key, workspace.id), stored);
+      }
+    }
+
+    const { workspaces } = stateRef.current;
+    save({ activeId: workspace.id, workspaces: [...workspaces, workspace] });
+    return workspace;
+  };
+
+  /**
+   * Delete workspace with its zones, layers, palette, attribute fields, overlap rules, history
+   * and snapshots
+   * Last remaining workspace can't be deleted; deleting the active one switches to another
+   * @returns {boolean} False if not deleted
+   */
+  const deleteWorkspace = async (id) => {
+    const { activeId, workspaces } = stateRef.current;
+    const remaining = workspaces.filter((workspace) => workspace.id !== id);
+    if (remaining.length === 0 || remaining.length === workspaces.length) {
+      return false;
+    }
+
+    save({ activeId: activeId === id ? remaining[0].id : activeId, workspaces: remaining });
+
+    try {
+      await (await openZoneStore(id)).destroy();
+
+      const snapshotsKey = workspaceKey(STORAGE_KEYS.SNAPSHOTS, id);
+      const snapshots = normalizeSnapshots(await getItem(snapshotsKey));
+      await Promise.all(snapshots.map((snapshot) => removeItem(snapshotKey(snapshot.id))));
+      await removeItem(snapshotsKey);
+      await removeItem(workspaceKey(STORAGE_KEYS.HISTORY, id));
+      await removeItem(workspaceKey(STORAGE_KEYS.LAYERS, id));
+      await removeItem(workspaceKey(STORAGE_KEYS.PALETTE, id));
+      await removeItem(workspaceKey(STORAGE_KEYS.ATTRIBUTES, id));
+      await removeItem(workspaceKey(STORAGE_KEYS.OVERLAP_POLICY, id));
+
+      const backupKey = workspaceKey(STORAGE_KEYS.ZONES_BACKUP, id);
+      for (let version = 0; version < ZONES_SCHEMA_VERSION; version++) {
+        await removeItem(`${backupKey}-v${version}`);
+      }
+    } catch (error) {
+      console.error('[useWorkspaces] Error deleting workspace data:', error);
+    }
+    return true;
+  };
+
+  return {
+    workspaces: state?.workspaces ?? [],
+    activeWorkspace: state?.workspaces.find((workspace) => workspace.id === state.activeId) ?? null,
+    loading: state === null,
+    switchWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    updateWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace,
+  };
+}
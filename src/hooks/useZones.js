@@ -1,107 +1,436 @@
 import { useState, useEffect, useRef } from 'react';
 import * as Crypto from 'expo-crypto';
-import { calculateZoneArea, calculateZoneCenter } from '../utils/zoneCalculations';
-import { getItem, setItem } from '../utils/storage';
-import { STORAGE_KEYS } from '../../shared/constants';
+import { calculateZoneMetrics } from '../utils/zoneCalculations';
+import { getItem, setItem, setLastGoodItem, getLastGoodItem } from '../utils/storage';
+import { openZoneStore } from '../utils/zoneStore';
+import { workspaceKey } from '../utils/workspaces';
+import { STORAGE_KEYS, HISTORY_STORAGE } from '../../shared/constants';
+import {
+  EMPTY_HISTORY,
+  createCommand,
+  pushCommand,
+  undoCommand,
+  redoCommand,
+  applyChanges,
+  normalizeHistory,
+  trimHistoryForStorage,
+} from '../utils/zoneHistory';
+import { createSpatialIndex } from '../utils/spatialIndex';
+import {
+  ZONES_SCHEMA_VERSION,
+  parseStoredZones,
+  serializeZones,
+  migrateZones,
+  migrateHistory,
+} from '../utils/zoneMigrations';
+
+// Zone fields that affect area/perimeter/center/label point
+const GEOMETRY_FIELDS = ['type', 'coordinates', 'radius', 'holes', 'parts'];
 
 /**
- * CRUD hook with AsyncStorage persistence
- * Auto-calculates zone area and center on creation
+ * CRUD hook with persistence through zone store (SQLite, AsyncStorage fallback - see zoneStore.js)
+ * Only changed zones are written (per-zone upserts/deletes where the store supports it)
+ * Auto-calculates zone metrics (area, perimeter, center, label point) on creation
+ * Every mutation is recorded as undoable command (history persisted separately)
+ * Spatial index (bounds R-tree + geometry cache) is updated with every change
+ * Zones and history belong to one workspace (provider is remounted on workspace switch)
+ * Unreadable stored zones are never overwritten: storageError is set instead and
+ * zones stay unloaded until restoreLastGood or discardUnreadableZones is chosen
  */
-export function useZones() {
+export function useZones(workspaceId) {
   const [zones, setZones] = useState([]);
   const [loading, setLoading] = useState(true);
-  const previousZonesRef = useRef(zones); // Prevents unnecessary saves
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const [storageError, setStorageError] = useState(null); // { reason: 'corrupt' | 'missing' | 'failed' | 'newer' | 'save', lastGood: { savedAt, zoneCount } | null }
+  const storeRef = useRef(null); // Zone store, opened on first load
+  const zonesRef = useRef(zones); // Latest zones (mutations in same tick build on each other)
+  const historyRef = useRef(history);
+  const historyLoadedRef = useRef(false); // Skip saving history until it was loaded
+  const historySaveRef = useRef(null); // Timer of pending history save
+  const batchRef = useRef(null); // Changes collected by runBatch (one command)
+  const [spatialIndex] = useState(createSpatialIndex); // Mutable, synced with zonesRef
+  const zonesKey = workspaceKey(STORAGE_KEYS.ZONES, workspaceId);
+  const historyKey = workspaceKey(STORAGE_KEYS.HISTORY, workspaceId);
 
   /**
-   * Load zones from AsyncStorage on mount
+   * Load zones from store on mount
    */
   useEffect(() => {
     loadZones();
   }, []);
 
+  /**
+   * Load zones + history
+   * Unreadable zones (or zones gone while a good snapshot exists) stop loading
+   * and are reported through storageError, as does any error while installing them
+   */
   const loadZones = async () => {
     try {
       setLoading(true);
-      const stored = await getItem(STORAGE_KEYS.ZONES);
-      if (stored && Array.isArray(stored)) {
-        setZones(stored);
-        previousZonesRef.current = stored;
+      setStorageError(null);
+      if (!storeRef.current) {
+        storeRef.current = await openZoneStore(workspaceId);
+      }
+      const { status, value: stored } = await storeRef.current.load();
+      const lastGood = await getLastGoodItem(zonesKey);
+      const lastGoodZones = lastGood ? parseStoredZones(lastGood.value).zones : [];
+
+      if (status === 'corrupt' || (status === 'missing' && lastGoodZones.length > 0)) {
+        setStorageError({
+          reason: status,
+          lastGood: lastGood
+            ? { savedAt: lastGood.savedAt, zoneCount: lastGoodZones.length }
+            : null,
+        });
+        return;
+      }
+
+      // Zones of a newer app version are left untouched (no migration back exists)
+      const { version } = parseStoredZones(stored);
+      if (version > ZONES_SCHEMA_VERSION) {
+        console.warn(`[useZones] Zones saved by newer app version (schema ${version})`);
+        setStorageError({
+          reason: 'newer',
+          lastGood: lastGood
+            ? { savedAt: lastGood.savedAt, zoneCount: lastGoodZones.length }
+            : null,
+        });
+        return;
+      }
+
+      if (status === 'recovered') {
+        console.warn('[useZones] Completed interrupted save of zones');
       }
+
+      await installZones(stored, normalizeHistory(await getItem(historyKey)));
     } catch (error) {
+      // Zones stay unloaded (nothing is saved over stored data until user decides)
       console.error('[useZones] Error loading zones:', error);
+      await reportStorageError('failed');
     } finally {
       setLoading(false);
     }
   };
 
   /**
-   * Auto-save to AsyncStorage on zones change
-   * Uses ref comparison to prevent save loops
+   * Show recovery screen with summary of last good snapshot (if any)
    */
+  const reportStorageError = async (reason) => {
+    const lastGood = await getLastGoodItem(zonesKey).catch(() => null);
+    setStorageError({
+      reason,
+      lastGood: lastGood
+        ? { savedAt: lastGood.savedAt, zoneCount: parseStoredZones(lastGood.value).zones.length }
+        : null,
+    });
+  };
+
+  /**
+   * Persist zone changes; a failed write is reported (state shown no longer matches storage)
+   */
+  const persistChanges = (changes, direction, nextZones) => {
+    storeRef.current?.applyChanges(changes, direction, nextZones).catch((error) => {
+      console.error('[useZones] Error saving zone changes:', error);
+      reportStorageError('save');
+    });
+  };
+
+  /**
+   * Use loaded data as current state, migrating data saved with an older schema version
+   * Pre-migration data is backed up under its own key before anything is overwritten
+   * Verified result becomes the last good snapshot (offered if storage breaks later)
+   * @returns {Array} Installed zones
+   */
+  const installZones = async (stored, storedHistory) => {
+    const { version, zones: storedZones } = parseStoredZones(stored);
+    let loadedZones = storedZones;
+    let loadedHistory = storedHistory;
+
+    if (version > ZONES_SCHEMA_VERSION) {
+      throw new Error(`Zones saved by newer app version (schema ${version})`);
+    } else if (version < ZONES_SCHEMA_VERSION && storedZones.length > 0) {
+      await setItem(`${workspaceKey(STORAGE_KEYS.ZONES_BACKUP, workspaceId)}-v${version}`, {
+        zones: stored,
+        history: storedHistory,
+        backedUpAt: new Date().toISOString(),
+      });
+
+      const { zones: migrated, applied } = migrateZones(storedZones, version);
+      loadedHistory = migrateHistory(storedHistory, version);
+      loadedZones = migrated;
+
+      await storeRef.current.replaceAll(migrated);
+      console.warn(`[useZones] Migrated ${migrated.length} zones:`, applied.join(', '));
+    }
+
+    setZones(loadedZones);
+    zonesRef.current = loadedZones;
+    spatialIndex.load(loadedZones);
+
+    historyRef.current = loadedHistory;
+    setHistory(loadedHistory);
+    historyLoadedRef.current = true;
+
+    await setLastGoodItem(zonesKey, serializeZones(loadedZones));
+    return loadedZones;
+  };
+
+  /**
+   * Recovery: replace unreadable zones with last good snapshot
+   * Unreadable data is kept aside, undo history is cleared (it belongs to lost data)
+   * @returns {boolean} False if there is no snapshot to restore
+   */
+  const restoreLastGood = async () => {
+    const lastGood = await getLastGoodItem(zonesKey);
+    if (!lastGood) return false;
+
+    await storeRef.current.quarantine();
+    const restored = await installZones(lastGood.value, EMPTY_HISTORY);
+    await storeRef.current.replaceAll(restored);
+    setStorageError(null);
+    return true;
+  };
+
+  /**
+   * Recovery after failed save: write zones shown in the app again
+   * @throws If saving fails again (recovery screen stays)
+   */
+  const retrySave = async () => {
+    await storeRef.current.replaceAll(zonesRef.current);
+    setStorageError(null);
+  };
+
+  /**
+   * Recovery: start with no zones (unreadable data is kept aside, not deleted)
+   */
+  const discardUnreadableZones = async () => {
+    await storeRef.current.quarantine();
+    await installZones(serializeZones([]), EMPTY_HISTORY);
+    await storeRef.current.replaceAll([]);
+    setStorageError(null);
+  };
+
+  /**
+   * Persist undo/redo history (survives app restart)
+   * Saved after SAVE_DELAY (quick edits are saved together), trimmed to a size limit
+   * so a change doesn't rewrite copies of many zones
+   */
+  const saveHistory = () => {
+    historySaveRef.current = null;
+    setItem(historyKey, trimHistoryForStorage(historyRef.current)).catch((error) => {
+      console.error('[useZones] Error saving history:', error);
+    });
+  };
+
   useEffect(() => {
-    if (loading) return;
+    if (!historyLoadedRef.current) return;
+
+    clearTimeout(historySaveRef.current);
+    historySaveRef.current = setTimeout(saveHistory, HISTORY_STORAGE.SAVE_DELAY);
+  }, [history]);
 
-    // Deep equality check (prevents re-save on same data)
-    if (JSON.stringify(previousZonesRef.current) === JSON.stringify(zones)) {
+  // Pending save is written right away when provider unmounts (workspace switch)
+  useEffect(
+    () => () => {
+      if (historySaveRef.current) {
+        clearTimeout(historySaveRef.current);
+        saveHistory();
+      }
+    },
+    []
+  );
+
+  /**
+   * Replace zones and record changes as one undoable command
+   * Inside runBatch, changes are collected into the batch command instead
+   */
+  const commitZones = (nextZones, label, changes) => {
+    zonesRef.current = nextZones;
+    spatialIndex.applyChanges(changes);
+    persistChanges(changes, 'redo', nextZones);
+    setZones(nextZones);
+
+    if (batchRef.current) {
+      batchRef.current.push(...changes);
       return;
     }
 
-    const saveZones = async () => {
-      try {
-        await setItem(STORAGE_KEYS.ZONES, zones);
-        previousZonesRef.current = zones;
-      } catch (error) {
-        console.error('[useZones] Error saving zones:', error);
-      }
-    };
+    recordCommand(createCommand(label, changes));
+  };
 
-    saveZones();
-  }, [zones, loading]);
+  const recordCommand = (command) => {
+    historyRef.current = pushCommand(historyRef.current, command);
+    setHistory(historyRef.current);
+  };
+
+  /**
+   * Run several mutations as a single undo step (e.g. merge = update + deletes)
+   * @param {string} label - History label
+   * @param {Function} fn - Calls addZone/updateZone/deleteZone
+   * @param {Object} palette - Optional { before, after } palette change undone with the zones
+   * @returns {any} Return value of fn
+   */
+  const runBatch = (label, fn, palette = null) => {
+    batchRef.current = [];
+    try {
+      return fn();
+    } finally {
+      const changes = batchRef.current;
+      batchRef.current = null;
+      if (changes.length > 0) {
+        recordCommand(createCommand(label, changes, palette));
+      }
+    }
+  };
 
   /**
    * Create zone with auto-calculated metadata
    * - Generates UUID
-   * - Calculates area (m²)
-   * - Calculates center point
+   * - Calculates area (m²) and perimeter (m), geodesic
+   * - Calculates center (centroid) and label point (always inside)
    * - Adds timestamp
    */
   const addZone = (zoneData) => {
-    const area = calculateZoneArea(zoneData);
-    const center = calculateZoneCenter(zoneData);
-
     const newZone = {
       id: Crypto.randomUUID(),
       ...zoneData,
-      area,
-      center,
+      ...calculateZoneMetrics(zoneData),
       createdAt: new Date().toISOString(),
     };
 
-    setZones((prev) => [...prev, newZone]);
+    const current = zonesRef.current;
+    commitZones([...current, newZone], `Add "${newZone.name}"`, [
+      { id: newZone.id, index: current.length, before: null, after: newZone },
+    ]);
     return newZone;
   };
 
   /**
-   * Update zone (name, color, etc.)
-   * Does NOT recalculate area/center
+   * Update zone (name, color, geometry, etc.)
+   * Recalculates metrics only when geometry fields change
    */
   const updateZone = (id, updates) => {
-    setZones((prev) => prev.map((zone) => (zone.id === id ? { ...zone, ...updates } : zone)));
+    const geometryChanged = GEOMETRY_FIELDS.some((field) => field in updates);
+    const current = zonesRef.current;
+    const index = current.findIndex((zone) => zone.id === id);
+    if (index === -1) return;
+
+    const zone = current[index];
+    const updatedZone = { ...zone, ...updates };
+    if (geometryChanged) {
+      Object.assign(updatedZone, calculateZoneMetrics(updatedZone));
+    }
+
+    commitZones(
+      current.map((z) => (z.id === id ? updatedZone : z)),
+      `Edit "${updatedZone.name}"`,
+      [{ id, index, before: zone, after: updatedZone }]
+    );
   };
 
   /**
    * Delete zone by ID
    */
   const deleteZone = (id) => {
-    setZones((prev) => prev.filter((zone) => zone.id !== id));
+    const current = zonesRef.current;
+    const index = current.findIndex((zone) => zone.id === id);
+    if (index === -1) return;
+
+    const zone = current[index];
+    commitZones(
+      current.filter((z) => z.id !== id),
+      `Delete "${zone.name}"`,
+      [{ id, index, before: zone, after: null }]
+    );
   };
 
   /**
    * Delete all zones
+   * Recorded last-to-first so undo re-inserts them in original order
    */
   const clearZones = () => {
-    setZones([]);
+    const current = zonesRef.current;
+    if (current.length === 0) return;
+
+    const changes = current
+      .map((zone, index) => ({ id: zone.id, index, before: zone, after: null }))
+      .reverse();
+    commitZones([], `Delete all ${current.length} zones`, changes);
+  };
+
+  /**
+   * Replace all zones with another zone set (e.g. restored snapshot) as one undoable command
+   * Zones missing from nextZones are deleted, changed or new ones are written
+   */
+  const replaceZones = (nextZones, label) => {
+    const current = zonesRef.current;
+    const nextIds = new Set(nextZones.map((zone) => zone.id));
+    const currentById = new Map(current.map((zone) => [zone.id, zone]));
+
+    // Deletes last-to-first (like clearZones), then updates/inserts in new order
+    const changes = current
+      .map((zone, index) => ({ id: zone.id, index, before: zone, after: null }))
+      .filter((change) => !nextIds.has(change.id))
+      .reverse();
+    // Unchanged zones keep their current objects (stay valid in spatial index)
+    const merged = nextZones.map((zone, index) => {
+      const before = currentById.get(zone.id) ?? null;
+      if (JSON.stringify(before) === JSON.stringify(zone)) {
+        return before;
+      }
+      changes.push({ id: zone.id, index, before, after: zone });
+      return zone;
+    });
+
+    if (changes.length > 0) {
+      commitZones(merged, label, changes);
+    }
+  };
+
+  /**
+   * Command undoChange/redoChange would apply next
+   * @param {string} direction - 'undo' | 'redo'
+   * @returns {Object|null} Command or null if stack is empty
+   */
+  const peekChange = (direction) => {
+    const stack = historyRef.current[direction];
+    return stack[stack.length - 1] ?? null;
+  };
+
+  /**
+   * Revert last command
+   * @returns {Object|null} Reverted command ({ label, ... }) or null if history is empty
+   */
+  const undoChange = () => {
+    const { history: nextHistory, command } = undoCommand(historyRef.current);
+    if (!command) return null;
+
+    const nextZones = applyChanges(zonesRef.current, command.changes, 'undo');
+    zonesRef.current = nextZones;
+    spatialIndex.applyChanges(command.changes, 'undo');
+    persistChanges(command.changes, 'undo', nextZones);
+    setZones(nextZones);
+    historyRef.current = nextHistory;
+    setHistory(nextHistory);
+    return command;
+  };
+
+  /**
+   * Re-apply last undone command
+   * @returns {Object|null} Re-applied command or null if nothing to redo
+   */
+  const redoChange = () => {
+    const { history: nextHistory, command } = redoCommand(historyRef.current);
+    if (!command) return null;
+
+    const nextZones = applyChanges(zonesRef.current, command.changes, 'redo');
+    zonesRef.current = nextZones;
+    spatialIndex.applyChanges(command.changes, 'redo');
+    persistChanges(command.changes, 'redo', nextZones);
+    setZones(nextZones);
+    historyRef.current = nextHistory;
+    setHistory(nextHistory);
+    return command;
   };
 
   return {
@@ -111,6 +440,19 @@ export function useZones() {
     updateZone,
     deleteZone,
     clearZones,
+    replaceZones,
+    runBatch,
+    undoChange,
+    redoChange,
+    peekChange,
+    canUndoChange: history.undo.length > 0,
+    canRedoChange: history.redo.length > 0,
+    spatialIndex,
+    zoneStore: storeRef.current, // findByColor / findInBounds lookups (null until loaded)
     refetch: loadZones, // Manual refresh (e.g., after external change)
+    storageError,
+    restoreLastGood,
+    discardUnreadableZones,
+    retrySave,
   };
 }
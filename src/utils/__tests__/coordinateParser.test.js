@@ -0,0 +1,64 @@
+import { parseCoordinateLine, parseCoordinateList } from '../coordinateParser';
+
+const point = (line) => parseCoordinateLine(line).point;
+
+describe('parseCoordinateLine', () => {
+  it('reads plain decimal pairs with any separator', () => {
+    expect(point('45.815, 15.98')).toEqual([45.815, 15.98]);
+    expect(point('45.815 15.98')).toEqual([45.815, 15.98]);
+    expect(point('45.815;15.98')).toEqual([45.815, 15.98]);
+  });
+
+  it('reads signed decimals', () => {
+    expect(point('-33.9, -70.6')).toEqual([-33.9, -70.6]);
+    expect(point('45.815 -15.98')).toEqual([45.815, -15.98]);
+  });
+
+  it('reads hemisphere prefixes on both values', () => {
+    expect(point('N45.815 E15.98')).toEqual([45.815, 15.98]);
+    expect(point('N45.815 W15.98')).toEqual([45.815, -15.98]);
+    expect(point('S33.9 W70.6')).toEqual([-33.9, -70.6]);
+    expect(point('S33.9, W70.6')).toEqual([-33.9, -70.6]);
+  });
+
+  it('reads hemisphere suffixes and orders by them', () => {
+    expect(point('45.815N 15.98E')).toEqual([45.815, 15.98]);
+    expect(point('33.9S, 70.6W')).toEqual([-33.9, -70.6]);
+    expect(point('15.98E 45.815N')).toEqual([45.815, 15.98]);
+  });
+
+  it('reads DMS with prefix or suffix hemispheres', () => {
+    const [lat, lng] = point('45°48\'54"N 15°58\'48"E');
+    expect(lat).toBeCloseTo(45.815, 6);
+    expect(lng).toBeCloseTo(15.98, 6);
+
+    const [southLat, westLng] = point('S45°48\'54" W15°58\'48"');
+    expect(southLat).toBeCloseTo(-45.815, 6);
+    expect(westLng).toBeCloseTo(-15.98, 6);
+
+    const [minutesLat] = point('45°48′N 15°58′E');
+    expect(minutesLat).toBeCloseTo(45.8, 6);
+  });
+
+  it('reports invalid lines', () => {
+    expect(parseCoordinateLine('45.815').error).toBe('Expected latitude and longitude');
+    expect(parseCoordinateLine('N45 N15').error).toBe('Conflicting hemisphere letters');
+    expect(parseCoordinateLine('95, 15').error).toMatch(/Latitude 95 out of range/);
+    expect(parseCoordinateLine('45.8 abc').error).toBe('Expected latitude and longitude');
+  });
+});
+
+describe('parseCoordinateList', () => {
+  it('collects points, reports bad lines and drops closing point', () => {
+    const { points, errors } = parseCoordinateList(
+      ['N45.81 W15.97', '45.82, -15.97', '', 'oops', '45.82 -15.96', 'N45.81 W15.97'].join('\n')
+    );
+
+    expect(points).toEqual([
+      [45.81, -15.97],
+      [45.82, -15.97],
+      [45.82, -15.96],
+    ]);
+    expect(errors).toEqual([{ line: 4, text: 'oops', message: 'Expected latitude and longitude' }]);
+  });
+});
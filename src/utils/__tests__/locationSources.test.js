@@ -0,0 +1,62 @@
+import * as Location from 'expo-location';
+import { createDeviceLocationSource } from '../locationSources';
+
+jest.mock('expo-location', () => ({
+  Accuracy: { BestForNavigation: 6 },
+  requestForegroundPermissionsAsync: jest.fn(),
+  watchPositionAsync: jest.fn(),
+}));
+
+describe('device location source', () => {
+  const remove = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Location.requestForegroundPermissionsAsync.mockResolvedValue({ status: 'granted' });
+    Location.watchPositionAsync.mockResolvedValue({ remove });
+  });
+
+  it('removes the watch on stop', async () => {
+    const source = createDeviceLocationSource();
+    await source.start(jest.fn());
+    source.stop();
+
+    expect(remove).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not start watching when stopped during permission request', async () => {
+    const source = createDeviceLocationSource();
+    const started = source.start(jest.fn());
+    source.stop();
+    await started;
+
+    expect(Location.watchPositionAsync).not.toHaveBeenCalled();
+  });
+
+  it('removes the watch when stopped while GPS starts', async () => {
+    let resolveWatch;
+    Location.watchPositionAsync.mockReturnValue(
+      new Promise((resolve) => {
+        resolveWatch = resolve;
+      })
+    );
+    const source = createDeviceLocationSource();
+    const started = source.start(jest.fn());
+    await Promise.resolve(); // Permission granted, waiting for watch
+    await Promise.resolve();
+    source.stop();
+    resolveWatch({ remove });
+    await started;
+
+    expect(remove).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects when permission is denied', async () => {
+    Location.requestForegroundPermissionsAsync.mockResolvedValue({ status: 'denied' });
+
+    await expect(createDeviceLocationSource().start(jest.fn())).rejects.toThrow(
+      'Location permission denied'
+    );
+    expect(Location.watchPositionAsync).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,69 @@
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { parseTrackFile, createReplayLocationSource } from '../locationSources';
+import { addFix, createTrack, buildPerimeter, getFixRejection } from '../perimeterRecording';
+import { distanceMeters } from '../geometry';
+
+/**
+ * Recorded walk around a 40 × 30 m block (Zagreb), fix every ~3 s with small wobble
+ * Contains jitter while standing at the start, one poor-accuracy fix and one GPS jump
+ */
+const TRACK_FILE = join(__dirname, 'fixtures', 'perimeter-walk.json');
+
+// Block corners as walked (north, east offsets in meters from start → [lat, lng])
+const START = [45.815, 15.9819];
+const METERS_LAT = 1 / 111320;
+const METERS_LNG = 1 / (111320 * Math.cos((START[0] * Math.PI) / 180));
+const CORNERS = [
+  [0, 0],
+  [40, 0],
+  [40, 30],
+  [0, 30],
+].map(([north, east]) => [START[0] + north * METERS_LAT, START[1] + east * METERS_LNG]);
+
+// Feed track file through replay source like the recording screen does
+function replay(fixes) {
+  return new Promise((resolve) => {
+    const source = createReplayLocationSource(fixes, { speed: Infinity });
+    let track = createTrack();
+    const reasons = [];
+    let received = 0;
+
+    source.start((fix) => {
+      const reason = getFixRejection(track.lastFix, fix);
+      if (reason) reasons.push(reason);
+      track = addFix(track, fix);
+      received++;
+      if (received === fixes.length) {
+        source.stop();
+        resolve({ track, reasons });
+      }
+    });
+  });
+}
+
+describe('perimeter recording replay', () => {
+  const fixes = parseTrackFile(readFileSync(TRACK_FILE, 'utf8'));
+
+  it('filters jitter, poor accuracy and jumps', async () => {
+    const { track, reasons } = await replay(fixes);
+
+    expect(reasons.filter((reason) => reason === 'accuracy')).toHaveLength(1);
+    expect(reasons.filter((reason) => reason === 'jump')).toHaveLength(1);
+    expect(reasons.filter((reason) => reason === 'jitter').length).toBeGreaterThanOrEqual(2);
+    expect(track.dropped).toBe(reasons.length);
+    expect(track.points).toHaveLength(fixes.length - reasons.length);
+  });
+
+  it('simplifies the walk into the block outline', async () => {
+    const { track } = await replay(fixes);
+    const { coordinates, error } = buildPerimeter(track.points);
+
+    expect(error).toBeUndefined();
+    expect(coordinates).toHaveLength(CORNERS.length);
+    CORNERS.forEach((corner) => {
+      const nearest = Math.min(...coordinates.map((point) => distanceMeters(point, corner)));
+      expect(nearest).toBeLessThan(3);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+import { addSnapshot } from '../snapshots';
+
+const snapshot = (id, kind) => ({ id, kind, createdAt: '2025-06-30T10:00:00.000Z' });
+
+describe('snapshot retention', () => {
+  it('keeps daily snapshots when many before-change snapshots are taken', () => {
+    const limits = { daily: 2, 'before-change': 3 };
+    let snapshots = [snapshot('d1', 'daily'), snapshot('d2', 'daily')];
+    const removed = [];
+
+    for (let i = 0; i < 10; i++) {
+      const result = addSnapshot(snapshots, snapshot(`c${i}`, 'before-change'), limits);
+      snapshots = result.kept;
+      removed.push(...result.removed);
+    }
+
+    expect(snapshots.map(({ id }) => id)).toEqual(['c9', 'c8', 'c7', 'd1', 'd2']);
+    expect(removed).toHaveLength(7);
+  });
+
+  it('drops the oldest snapshot of each kind beyond its own limit', () => {
+    const { kept, removed } = addSnapshot(
+      [
+        snapshot('c2', 'before-change'),
+        snapshot('c1', 'before-change'),
+        snapshot('d2', 'daily'),
+        snapshot('d1', 'daily'),
+      ],
+      snapshot('d3', 'daily'),
+      { daily: 2, 'before-change': 1 }
+    );
+
+    expect(kept.map(({ id }) => id)).toEqual(['d3', 'c2', 'd2']);
+    expect(removed.map(({ id }) => id)).toEqual(['c1', 'd1']);
+  });
+});
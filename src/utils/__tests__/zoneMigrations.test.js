@@ -0,0 +1,172 @@
+import {
+  MIGRATIONS,
+  ZONES_SCHEMA_VERSION,
+  parseStoredZones,
+  readStoredZones,
+  serializeZones,
+  migrateZones,
+  migrateHistory,
+  normalizeCoordinates,
+  convertRectangles,
+  recalculateMetrics,
+} from '../zoneMigrations';
+
+// Zones as saved before versioning (schema 0)
+const LEGACY_POLYGON = {
+  id: 'polygon',
+  type: 'polygon',
+  color: 'green',
+  coordinates: [
+    [
+      { latitude: 45.81, longitude: 15.97 },
+      { latitude: 45.82, longitude: 15.97 },
+      { latitude: 45.82, longitude: 15.98 },
+      { latitude: 45.81, longitude: 15.97 },
+    ],
+  ],
+};
+const LEGACY_CIRCLE = {
+  id: 'circle',
+  type: 'circle',
+  color: 'red',
+  radius: 50,
+  coordinates: { lat: 45.815, lng: 15.98 },
+};
+const LEGACY_RECTANGLE = {
+  id: 'rectangle',
+  type: 'rectangle',
+  color: 'blue',
+  coordinates: [
+    [45.81, 15.97],
+    [45.81, 15.98],
+    [45.82, 15.98],
+    [45.82, 15.97],
+  ],
+};
+
+describe('migration steps', () => {
+  it('are numbered 1..ZONES_SCHEMA_VERSION in order', () => {
+    expect(MIGRATIONS.map((step) => step.version)).toEqual(
+      Array.from({ length: ZONES_SCHEMA_VERSION }, (_, i) => i + 1)
+    );
+  });
+
+  it('v1 normalizes points, wrappers and closing point', () => {
+    const [polygon, circle] = normalizeCoordinates([LEGACY_POLYGON, LEGACY_CIRCLE]);
+
+    expect(polygon.coordinates).toEqual([
+      [45.81, 15.97],
+      [45.82, 15.97],
+      [45.82, 15.98],
+    ]);
+    expect(circle.coordinates).toEqual([[45.815, 15.98]]);
+  });
+
+  it('v1 drops circles without a readable center', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const zones = normalizeCoordinates([{ ...LEGACY_CIRCLE, coordinates: null }, LEGACY_POLYGON]);
+
+    expect(zones.map((zone) => zone.id)).toEqual(['polygon']);
+    expect(warn).toHaveBeenCalledWith(
+      '[Migrations] Circle without readable center dropped:',
+      'circle'
+    );
+    warn.mockRestore();
+  });
+
+  it('v2 converts rectangles to polygons with rectangle parameters', () => {
+    const [rectangle, polygon] = convertRectangles([LEGACY_RECTANGLE, LEGACY_POLYGON]);
+
+    expect(rectangle.type).toBe('polygon');
+    expect(rectangle.coordinates).toHaveLength(4);
+    expect(rectangle.rectangle.bearing).toBe(0);
+    expect(rectangle.rectangle.center[0]).toBeCloseTo(45.815, 6);
+    expect(rectangle.rectangle.center[1]).toBeCloseTo(15.975, 6);
+    expect(polygon).toBe(LEGACY_POLYGON);
+  });
+
+  it('v3 recalculates metrics and fills in colorHex', () => {
+    const [circle] = recalculateMetrics([
+      { ...LEGACY_CIRCLE, coordinates: [[45.815, 15.98]], area: 1, colorHex: undefined },
+    ]);
+
+    expect(circle.area).toBeCloseTo(Math.PI * 50 * 50, 0);
+    expect(circle.perimeter).toBeCloseTo(2 * Math.PI * 50, 0);
+    expect(circle.colorHex).toBe('#ef4444');
+  });
+});
+
+describe('migrateZones', () => {
+  it('runs the whole chain from version 0', () => {
+    const { zones, applied } = migrateZones([LEGACY_POLYGON, LEGACY_CIRCLE, LEGACY_RECTANGLE], 0);
+
+    expect(applied).toEqual(MIGRATIONS.map((step) => step.name));
+    expect(zones.map((zone) => zone.type)).toEqual(['polygon', 'circle', 'polygon']);
+    zones.forEach((zone) => {
+      expect(zone.area).toBeGreaterThan(0);
+      expect(zone.labelPoint).toEqual({ lat: expect.any(Number), lng: expect.any(Number) });
+    });
+  });
+
+  it('only runs steps newer than the stored version', () => {
+    const { applied } = migrateZones([], 2);
+
+    expect(applied).toEqual(['Recalculate geodesic metrics']);
+    expect(migrateZones([], ZONES_SCHEMA_VERSION).applied).toEqual([]);
+  });
+
+  it('rejects future and unknown versions', () => {
+    expect(() => migrateZones([], ZONES_SCHEMA_VERSION + 1)).toThrow(/Unknown zones schema/);
+    expect(() => migrateZones([], -1)).toThrow(/Unknown zones schema/);
+    expect(() => migrateZones([], '2')).toThrow(/Unknown zones schema/);
+    expect(() => migrateHistory({ undo: [], redo: [] }, ZONES_SCHEMA_VERSION + 1)).toThrow();
+  });
+});
+
+describe('migrateHistory', () => {
+  it('migrates zone copies in undo and redo commands', () => {
+    const history = {
+      undo: [
+        {
+          label: 'Add zone',
+          changes: [{ id: 'rectangle', index: 0, before: null, after: LEGACY_RECTANGLE }],
+        },
+      ],
+      redo: [
+        {
+          label: 'Delete zone',
+          changes: [{ id: 'circle', index: 1, before: LEGACY_CIRCLE, after: null }],
+        },
+      ],
+    };
+
+    const { undo, redo } = migrateHistory(history, 0);
+
+    expect(undo[0].label).toBe('Add zone');
+    expect(undo[0].changes[0].before).toBeNull();
+    expect(undo[0].changes[0].after.type).toBe('polygon');
+    expect(redo[0].changes[0].before.coordinates).toEqual([[45.815, 15.98]]);
+    expect(redo[0].changes[0].after).toBeNull();
+  });
+});
+
+describe('stored value', () => {
+  it('reads plain arrays as version 0 and wrapped values with their version', () => {
+    expect(parseStoredZones([LEGACY_POLYGON])).toEqual({ version: 0, zones: [LEGACY_POLYGON] });
+    expect(parseStoredZones(serializeZones([]))).toEqual({
+      version: ZONES_SCHEMA_VERSION,
+      zones: [],
+    });
+    expect(parseStoredZones({ zones: 'nope' })).toEqual({
+      version: ZONES_SCHEMA_VERSION,
+      zones: [],
+    });
+  });
+
+  it('migrates old stored values on read', () => {
+    const [rectangle] = readStoredZones([LEGACY_RECTANGLE]);
+
+    expect(rectangle.type).toBe('polygon');
+    expect(rectangle.area).toBeGreaterThan(0);
+  });
+});
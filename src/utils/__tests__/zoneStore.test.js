@@ -0,0 +1,41 @@
+import { setItemAtomic } from '../storage';
+import { createAsyncStorageZoneStore } from '../zoneStore';
+
+jest.mock('../storage', () => ({
+  setItemAtomic: jest.fn(),
+  getItemVerified: jest.fn(),
+  quarantineItem: jest.fn(),
+  removeItemVerified: jest.fn(),
+}));
+jest.mock('../sqliteZoneStore', () => ({ createSqliteZoneStore: jest.fn() }));
+
+describe('AsyncStorage zone store', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejects when a save fails and keeps saving later changes', async () => {
+    setItemAtomic.mockRejectedValueOnce(new Error('disk full')).mockResolvedValue();
+    const store = createAsyncStorageZoneStore('zones');
+
+    await expect(store.applyChanges([], 'redo', [{ id: 'a' }])).rejects.toThrow('disk full');
+    await expect(store.replaceAll([{ id: 'b' }])).resolves.toBeUndefined();
+    expect(setItemAtomic).toHaveBeenLastCalledWith('zones', {
+      version: expect.any(Number),
+      zones: [{ id: 'b' }],
+    });
+  });
+
+  it('saves only the newest of queued changes', async () => {
+    setItemAtomic.mockResolvedValue();
+    const store = createAsyncStorageZoneStore('zones');
+
+    const first = store.replaceAll([{ id: 'a' }]);
+    const second = store.replaceAll([{ id: 'b' }]);
+    const third = store.replaceAll([{ id: 'c' }]);
+    await Promise.all([first, second, third]);
+
+    expect(setItemAtomic).toHaveBeenCalledTimes(1);
+    expect(setItemAtomic.mock.calls[0][1].zones).toEqual([{ id: 'c' }]);
+  });
+});
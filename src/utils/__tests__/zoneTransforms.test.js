@@ -0,0 +1,22 @@
+import { transformZone } from '../zoneTransforms';
+import { CIRCLE_RADIUS } from '../../../shared/constants';
+
+const circle = { type: 'circle', coordinates: [[45.815, 15.98]], radius: 300 };
+const center = [45.816, 15.981];
+
+describe('transformZone', () => {
+  it('moves circle and scales its radius', () => {
+    expect(transformZone(circle, { center, rotation: 45, scale: 1.5 })).toEqual({
+      coordinates: [center],
+      radius: 450,
+    });
+  });
+
+  it('keeps scaled circle radius within limits, in whole meters', () => {
+    const transform = (scale) => transformZone(circle, { center, rotation: 0, scale }).radius;
+
+    expect(transform(1000)).toBe(CIRCLE_RADIUS.MAX);
+    expect(transform(0.001)).toBe(CIRCLE_RADIUS.MIN);
+    expect(transform(1.2345)).toBe(370);
+  });
+});
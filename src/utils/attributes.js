@@ -0,0 +1,261 @@
+/**
+ * Custom attributes - typed fields recorded per zone (e.g. hourly price, max stay, operator)
+ * Field: { id, name, type, options, required }
+ * - type: 'text' | 'number' | 'boolean' | 'enum' | 'date'
+ * - options: choices of enum field (empty for other types)
+ * Field list (schema) is stored per workspace in display order
+ *
+ * Values are stored in zone.attributes ({ [fieldId]: value }), empty values are left out:
+ * text/enum → string, number → number, boolean → true/false, date → 'YYYY-MM-DD'
+ */
+
+export const ATTRIBUTE_TYPES = [
+  { value: 'text', label: 'Text' },
+  { value: 'number', label: 'Number' },
+  { value: 'boolean', label: 'Yes/No' },
+  { value: 'enum', label: 'Choice' },
+  { value: 'date', label: 'Date' },
+];
+
+const TYPE_VALUES = ATTRIBUTE_TYPES.map((type) => type.value);
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * New attribute field
+ */
+export function createAttribute(id, name, type, options = [], required = false) {
+  return { id, name, type, options: type === 'enum' ? options : [], required };
+}
+
+/**
+ * Validate stored schema (unknown types and enums without options are dropped)
+ */
+export function normalizeAttributeSchema(stored) {
+  if (!Array.isArray(stored)) {
+    return [];
+  }
+  return stored
+    .filter((field) => field && field.id && field.name && TYPE_VALUES.includes(field.type))
+    .map((field) =>
+      createAttribute(
+        field.id,
+        field.name,
+        field.type,
+        Array.isArray(field.options) ? field.options.filter((o) => typeof o === 'string') : [],
+        field.required === true
+      )
+    )
+    .filter((field) => field.type !== 'enum' || field.options.length > 0);
+}
+
+/**
+ * Enum choices from comma-separated text (trimmed, empty and repeated choices dropped)
+ */
+export function parseAttributeOptions(text) {
+  const options = text
+    .split(',')
+    .map((option) => option.trim())
+    .filter(Boolean);
+  return [...new Set(options)];
+}
+
+/**
+ * Validate attribute field
+ * @param {string} name - Trimmed by caller
+ * @param {string} type - Attribute type
+ * @param {Array} options - Enum choices (see parseAttributeOptions)
+ * @param {Array} schema - Existing fields
+ * @param {string} ignoreId - Field being edited (may keep its name)
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateAttributeField(name, type, options, schema, ignoreId = null) {
+  if (!name) {
+    return 'Field name is required';
+  }
+  if (type === 'enum' && options.length < 2) {
+    return 'Choice field needs at least 2 options';
+  }
+  if (
+    schema.some((field) => field.id !== ignoreId && field.name.toLowerCase() === name.toLowerCase())
+  ) {
+    return `Field "${name}" already exists`;
+  }
+  return null;
+}
+
+/**
+ * Parse value entered in zone details
+ * @param {Object} field - Attribute field
+ * @param {string|boolean|null} input - Text input, or selected choice / true / false (null = empty)
+ * @returns {Object} { value, error } (value undefined = empty)
+ */
+export function parseAttributeInput(field, input) {
+  const text = typeof input === 'string' ? input.trim() : input;
+  if (text === '' || text === null || text === undefined) {
+    return { value: undefined, error: field.required ? `${field.name} is required` : null };
+  }
+
+  switch (field.type) {
+    case 'number': {
+      const value = Number(String(text).replace(',', '.'));
+      return Number.isFinite(value)
+        ? { value, error: null }
+        : { value: undefined, error: `${field.name} must be a number` };
+    }
+    case 'boolean':
+      return typeof text === 'boolean'
+        ? { value: text, error: null }
+        : { value: undefined, error: `${field.name} must be Yes or No` };
+    case 'enum':
+      return field.options.includes(text)
+        ? { value: text, error: null }
+        : { value: undefined, error: `${field.name} must be one of: ${field.options.join(', ')}` };
+    case 'date':
+      return isValidDate(text)
+        ? { value: text, error: null }
+        : { value: undefined, error: `${field.name} must be a date like 2025-06-30` };
+    default:
+      return { value: String(text), error: null };
+  }
+}
+
+/**
+ * Stored value as editable input (inverse of parseAttributeInput)
+ */
+export function toAttributeInput(field, value) {
+  if (value === undefined || value === null) {
+    return field.type === 'boolean' || field.type === 'enum' ? null : '';
+  }
+  return field.type === 'boolean' || field.type === 'enum' ? value : String(value);
+}
+
+/**
+ * Stored value converted to (changed) field type, undefined if it no longer fits
+ * e.g. '12' text → 12 number, removed enum choice → undefined
+ */
+export function coerceAttributeValue(field, value) {
+  if (value === undefined || value === null) {
+    return undefined;
+  }
+  if (field.type === 'boolean' && typeof value !== 'boolean') {
+    const text = String(value).trim().toLowerCase();
+    return ['true', 'yes'].includes(text)
+      ? true
+      : ['false', 'no'].includes(text)
+        ? false
+        : undefined;
+  }
+  const input = field.type === 'boolean' ? value : String(value);
+  return parseAttributeInput({ ...field, required: false }, input).value;
+}
+
+/**
+ * Zone attributes with one value set (undefined = removed)
+ * @returns {Object} New attributes object
+ */
+export function setZoneAttribute(attributes, fieldId, value) {
+  const next = { ...attributes };
+  if (value === undefined) {
+    delete next[fieldId];
+  } else {
+    next[fieldId] = value;
+  }
+  return next;
+}
+
+/**
+ * Value for display ('Yes'/'No' for booleans)
+ */
+export function formatAttributeValue(field, value) {
+  if (field.type === 'boolean') {
+    return value ? 'Yes' : 'No';
+  }
+  return String(value);
+}
+
+/**
+ * Fields with a value on zone, in schema order
+ * @returns {Array} [{ field, value }]
+ */
+export function getZoneAttributes(schema, zone) {
+  return schema
+    .filter((field) => zone.attributes?.[field.id] !== undefined)
+    .map((field) => ({ field, value: zone.attributes[field.id] }));
+}
+
+// ==========================================
+// FILTER
+// ==========================================
+
+/**
+ * Attribute filter: { fieldId, value } or { fieldId, min, max } (number/date range)
+ * - text: value contained (case-insensitive)
+ * - boolean/enum: value equal
+ * - number/date: value within min..max (either may be left out)
+ * Zones without a value don't match; filter of a deleted field matches all zones
+ */
+export function matchesAttributeFilter(schema, zone, filter) {
+  const field = filter && schema.find((f) => f.id === filter.fieldId);
+  if (!field) {
+    return true;
+  }
+
+  const value = zone.attributes?.[field.id];
+  if (value === undefined) {
+    return false;
+  }
+
+  // Value may not fit field type (e.g. undo/snapshot restore after the type was changed)
+  switch (field.type) {
+    case 'text':
+      return String(value).toLowerCase().includes(String(filter.value).toLowerCase());
+    case 'number':
+    case 'date':
+      return (
+        typeof value === (field.type === 'number' ? 'number' : 'string') &&
+        (filter.min === undefined || value >= filter.min) &&
+        (filter.max === undefined || value <= filter.max)
+      );
+    default:
+      return value === filter.value;
+  }
+}
+
+/**
+ * Short filter description (e.g. 'Price 1–3', 'Operator: City')
+ */
+export function describeAttributeFilter(schema, filter) {
+  const field = filter && schema.find((f) => f.id === filter.fieldId);
+  if (!field) {
+    return null;
+  }
+
+  if (field.type === 'number' || field.type === 'date') {
+    if (filter.min !== undefined && filter.max !== undefined) {
+      return `${field.name} ${filter.min}–${filter.max}`;
+    }
+    return filter.min !== undefined
+      ? `${field.name} ≥ ${filter.min}`
+      : `${field.name} ≤ ${filter.max}`;
+  }
+  return `${field.name}: ${formatAttributeValue(field, filter.value)}`;
+}
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+/**
+ * 'YYYY-MM-DD' naming a real calendar day
+ */
+function isValidDate(text) {
+  const match = DATE_PATTERN.exec(text);
+  if (!match) {
+    return false;
+  }
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return (
+    date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+  );
+}
@@ -0,0 +1,159 @@
+/**
+ * Parser for typed/pasted coordinates
+ * Accepts one point per line in any of these formats:
+ * - Decimal degrees: "45.815, 15.98" or "45.815 15.98" or "45.815;15.98"
+ * - Decimal with hemispheres: "45.815N 15.98E" or "N45.815 E15.98"
+ * - DMS: 45°48'54"N 15°58'48"E (minutes/seconds optional, ′ ″ also accepted)
+ * Without hemisphere letters the order is always lat, lng
+ */
+
+// One DMS component: [hemisphere] degrees° [minutes'] [seconds"] [hemisphere]
+// A letter directly followed by a number is the next component's prefix, not a suffix
+const DMS_PATTERN =
+  /([NSEW])?\s*(-?\d+(?:\.\d+)?)\s*°\s*(?:(\d+(?:\.\d+)?)\s*['′]\s*)?(?:(\d+(?:\.\d+)?)\s*(?:["″]|'')\s*)?(?:([NSEW])(?!-?\d))?/gi;
+
+// One decimal component with optional hemisphere prefix/suffix (same suffix rule as DMS)
+const DECIMAL_PATTERN = /([NSEW])?\s*(-?\d+(?:\.\d+)?)\s*(?:([NSEW])(?!-?\d))?/gi;
+
+/**
+ * Parse single coordinate line
+ * @param {string} line - Text with one lat/lng pair
+ * @returns {Object} { point: [lat, lng] } or { error: string }
+ */
+export function parseCoordinateLine(line) {
+  const text = line.trim();
+  if (!text) {
+    return { error: 'Empty line' };
+  }
+
+  const components = text.includes('°') ? parseDmsComponents(text) : parseDecimalComponents(text);
+
+  if (components.length !== 2) {
+    return { error: 'Expected latitude and longitude' };
+  }
+
+  let [first, second] = components;
+
+  // Hemisphere letters decide order ("15.98E 45.815N" is valid)
+  if (isLongitudeHemisphere(first.hemisphere) || isLatitudeHemisphere(second.hemisphere)) {
+    [first, second] = [second, first];
+  }
+
+  if (isLongitudeHemisphere(first.hemisphere) || isLatitudeHemisphere(second.hemisphere)) {
+    return { error: 'Conflicting hemisphere letters' };
+  }
+
+  const lat = applyHemisphere(first.value, first.hemisphere);
+  const lng = applyHemisphere(second.value, second.hemisphere);
+
+  if (lat < -90 || lat > 90) {
+    return { error: `Latitude ${lat} out of range (-90 to 90)` };
+  }
+  if (lng < -180 || lng > 180) {
+    return { error: `Longitude ${lng} out of range (-180 to 180)` };
+  }
+
+  return { point: [lat, lng] };
+}
+
+/**
+ * Parse multi-line coordinate list
+ * Blank lines are skipped; errors are reported per line (1-based line numbers)
+ *
+ * @param {string} text - Pasted/typed text
+ * @returns {Object} { points: Array<[lat, lng]>, errors: Array<{ line, text, message }> }
+ */
+export function parseCoordinateList(text) {
+  const points = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim()) return;
+
+    const result = parseCoordinateLine(line);
+    if (result.error) {
+      errors.push({ line: index + 1, text: line.trim(), message: result.error });
+    } else {
+      points.push(result.point);
+    }
+  });
+
+  // Drop explicit closing point (rings are closed implicitly)
+  if (points.length > 3) {
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (first[0] === last[0] && first[1] === last[1]) {
+      points.pop();
+    }
+  }
+
+  return { points, errors };
+}
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+/**
+ * Extract DMS components: [{ value, hemisphere }]
+ */
+function parseDmsComponents(text) {
+  const components = [];
+
+  for (const match of text.matchAll(DMS_PATTERN)) {
+    const [, prefix, degrees, minutes, seconds, suffix] = match;
+    const sign = degrees.startsWith('-') ? -1 : 1;
+    const value =
+      Math.abs(parseFloat(degrees)) +
+      (minutes ? parseFloat(minutes) / 60 : 0) +
+      (seconds ? parseFloat(seconds) / 3600 : 0);
+
+    components.push({
+      value: sign * value,
+      hemisphere: (prefix || suffix || '').toUpperCase() || null,
+    });
+  }
+
+  return components;
+}
+
+/**
+ * Extract decimal components: [{ value, hemisphere }]
+ * Separators: comma, semicolon, whitespace
+ */
+function parseDecimalComponents(text) {
+  // Anything besides numbers, hemispheres and separators is invalid
+  if (/[^\d\s.,;\-NSEW]/i.test(text)) {
+    return [];
+  }
+
+  const components = [];
+
+  for (const match of text.replace(/[,;]/g, ' ').matchAll(DECIMAL_PATTERN)) {
+    const [, prefix, value, suffix] = match;
+    components.push({
+      value: parseFloat(value),
+      hemisphere: (prefix || suffix || '').toUpperCase() || null,
+    });
+  }
+
+  return components;
+}
+
+function isLatitudeHemisphere(hemisphere) {
+  return hemisphere === 'N' || hemisphere === 'S';
+}
+
+function isLongitudeHemisphere(hemisphere) {
+  return hemisphere === 'E' || hemisphere === 'W';
+}
+
+/**
+ * S and W hemispheres are negative
+ */
+function applyHemisphere(value, hemisphere) {
+  if (hemisphere === 'S' || hemisphere === 'W') {
+    return -Math.abs(value);
+  }
+  return value;
+}
@@ -0,0 +1,37 @@
+import * as turf from '@turf/turf';
+
+/**
+ * Corridor zones: polygon generated by buffering a street centerline
+ * Centerline is [lat, lng] points (app format), width is full strip width in meters
+ */
+
+/**
+ * Build corridor outline from centerline
+ * @param {Array} centerline - 2+ [lat, lng] points
+ * @param {number} width - Strip width in meters (buffer is width / 2 each side)
+ * @returns {Array|null} Outer ring [lat, lng] points (open, no closing duplicate) or null
+ */
+export function buildCorridorRing(centerline, width) {
+  if (!centerline || centerline.length < 2 || !(width > 0)) {
+    return null;
+  }
+
+  try {
+    const line = turf.lineString(centerline.map((point) => [point[1], point[0]]));
+    const buffered = turf.buffer(line, width / 2, { units: 'meters', steps: 4 });
+
+    if (!buffered) return null;
+
+    // Self-crossing centerline can't split a buffer, but guard against MultiPolygon anyway
+    const ring =
+      buffered.geometry.type === 'MultiPolygon'
+        ? buffered.geometry.coordinates[0][0]
+        : buffered.geometry.coordinates[0];
+
+    // [lng, lat] → [lat, lng], drop closing point (app rings are open)
+    return ring.slice(0, -1).map((point) => [point[1], point[0]]);
+  } catch (error) {
+    console.error('[Corridor] Error building corridor:', error);
+    return null;
+  }
+}
@@ -1,5 +1,9 @@
+import * as turf from '@turf/turf';
+import { CIRCLE_RADIUS } from '../../shared/constants';
+
 /**
  * Geometry utilities for polygon validation and zone overlap detection
+ * Points are [lat, lng] arrays (app format), converted to [lng, lat] for Turf
  */
 
 /**
@@ -90,3 +94,177 @@ export const wouldIntersect = (existingPoints, newPoint) => {
 
   return false;
 };
+
+/**
+ * Self-intersection check for a closed ring (used when editing saved polygons)
+ * Tests every pair of non-adjacent edges, including the closing edge
+ * @returns {boolean} True if any two non-adjacent edges cross
+ */
+export const isSelfIntersecting = (points) => {
+  const n = points.length;
+  if (n < 4) {
+    return false; // Triangle can't self-intersect
+  }
+
+  for (let i = 0; i < n; i++) {
+    const a1 = points[i];
+    const a2 = points[(i + 1) % n];
+
+    for (let j = i + 1; j < n; j++) {
+      // Skip adjacent edges (they share a vertex)
+      if (j === i + 1 || (i === 0 && j === n - 1)) {
+        continue;
+      }
+
+      const b1 = points[j];
+      const b2 = points[(j + 1) % n];
+
+      if (doLinesIntersect(a1, a2, b1, b2)) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Geodesic distance between two [lat, lng] points
+ * @returns {number} Distance in meters
+ */
+export const distanceMeters = (from, to) => {
+  return turf.distance([from[1], from[0]], [to[1], to[0]], { units: 'meters' });
+};
+
+/**
+ * Point at given distance and bearing from origin
+ * @param {Array} origin - [lat, lng]
+ * @param {number} distance - Meters
+ * @param {number} bearing - Degrees clockwise from north
+ * @returns {Array} [lat, lng]
+ */
+export const destinationPoint = (origin, distance, bearing) => {
+  const destination = turf.destination([origin[1], origin[0]], distance, bearing, {
+    units: 'meters',
+  });
+  const [lng, lat] = destination.geometry.coordinates;
+  return [lat, lng];
+};
+
+/**
+ * Clamp circle radius to supported range (rounded to whole meters)
+ */
+export const clampRadius = (radius) => {
+  return Math.round(Math.min(CIRCLE_RADIUS.MAX, Math.max(CIRCLE_RADIUS.MIN, radius)));
+};
+
+/**
+ * Initial bearing from one [lat, lng] point to another
+ * @returns {number} Degrees clockwise from north, normalized to [0, 360)
+ */
+export const bearingBetween = (from, to) => {
+  const bearing = turf.bearing([from[1], from[0]], [to[1], to[0]]);
+  return (bearing + 360) % 360;
+};
+
+/**
+ * Corner points of a (possibly rotated) rectangle
+ * Height runs along bearing, width perpendicular to it
+ * @param {Object} rectangle - { center: [lat, lng], width, height, bearing }
+ * @returns {Array} 4 corners [lat, lng]: top-left, top-right, bottom-right, bottom-left
+ */
+export const rectangleCorners = ({ center, width, height, bearing }) => {
+  const offsets = [
+    [-width / 2, height / 2],
+    [width / 2, height / 2],
+    [width / 2, -height / 2],
+    [-width / 2, -height / 2],
+  ];
+
+  return offsets.map(([x, y]) => {
+    const distance = Math.hypot(x, y);
+    const angle = bearing + (Math.atan2(x, y) * 180) / Math.PI;
+    return destinationPoint(center, distance, angle);
+  });
+};
+
+/**
+ * Rectangle parameters from two opposite corners at given rotation
+ * @returns {Object} { center: [lat, lng], width, height, bearing }
+ */
+export const rectangleFromCorners = (corner, oppositeCorner, bearing = 0) => {
+  const diagonal = distanceMeters(corner, oppositeCorner);
+  const diagonalBearing = bearingBetween(corner, oppositeCorner);
+  const relative = ((diagonalBearing - bearing) * Math.PI) / 180;
+
+  return {
+    center: destinationPoint(corner, diagonal / 2, diagonalBearing),
+    width: Math.abs(diagonal * Math.sin(relative)),
+    height: Math.abs(diagonal * Math.cos(relative)),
+    bearing,
+  };
+};
+
+/**
+ * Douglas-Peucker path simplification with tolerance in meters
+ * Points are projected to a local flat plane (accurate for zone-sized areas)
+ * @param {Array} points - [lat, lng] points
+ * @param {number} tolerance - Max allowed deviation in meters
+ * @returns {Array} Simplified [lat, lng] points (subset of input)
+ */
+export const simplifyPath = (points, tolerance) => {
+  if (points.length < 3) {
+    return points;
+  }
+
+  // Local projection around first point (meters)
+  const origin = points[0];
+  const metersPerDegreeLng = 111320 * Math.cos((origin[0] * Math.PI) / 180);
+  const projected = points.map((p) => [
+    (p[1] - origin[1]) * metersPerDegreeLng,
+    (p[0] - origin[0]) * 110540,
+  ]);
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  // Iterative to avoid deep recursion on long traces
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+
+    for (let i = start + 1; i < end; i++) {
+      const distance = pointToSegmentDistance(projected[i], projected[start], projected[end]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+
+    if (maxDistance > tolerance) {
+      keep[maxIndex] = true;
+      stack.push([start, maxIndex], [maxIndex, end]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Distance from point p to segment ab (planar)
+ */
+const pointToSegmentDistance = (p, a, b) => {
+  const dx = b[0] - a[0];
+  const dy = b[1] - a[1];
+  const lengthSquared = dx * dx + dy * dy;
+
+  if (lengthSquared === 0) {
+    return Math.hypot(p[0] - a[0], p[1] - a[1]);
+  }
+
+  const t = Math.max(0, Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared));
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+};
@@ -0,0 +1,101 @@
+import { DEFAULT_LAYER_ID, LAYER_STYLE } from '../../shared/constants';
+
+/**
+ * Layers - user-defined zone groups (e.g. "Tariff", "Loading bays", "Restricted")
+ * Layer: { id, name, visible, locked, style: { color, fillOpacity, strokeWidth, dashed } }
+ * - visible: zones of hidden layers are not shown (like color filter)
+ * - locked: zones can't be edited, reshaped, trimmed or deleted
+ * - style: how zones are drawn (color = preselected color for new zones)
+ * Layers are stored per workspace in draw order (first = bottom, last = top)
+ *
+ * Zone belongs to layer zone.layerId; zones without one (or with a deleted layer)
+ * belong to the default layer
+ */
+
+/**
+ * Layer of zone (for comparisons, see getZoneLayer for the layer itself)
+ */
+export function getZoneLayerId(zone) {
+  return zone.layerId || DEFAULT_LAYER_ID;
+}
+
+/**
+ * Layer zone is drawn with (default layer if zone's layer no longer exists)
+ */
+export function getZoneLayer(layers, zone) {
+  const layerId = getZoneLayerId(zone);
+  return (
+    layers.find((layer) => layer.id === layerId) ||
+    layers.find((layer) => layer.id === DEFAULT_LAYER_ID)
+  );
+}
+
+/**
+ * New layer with default style
+ */
+export function createLayer(id, name, style = {}) {
+  return { id, name, visible: true, locked: false, style: { ...LAYER_STYLE, ...style } };
+}
+
+/**
+ * Validate stored layers (missing fields get defaults, default layer always exists)
+ */
+export function normalizeLayers(stored) {
+  const layers = Array.isArray(stored)
+    ? stored
+        .filter((layer) => layer && layer.id && layer.name)
+        .map((layer) => ({
+          ...createLayer(layer.id, layer.name, layer.style),
+          visible: layer.visible !== false,
+          locked: layer.locked === true,
+        }))
+    : [];
+
+  if (!layers.some((layer) => layer.id === DEFAULT_LAYER_ID)) {
+    layers.unshift(createLayer(DEFAULT_LAYER_ID, 'Default'));
+  }
+  return layers;
+}
+
+/**
+ * Move layer up (offset 1) or down (offset -1) in draw order
+ * @returns {Array} New layers (unchanged if already at the end)
+ */
+export function moveLayer(layers, id, offset) {
+  const index = layers.findIndex((layer) => layer.id === id);
+  const target = index + offset;
+  if (index === -1 || target < 0 || target >= layers.length) {
+    return layers;
+  }
+
+  const reordered = [...layers];
+  [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+  return reordered;
+}
+
+/**
+ * Fill color with layer opacity (hex color + alpha byte, as react-native-maps expects)
+ */
+export function getLayerFill(colorHex, fillOpacity) {
+  const alpha = Math.round(Math.min(1, Math.max(0, fillOpacity)) * 255);
+  return colorHex + alpha.toString(16).padStart(2, '0');
+}
+
+/**
+ * Validate layer name
+ * @param {string} name - Trimmed by caller
+ * @param {Array} layers - Existing layers
+ * @param {string} ignoreId - Layer being renamed (may keep its name)
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateLayerName(name, layers, ignoreId = null) {
+  if (!name) {
+    return 'Layer name is required';
+  }
+  if (
+    layers.some((layer) => layer.id !== ignoreId && layer.name.toLowerCase() === name.toLowerCase())
+  ) {
+    return `Layer "${name}" already exists`;
+  }
+  return null;
+}
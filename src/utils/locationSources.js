@@ -0,0 +1,116 @@
+import * as Location from 'expo-location';
+
+/**
+ * Location sources for perimeter recording
+ * Every source has the same shape:
+ *   start(onFix, onError) - begin delivering fixes (async, rejects if unavailable)
+ *   stop()                - stop delivering fixes
+ * Fix: { latitude, longitude, accuracy, timestamp }
+ */
+
+/**
+ * Device GPS (expo-location)
+ * Asks for foreground permission on first start
+ * stop() may be called while start() is still waiting (permission prompt, GPS startup)
+ */
+export function createDeviceLocationSource() {
+  let subscription = null;
+  let stopped = false; // stop() called since last start()
+
+  return {
+    async start(onFix, onError) {
+      stopped = false;
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        throw new Error('Location permission denied');
+      }
+      if (stopped) return;
+
+      const watch = await Location.watchPositionAsync(
+        {
+          accuracy: Location.Accuracy.BestForNavigation,
+          timeInterval: 1000,
+          distanceInterval: 1,
+        },
+        (location) => {
+          onFix({
+            latitude: location.coords.latitude,
+            longitude: location.coords.longitude,
+            accuracy: location.coords.accuracy,
+            timestamp: location.timestamp,
+          });
+        },
+        (reason) => onError?.(new Error(reason))
+      );
+      if (stopped) {
+        watch.remove(); // Stopped while GPS was starting
+        return;
+      }
+      subscription = watch;
+    },
+
+    stop() {
+      stopped = true;
+      subscription?.remove();
+      subscription = null;
+    },
+  };
+}
+
+/**
+ * Replays recorded track (array of fixes, e.g. parsed track file)
+ * Keeps original timing between fixes, divided by speed (Infinity = no delay)
+ */
+export function createReplayLocationSource(fixes, { speed = 1 } = {}) {
+  let timer = null;
+
+  return {
+    async start(onFix) {
+      let index = 0;
+
+      const emitNext = () => {
+        if (index >= fixes.length) {
+          timer = null;
+          return;
+        }
+
+        onFix(fixes[index]);
+        index++;
+
+        const gap = index < fixes.length ? fixes[index].timestamp - fixes[index - 1].timestamp : 0;
+        timer = setTimeout(emitNext, Number.isFinite(speed) ? Math.max(0, gap / speed) : 0);
+      };
+
+      timer = setTimeout(emitNext, 0);
+    },
+
+    stop() {
+      clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+/**
+ * Parse recorded track file
+ * Accepts JSON array of fixes or { fixes: [...] }
+ * @returns {Array} Fixes sorted by timestamp
+ */
+export function parseTrackFile(text) {
+  const data = JSON.parse(text);
+  const fixes = Array.isArray(data) ? data : data?.fixes;
+
+  if (!Array.isArray(fixes)) {
+    throw new Error('Track file must contain an array of fixes');
+  }
+
+  return fixes
+    .filter((fix) => Number.isFinite(fix?.latitude) && Number.isFinite(fix?.longitude))
+    .map((fix) => ({
+      latitude: fix.latitude,
+      longitude: fix.longitude,
+      accuracy: fix.accuracy ?? null,
+      timestamp: fix.timestamp ?? 0,
+    }))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
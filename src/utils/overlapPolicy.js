@@ -0,0 +1,78 @@
+import { getZoneLayerId } from './layers';
+
+/**
+ * Overlap policy: which zones may overlap and what counts as overlap
+ * allowedPairs: [[colorA, colorB]] - color groups allowed to overlap each other
+ *   (order doesn't matter, [c, c] allows zones of the same color to overlap)
+ * touchingCounts: shared edges/vertices count as overlap
+ * minOverlapArea: overlaps smaller than this are ignored (m²)
+ * layerScoped: rules apply within a layer only (zones on different layers may overlap)
+ */
+
+export const DEFAULT_OVERLAP_POLICY = {
+  allowedPairs: [],
+  touchingCounts: false,
+  minOverlapArea: 0,
+  layerScoped: false,
+};
+
+/**
+ * Check if zones of two colors may overlap
+ * Unknown color (e.g. drawing not named yet) is never exempt
+ */
+export function canOverlap(policy, colorA, colorB) {
+  if (!colorA || !colorB) {
+    return false;
+  }
+
+  return policy.allowedPairs.some(
+    ([a, b]) => (a === colorA && b === colorB) || (a === colorB && b === colorA)
+  );
+}
+
+/**
+ * Check if two zones may overlap (layers, then colors)
+ */
+export function canZonesOverlap(policy, zoneA, zoneB) {
+  if (policy.layerScoped && getZoneLayerId(zoneA) !== getZoneLayerId(zoneB)) {
+    return true;
+  }
+
+  return canOverlap(policy, zoneA.color, zoneB.color);
+}
+
+/**
+ * Allow/disallow overlap between two colors
+ * @returns {Object} New policy
+ */
+export function setPairAllowed(policy, colorA, colorB, allowed) {
+  const others = policy.allowedPairs.filter(
+    ([a, b]) => !((a === colorA && b === colorB) || (a === colorB && b === colorA))
+  );
+
+  return {
+    ...policy,
+    allowedPairs: allowed ? [...others, [colorA, colorB]] : others,
+  };
+}
+
+/**
+ * Validate persisted policy (missing/invalid fields fall back to defaults)
+ */
+export function normalizeOverlapPolicy(stored) {
+  if (!stored || typeof stored !== 'object') {
+    return DEFAULT_OVERLAP_POLICY;
+  }
+
+  return {
+    allowedPairs: Array.isArray(stored.allowedPairs)
+      ? stored.allowedPairs.filter((pair) => Array.isArray(pair) && pair.length === 2)
+      : DEFAULT_OVERLAP_POLICY.allowedPairs,
+    touchingCounts: stored.touchingCounts === true,
+    minOverlapArea:
+      Number.isFinite(stored.minOverlapArea) && stored.minOverlapArea >= 0
+        ? stored.minOverlapArea
+        : DEFAULT_OVERLAP_POLICY.minOverlapArea,
+    layerScoped: stored.layerScoped === true,
+  };
+}
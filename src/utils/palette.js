@@ -0,0 +1,56 @@
+import { getColorOptions, getColorHex } from '../../shared/colors';
+
+/**
+ * Color palette - zone colors offered by a workspace (color filter, zone details, overlap rules)
+ * Entry: { value, label, hex } (same shape as getColorOptions; value is stored in zone.color)
+ * Stored per workspace; ZONE_COLORS is the palette until the user edits it
+ *
+ * Zones keep colorHex of their entry (recoloring an entry updates its zones)
+ */
+
+const HEX_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Validate stored palette (invalid entries dropped, default palette if nothing is left)
+ */
+export function normalizePalette(stored) {
+  const palette = Array.isArray(stored)
+    ? stored
+        .filter((entry) => entry && entry.value && entry.label && HEX_PATTERN.test(entry.hex))
+        .map(({ value, label, hex }) => ({ value, label, hex: hex.toLowerCase() }))
+    : [];
+
+  return palette.length > 0 ? palette : getColorOptions();
+}
+
+/**
+ * Hex of palette color (built-in colors as fallback, e.g. zones restored from old snapshots)
+ */
+export function getPaletteHex(palette, value) {
+  return palette.find((entry) => entry.value === value)?.hex || getColorHex(value);
+}
+
+/**
+ * Validate palette entry
+ * @param {string} label - Trimmed by caller
+ * @param {string} hex - '#rrggbb'
+ * @param {Array} palette - Existing entries
+ * @param {string} ignoreValue - Entry being edited (may keep its label)
+ * @returns {string|null} Error message or null if valid
+ */
+export function validatePaletteEntry(label, hex, palette, ignoreValue = null) {
+  if (!label) {
+    return 'Color name is required';
+  }
+  if (!HEX_PATTERN.test(hex)) {
+    return 'Color must be a hex value like #3b82f6';
+  }
+  if (
+    palette.some(
+      (entry) => entry.value !== ignoreValue && entry.label.toLowerCase() === label.toLowerCase()
+    )
+  ) {
+    return `Color "${label}" already exists`;
+  }
+  return null;
+}
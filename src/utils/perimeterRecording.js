@@ -0,0 +1,92 @@
+import { distanceMeters, simplifyPath, isSelfIntersecting } from './geometry';
+import { GPS_RECORDING } from '../../shared/constants';
+
+/**
+ * Walk-the-perimeter track processing
+ * Fixes are { latitude, longitude, accuracy, timestamp } (accuracy in meters, timestamp in ms)
+ * Pure functions: a recorded track file can be replayed through them without a device
+ */
+
+/**
+ * Empty track state
+ * points: kept [lat, lng] points, lastFix: last kept fix, dropped: rejected fix count
+ */
+export function createTrack() {
+  return { points: [], lastFix: null, dropped: 0, accuracy: null };
+}
+
+/**
+ * Decide whether fix should be kept
+ * @returns {string|null} Drop reason ('accuracy' | 'jitter' | 'jump') or null to keep
+ */
+export function getFixRejection(lastFix, fix, options = GPS_RECORDING) {
+  if (fix.accuracy != null && fix.accuracy > options.MAX_ACCURACY) {
+    return 'accuracy';
+  }
+
+  if (!lastFix) {
+    return null;
+  }
+
+  const distance = distanceMeters(
+    [lastFix.latitude, lastFix.longitude],
+    [fix.latitude, fix.longitude]
+  );
+
+  // Standing still: GPS wanders around the same spot
+  if (distance < options.MIN_DISTANCE) {
+    return 'jitter';
+  }
+
+  // Implausible speed between fixes (multipath jump)
+  const seconds = (fix.timestamp - lastFix.timestamp) / 1000;
+  if (seconds > 0 && distance / seconds > options.MAX_SPEED) {
+    return 'jump';
+  }
+
+  return null;
+}
+
+/**
+ * Add fix to track (returns new track, input is not mutated)
+ */
+export function addFix(track, fix, options = GPS_RECORDING) {
+  if (getFixRejection(track.lastFix, fix, options)) {
+    return { ...track, dropped: track.dropped + 1, accuracy: fix.accuracy ?? null };
+  }
+
+  return {
+    points: [...track.points, [fix.latitude, fix.longitude]],
+    lastFix: fix,
+    dropped: track.dropped,
+    accuracy: fix.accuracy ?? null,
+  };
+}
+
+/**
+ * Turn recorded track into polygon ring
+ * Simplifies the path and drops the end point if it returned to the start
+ * (ring is closed implicitly)
+ *
+ * @returns {Object} { coordinates } or { error: string }
+ */
+export function buildPerimeter(points, tolerance = GPS_RECORDING.SIMPLIFY_TOLERANCE) {
+  const simplified = simplifyPath(points, tolerance);
+
+  if (
+    simplified.length > 3 &&
+    distanceMeters(simplified[0], simplified[simplified.length - 1]) <= tolerance
+  ) {
+    simplified.pop();
+  }
+
+  if (simplified.length < 3) {
+    return { error: 'Track too short - walk the whole perimeter' };
+  }
+
+  if (isSelfIntersecting(simplified)) {
+    return { error: 'Invalid track - path crosses itself' };
+  }
+
+  return { coordinates: simplified };
+}
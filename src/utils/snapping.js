@@ -0,0 +1,93 @@
+import { distanceMeters, destinationPoint, bearingBetween } from './geometry';
+import { getZonePolygons } from './zoneCalculations';
+
+/**
+ * Snap-to-vertex / snap-to-edge for drawing zones that share a border
+ * Points are [lat, lng] arrays (app format)
+ */
+
+/**
+ * Find nearest snap target on existing zones
+ * Vertices win over edges when both are within tolerance
+ *
+ * @param {Array} point - Tapped [lat, lng]
+ * @param {Array} zones - Zones to snap against
+ * @param {number} tolerance - Max snap distance in meters
+ * @returns {Object|null} { point: [lat, lng], kind: 'vertex' | 'edge', zoneId } or null
+ */
+export function findSnapPoint(point, zones, tolerance) {
+  let bestVertex = null;
+  let bestEdge = null;
+
+  for (const zone of zones) {
+    // Circle: snap to circumference (no vertices)
+    if (zone.type === 'circle') {
+      const center = zone.coordinates[0];
+      const centerDistance = distanceMeters(center, point);
+      const distance = Math.abs(centerDistance - zone.radius);
+
+      if (distance <= tolerance && (!bestEdge || distance < bestEdge.distance)) {
+        const bearing = centerDistance > 0 ? bearingBetween(center, point) : 0;
+        bestEdge = {
+          point: destinationPoint(center, zone.radius, bearing),
+          kind: 'edge',
+          zoneId: zone.id,
+          distance,
+        };
+      }
+      continue;
+    }
+
+    // Polygon: every ring of every part (outer rings + holes)
+    const rings = getZonePolygons(zone).flatMap((part) => [
+      part.coordinates,
+      ...(part.holes || []),
+    ]);
+
+    for (const ring of rings) {
+      for (let i = 0; i < ring.length; i++) {
+        const vertex = ring[i];
+        const distance = distanceMeters(vertex, point);
+
+        if (distance <= tolerance && (!bestVertex || distance < bestVertex.distance)) {
+          bestVertex = { point: [...vertex], kind: 'vertex', zoneId: zone.id, distance };
+        }
+
+        const next = ring[(i + 1) % ring.length];
+        const onEdge = nearestPointOnSegment(point, vertex, next);
+        const edgeDistance = distanceMeters(onEdge, point);
+
+        if (edgeDistance <= tolerance && (!bestEdge || edgeDistance < bestEdge.distance)) {
+          bestEdge = { point: onEdge, kind: 'edge', zoneId: zone.id, distance: edgeDistance };
+        }
+      }
+    }
+  }
+
+  const best = bestVertex || bestEdge;
+  if (!best) return null;
+
+  return { point: best.point, kind: best.kind, zoneId: best.zoneId };
+}
+
+/**
+ * Nearest point to p on segment ab
+ * Uses local flat projection around p (accurate for zone-sized distances)
+ */
+function nearestPointOnSegment(p, a, b) {
+  const metersPerDegreeLng = 111320 * Math.cos((p[0] * Math.PI) / 180);
+  const metersPerDegreeLat = 110540;
+
+  const ax = (a[1] - p[1]) * metersPerDegreeLng;
+  const ay = (a[0] - p[0]) * metersPerDegreeLat;
+  const bx = (b[1] - p[1]) * metersPerDegreeLng;
+  const by = (b[0] - p[0]) * metersPerDegreeLat;
+
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const t =
+    lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+  return [p[0] + (ay + t * dy) / metersPerDegreeLat, p[1] + (ax + t * dx) / metersPerDegreeLng];
+}
@@ -0,0 +1,65 @@
+import { SNAPSHOTS, STORAGE_KEYS } from '../../shared/constants';
+import { readStoredZones } from './zoneMigrations';
+
+/**
+ * Zone snapshots (restore points)
+ * Snapshot: { id, createdAt, reason, kind, zoneCount } - kind: 'daily' | 'before-change'
+ * List is stored newest first; zones of each snapshot are stored separately
+ * (serializeZones format, so snapshots taken with an older schema are migrated on load)
+ */
+
+/**
+ * Storage key holding zones of snapshot
+ */
+export function snapshotKey(id) {
+  return `${STORAGE_KEYS.SNAPSHOT_ZONES}-${id}`;
+}
+
+/**
+ * Add snapshot and apply retention limit of each kind
+ * Limits are separate, so a burst of edits can't push out the daily snapshots
+ * @param {Object} maxCounts - { [kind]: newest kept } (snapshots without kind count as before-change)
+ * @returns {Object} { kept, removed } - removed snapshots' zones should be deleted
+ */
+export function addSnapshot(
+  snapshots,
+  snapshot,
+  maxCounts = { daily: SNAPSHOTS.MAX_DAILY, 'before-change': SNAPSHOTS.MAX_BEFORE_CHANGE }
+) {
+  const counts = {};
+  const kept = [];
+  const removed = [];
+
+  [snapshot, ...snapshots].forEach((item) => {
+    const kind = item.kind === 'daily' ? 'daily' : 'before-change';
+    counts[kind] = (counts[kind] || 0) + 1;
+    (counts[kind] <= maxCounts[kind] ? kept : removed).push(item);
+  });
+  return { kept, removed };
+}
+
+/**
+ * Check if scheduled snapshot should be taken
+ * @param {Array} snapshots - Snapshot list (newest first)
+ * @param {Date} now - Current time
+ */
+export function isDailySnapshotDue(snapshots, now = new Date()) {
+  const lastDaily = snapshots.find((snapshot) => snapshot.kind === 'daily');
+  return !lastDaily || now - new Date(lastDaily.createdAt) >= SNAPSHOTS.DAILY_INTERVAL;
+}
+
+/**
+ * Zones of stored snapshot in current schema
+ * @returns {Array|null} Zones or null if snapshot data is missing
+ */
+export function readSnapshotZones(stored) {
+  return stored ? readStoredZones(stored) : null;
+}
+
+/**
+ * Validate persisted snapshot list (falls back to empty list)
+ */
+export function normalizeSnapshots(stored) {
+  if (!Array.isArray(stored)) return [];
+  return stored.filter((snapshot) => snapshot && snapshot.id && snapshot.createdAt);
+}
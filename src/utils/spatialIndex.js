@@ -0,0 +1,178 @@
+import RBush from 'rbush';
+import * as turf from '@turf/turf';
+import { zoneToTurfGeometry } from './zoneValidation';
+import { calculateZoneBounds } from './zoneCalculations';
+
+/**
+ * In-memory R-tree over zone bounding boxes + cache of converted Turf geometries
+ * Kept in sync by useZones (load + every change), so overlap checks, snapping and
+ * viewport queries only look at zones whose bounds can matter
+ *
+ * Zones are immutable (every edit creates a new object), so a cached geometry is
+ * valid as long as the cached zone object is the one being asked about
+ */
+
+/**
+ * Create empty index
+ * @returns {Object} { load, applyChanges, has, search, searchGeometry, getGeometry, size }
+ */
+export function createSpatialIndex() {
+  const tree = new RBush();
+  const entries = new Map(); // zone id → { zone, geometry, item }
+
+  const insert = (zone) => {
+    const entry = createEntry(zone);
+    if (entry) {
+      tree.insert(entry.item);
+      entries.set(zone.id, entry);
+    }
+  };
+
+  const remove = (id) => {
+    const entry = entries.get(id);
+    if (!entry) return;
+
+    tree.remove(entry.item);
+    entries.delete(id);
+  };
+
+  return {
+    /**
+     * Rebuild from scratch (bulk load is faster than one-by-one inserts)
+     */
+    load(zones) {
+      tree.clear();
+      entries.clear();
+
+      zones.forEach((zone) => {
+        const entry = createEntry(zone);
+        if (entry) {
+          entries.set(zone.id, entry);
+        }
+      });
+      tree.load([...entries.values()].map((entry) => entry.item));
+    },
+
+    /**
+     * Apply zone changes ({ id, before, after }, same format as zoneHistory)
+     * Undo walks changes backwards and swaps before/after
+     */
+    applyChanges(changes, direction = 'redo') {
+      const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+
+      ordered.forEach((change) => {
+        const target = direction === 'undo' ? change.before : change.after;
+        remove(change.id);
+        if (target) {
+          insert(target);
+        }
+      });
+    },
+
+    /**
+     * Check if this exact zone object is indexed (stale copies are not)
+     */
+    has(zone) {
+      return entries.get(zone.id)?.zone === zone;
+    },
+
+    /**
+     * Zones whose bounding box intersects bounds
+     * @param {Object} bounds - { minLat, maxLat, minLng, maxLng }
+     * @returns {Array} Indexed zones (order not guaranteed)
+     */
+    search(bounds) {
+      return tree.search(boundsToBox(bounds)).map((item) => entries.get(item.id).zone);
+    },
+
+    /**
+     * Zones whose bounding box intersects bounding box of a Turf geometry
+     * (shapes not in the index yet, e.g. zone being drawn)
+     */
+    searchGeometry(geometry) {
+      const [minLng, minLat, maxLng, maxLat] = turf.bbox(geometry);
+      return this.search({ minLat, maxLat, minLng, maxLng });
+    },
+
+    /**
+     * Turf geometry of zone (cached for indexed zones, converted otherwise)
+     * @returns {Object|null} Turf Feature or null if conversion fails
+     */
+    getGeometry(zone) {
+      const entry = entries.get(zone.id);
+      if (entry && entry.zone === zone) {
+        return entry.geometry;
+      }
+      return zoneToTurfGeometry(zone);
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+/**
+ * Bounds of visible map region
+ * @param {Object} region - react-native-maps region { latitude, longitude, latitudeDelta, longitudeDelta }
+ * @param {number} margin - Extra fraction of region size on each side (avoids pop-in while panning)
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+export function regionToBounds(region, margin = 0) {
+  const latHalf = (region.latitudeDelta / 2) * (1 + 2 * margin);
+  const lngHalf = (region.longitudeDelta / 2) * (1 + 2 * margin);
+
+  return {
+    minLat: region.latitude - latHalf,
+    maxLat: region.latitude + latHalf,
+    minLng: region.longitude - lngHalf,
+    maxLng: region.longitude + lngHalf,
+  };
+}
+
+/**
+ * Bounds of a square around point
+ * @param {Array} point - [lat, lng]
+ * @param {number} meters - Half of the square side
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+export function pointToBounds([lat, lng], meters) {
+  const latOffset = meters / 111000;
+  const lngOffset = meters / (111000 * Math.cos((lat * Math.PI) / 180));
+
+  return {
+    minLat: lat - latOffset,
+    maxLat: lat + latOffset,
+    minLng: lng - lngOffset,
+    maxLng: lng + lngOffset,
+  };
+}
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+/**
+ * Converted geometry + R-tree item for zone
+ * @returns {Object|null} { zone, geometry, item } or null if zone has no usable bounds
+ */
+function createEntry(zone) {
+  const bounds = calculateZoneBounds(zone);
+  if (!bounds) {
+    console.warn('[SpatialIndex] Could not index zone:', zone.id);
+    return null;
+  }
+
+  return {
+    zone,
+    geometry: zoneToTurfGeometry(zone),
+    item: { ...boundsToBox(bounds), id: zone.id },
+  };
+}
+
+/**
+ * App bounds → RBush box (x = lng, y = lat)
+ */
+function boundsToBox({ minLat, maxLat, minLng, maxLng }) {
+  return { minX: minLng, minY: minLat, maxX: maxLng, maxY: maxLat };
+}
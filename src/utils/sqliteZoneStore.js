@@ -0,0 +1,291 @@
+import * as SQLite from 'expo-sqlite';
+import { getItemVerified, quarantineItem, removeItemVerified } from './storage';
+import { ZONES_SCHEMA_VERSION, parseStoredZones } from './zoneMigrations';
+import { calculateZoneBounds } from './zoneCalculations';
+
+const DATABASE_NAME = 'zones.db';
+
+// meta table keys (+ ':<workspace id>')
+const META_ZONES_VERSION = 'zones_version'; // Schema version of stored zones (see zoneMigrations.js)
+const META_IMPORTED = 'imported_async_storage'; // Set once AsyncStorage zones were copied in
+
+/**
+ * Database layout upgrades, step N upgrades user_version N-1 to N
+ */
+const DATABASE_MIGRATIONS = [
+  // 1: one row per zone
+  `
+    CREATE TABLE IF NOT EXISTS zones (
+      id TEXT PRIMARY KEY NOT NULL,
+      color TEXT,
+      min_lat REAL,
+      max_lat REAL,
+      min_lng REAL,
+      max_lng REAL,
+      created_at TEXT,
+      data TEXT NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS zones_color ON zones (color);
+    CREATE INDEX IF NOT EXISTS zones_lat ON zones (min_lat, max_lat);
+    CREATE INDEX IF NOT EXISTS zones_lng ON zones (min_lng, max_lng);
+    CREATE TABLE IF NOT EXISTS zones_corrupt AS SELECT * FROM zones WHERE 0;
+    CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY NOT NULL, value TEXT);
+  `,
+  // 2: zones per workspace (existing rows belong to default workspace)
+  `
+    CREATE TABLE zones_new (
+      workspace_id TEXT NOT NULL,
+      id TEXT NOT NULL,
+      color TEXT,
+      min_lat REAL,
+      max_lat REAL,
+      min_lng REAL,
+      max_lng REAL,
+      created_at TEXT,
+      data TEXT NOT NULL,
+      PRIMARY KEY (workspace_id, id)
+    );
+    INSERT INTO zones_new SELECT 'default', * FROM zones;
+    DROP TABLE zones;
+    ALTER TABLE zones_new RENAME TO zones;
+    CREATE INDEX zones_color ON zones (workspace_id, color);
+    CREATE INDEX zones_lat ON zones (workspace_id, min_lat, max_lat);
+    CREATE INDEX zones_lng ON zones (workspace_id, min_lng, max_lng);
+    CREATE TABLE zones_corrupt_new AS SELECT 'default' AS workspace_id, * FROM zones_corrupt;
+    DROP TABLE zones_corrupt;
+    ALTER TABLE zones_corrupt_new RENAME TO zones_corrupt;
+    UPDATE meta SET key = key || ':default';
+  `,
+];
+
+// Shared by stores of all workspaces (one connection, one write queue)
+let databasePromise = null;
+let writing = Promise.resolve();
+
+/**
+ * SQLite zone store: one row per zone, changes are per-zone upserts/deletes
+ * Full zone is kept as JSON, color and bounding box as indexed columns for lookups
+ * All workspaces share one database, rows are keyed by workspace id
+ * Rows are loaded ordered by creation time
+ *
+ * On first load of a workspace, zones saved in AsyncStorage (storageKey) are imported once;
+ * the AsyncStorage value is left in place as a backup
+ *
+ * Integrity: SQLite transactions replace the checksum/atomic save of the AsyncStorage store,
+ * so load() never reports 'missing' (no zones is a valid state). A row that can't be parsed
+ * is moved to zones_corrupt on its own and the remaining zones load; 'corrupt' is reported
+ * only when the table can't be read at all
+ *
+ * @param {string} workspaceId - Workspace whose zones the store reads and writes
+ * @param {string} storageKey - AsyncStorage key zones were saved under before SQLite
+ * @returns {Promise<Object>} Store (API described in zoneStore.js)
+ * @throws If the database can't be opened (caller falls back to AsyncStorage)
+ */
+export async function createSqliteZoneStore(workspaceId, storageKey) {
+  const db = await openDatabase();
+  const versionKey = `${META_ZONES_VERSION}:${workspaceId}`;
+  const importedKey = `${META_IMPORTED}:${workspaceId}`;
+
+  // Run write after all earlier ones (each write is one transaction)
+  const enqueue = (write) => {
+    const result = writing.then(() => db.withTransactionAsync(write));
+    writing = result.catch(() => {}); // Failed write doesn't block later ones
+    return result;
+  };
+
+  const getMeta = async (key) => {
+    const row = await db.getFirstAsync('SELECT value FROM meta WHERE key = ?', key);
+    return row ? row.value : null;
+  };
+
+  const setMeta = (key, value) =>
+    db.runAsync('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', key, String(value));
+
+  const upsertZone = (zone) => {
+    const bounds = calculateZoneBounds(zone);
+    return db.runAsync(
+      `INSERT OR REPLACE INTO zones
+         (workspace_id, id, color, min_lat, max_lat, min_lng, max_lng, created_at, data)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      workspaceId,
+      zone.id,
+      zone.color ?? null,
+      bounds?.minLat ?? null,
+      bounds?.maxLat ?? null,
+      bounds?.minLng ?? null,
+      bounds?.maxLng ?? null,
+      zone.createdAt ?? null,
+      JSON.stringify(zone)
+    );
+  };
+
+  const writeAll = async (zones, version) => {
+    await db.runAsync('DELETE FROM zones WHERE workspace_id = ?', workspaceId);
+    for (const zone of zones) {
+      await upsertZone(zone);
+    }
+    await setMeta(versionKey, version);
+    await setMeta(importedKey, new Date().toISOString());
+  };
+
+  const queryZones = async (where, ...params) => {
+    const rows = await db.getAllAsync(
+      `SELECT data FROM zones WHERE workspace_id = ? ${where} ORDER BY created_at, id`,
+      workspaceId,
+      ...params
+    );
+    return rows.map((row) => JSON.parse(row.data));
+  };
+
+  // All zones of workspace; unparseable rows are quarantined one by one
+  const loadRows = async () => {
+    const rows = await db.getAllAsync(
+      'SELECT id, data FROM zones WHERE workspace_id = ? ORDER BY created_at, id',
+      workspaceId
+    );
+    const zones = [];
+    const badIds = [];
+    for (const row of rows) {
+      try {
+        zones.push(JSON.parse(row.data));
+      } catch (error) {
+        console.warn(`[ZoneStore] Unreadable zone ${row.id} moved to zones_corrupt:`, error);
+        badIds.push(row.id);
+      }
+    }
+
+    if (badIds.length > 0) {
+      // Failed move only means the rows are skipped again next time
+      enqueue(async () => {
+        for (const id of badIds) {
+          await db.runAsync(
+            'INSERT INTO zones_corrupt SELECT * FROM zones WHERE workspace_id = ? AND id = ?',
+            workspaceId,
+            id
+          );
+          await db.runAsync('DELETE FROM zones WHERE workspace_id = ? AND id = ?', workspaceId, id);
+        }
+      }).catch((error) => {
+        console.error('[ZoneStore] Error moving unreadable zones:', error);
+      });
+    }
+    return zones;
+  };
+
+  return {
+    name: 'sqlite',
+
+    async load() {
+      // One-time import of zones saved before SQLite
+      if (!(await getMeta(importedKey))) {
+        const legacy = await getItemVerified(storageKey);
+        if (legacy.status === 'corrupt') {
+          return legacy; // Imported once recovered (replaceAll)
+        }
+
+        const { version, zones } = parseStoredZones(legacy.value);
+        await enqueue(() => writeAll(zones, version));
+        console.warn(`[ZoneStore] Imported ${zones.length} zones from AsyncStorage`);
+        return legacy;
+      }
+
+      try {
+        await writing; // Include writes queued by other stores (e.g. copy of active workspace)
+        const zones = await loadRows();
+        const version = Number(await getMeta(versionKey));
+        return { status: 'ok', value: { version, zones } };
+      } catch (error) {
+        console.error('[ZoneStore] Error reading zones:', error);
+        return { status: 'corrupt', value: null };
+      }
+    },
+
+    applyChanges(changes, direction = 'redo') {
+      const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+
+      return enqueue(async () => {
+        for (const change of ordered) {
+          const target = direction === 'undo' ? change.before : change.after;
+          if (target) {
+            await upsertZone(target);
+          } else {
+            await db.runAsync(
+              'DELETE FROM zones WHERE workspace_id = ? AND id = ?',
+              workspaceId,
+              change.id
+            );
+          }
+        }
+      });
+    },
+
+    replaceAll(zones) {
+      return enqueue(() => writeAll(zones, ZONES_SCHEMA_VERSION));
+    },
+
+    async quarantine() {
+      if (!(await getMeta(importedKey))) {
+        return quarantineItem(storageKey);
+      }
+      return enqueue(async () => {
+        await db.runAsync('DELETE FROM zones_corrupt WHERE workspace_id = ?', workspaceId);
+        await db.runAsync(
+          'INSERT INTO zones_corrupt SELECT * FROM zones WHERE workspace_id = ?',
+          workspaceId
+        );
+      });
+    },
+
+    findByColor(color) {
+      return queryZones('AND color = ?', color);
+    },
+
+    findInBounds({ minLat, maxLat, minLng, maxLng }) {
+      return queryZones(
+        'AND max_lat >= ? AND min_lat <= ? AND max_lng >= ? AND min_lng <= ?',
+        minLat,
+        maxLat,
+        minLng,
+        maxLng
+      );
+    },
+
+    async destroy() {
+      await enqueue(async () => {
+        await db.runAsync('DELETE FROM zones WHERE workspace_id = ?', workspaceId);
+        await db.runAsync('DELETE FROM zones_corrupt WHERE workspace_id = ?', workspaceId);
+        await db.runAsync('DELETE FROM meta WHERE key IN (?, ?)', versionKey, importedKey);
+      });
+      await removeItemVerified(storageKey);
+    },
+  };
+}
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+/**
+ * Open database once and bring its layout up to date
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = (async () => {
+      const db = await SQLite.openDatabaseAsync(DATABASE_NAME);
+      await db.execAsync('PRAGMA journal_mode = WAL;');
+
+      const { user_version: version } = await db.getFirstAsync('PRAGMA user_version');
+      for (let step = version; step < DATABASE_MIGRATIONS.length; step++) {
+        await db.withTransactionAsync(async () => {
+          await db.execAsync(DATABASE_MIGRATIONS[step]);
+          await db.execAsync(`PRAGMA user_version = ${step + 1}`);
+        });
+      }
+      return db;
+    })().catch((error) => {
+      databasePromise = null; // Next store retries
+      throw error;
+    });
+  }
+  return databasePromise;
+}
@@ -55,3 +55,177 @@ export const clear = async () => {
     throw error;
   }
 };
+
+// ==========================================
+// VERIFIED STORAGE (checksum + journal)
+// ==========================================
+
+/**
+ * Values written with setItemAtomic are stored in an envelope:
+ * { checksum, savedAt, data } - checksum of JSON-serialized data
+ *
+ * Write order (journal): <key>:pending → <key> → remove <key>:pending
+ * A crash between steps leaves either the old value or a complete pending copy,
+ * which getItemVerified rolls forward on next load
+ */
+
+const PENDING_SUFFIX = ':pending';
+const LAST_GOOD_SUFFIX = ':last-good';
+const CORRUPT_SUFFIX = ':corrupt';
+
+/**
+ * Save data atomically with checksum
+ */
+export const setItemAtomic = async (key, value) => {
+  try {
+    const envelope = createEnvelope(value);
+    await AsyncStorage.setItem(key + PENDING_SUFFIX, envelope);
+    await AsyncStorage.setItem(key, envelope);
+    await AsyncStorage.removeItem(key + PENDING_SUFFIX);
+  } catch (error) {
+    console.error(`[Storage] Error saving ${key}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Load data and verify it
+ * Values saved without envelope (before verified storage) are accepted as-is
+ *
+ * @returns {Object} { status, value }
+ *   status: 'ok' | 'missing' | 'recovered' (interrupted write rolled forward) | 'corrupt'
+ *   value: parsed data (null unless ok/recovered)
+ */
+export const getItemVerified = async (key) => {
+  try {
+    // Interrupted write: complete pending copy is the newest data
+    const pending = readEnvelope(await AsyncStorage.getItem(key + PENDING_SUFFIX));
+    if (pending.valid) {
+      await AsyncStorage.setItem(key, createEnvelope(pending.data));
+      await AsyncStorage.removeItem(key + PENDING_SUFFIX);
+      return { status: 'recovered', value: pending.data };
+    }
+
+    const jsonValue = await AsyncStorage.getItem(key);
+    if (jsonValue == null) {
+      return { status: 'missing', value: null };
+    }
+
+    const stored = readEnvelope(jsonValue);
+    if (!stored.valid) {
+      console.error(`[Storage] ${key} is unreadable: ${stored.reason}`);
+      return { status: 'corrupt', value: null };
+    }
+
+    return { status: 'ok', value: stored.data };
+  } catch (error) {
+    console.error(`[Storage] Error loading ${key}:`, error);
+    return { status: 'corrupt', value: null };
+  }
+};
+
+/**
+ * Remember value as last known good (offered by recovery if main value breaks)
+ */
+export const setLastGoodItem = async (key, value) => {
+  try {
+    await AsyncStorage.setItem(key + LAST_GOOD_SUFFIX, createEnvelope(value));
+  } catch (error) {
+    console.error(`[Storage] Error saving last good ${key}:`, error);
+  }
+};
+
+/**
+ * Load last known good value
+ * @returns {Object|null} { value, savedAt } or null if none (or it is unreadable too)
+ */
+export const getLastGoodItem = async (key) => {
+  try {
+    const stored = readEnvelope(await AsyncStorage.getItem(key + LAST_GOOD_SUFFIX));
+    return stored.valid ? { value: stored.data, savedAt: stored.savedAt } : null;
+  } catch (error) {
+    console.error(`[Storage] Error loading last good ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Move unreadable raw value aside (kept for manual inspection, never parsed)
+ */
+export const quarantineItem = async (key) => {
+  try {
+    const raw = await AsyncStorage.getItem(key);
+    if (raw != null) {
+      await AsyncStorage.setItem(key + CORRUPT_SUFFIX, raw);
+    }
+  } catch (error) {
+    console.error(`[Storage] Error quarantining ${key}:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Remove value with all its copies (pending, last good, quarantined)
+ */
+export const removeItemVerified = async (key) => {
+  try {
+    await AsyncStorage.multiRemove([
+      key,
+      key + PENDING_SUFFIX,
+      key + LAST_GOOD_SUFFIX,
+      key + CORRUPT_SUFFIX,
+    ]);
+  } catch (error) {
+    console.error(`[Storage] Error removing ${key}:`, error);
+    throw error;
+  }
+};
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+function createEnvelope(value) {
+  const json = JSON.stringify(value);
+  return `{"checksum":"${checksum(json)}","savedAt":"${new Date().toISOString()}","data":${json}}`;
+}
+
+/**
+ * Parse stored string and verify checksum
+ * @returns {Object} { valid, data, savedAt } or { valid: false, reason }
+ */
+function readEnvelope(jsonValue) {
+  if (jsonValue == null) {
+    return { valid: false, reason: 'missing' };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonValue);
+  } catch {
+    return { valid: false, reason: 'invalid JSON' };
+  }
+
+  // Saved before verified storage (no envelope)
+  if (!parsed || typeof parsed.checksum !== 'string' || !('data' in parsed)) {
+    return { valid: true, data: parsed, savedAt: null };
+  }
+
+  if (checksum(JSON.stringify(parsed.data)) !== parsed.checksum) {
+    return { valid: false, reason: 'checksum mismatch' };
+  }
+
+  return { valid: true, data: parsed.data, savedAt: parsed.savedAt };
+}
+
+/**
+ * FNV-1a 32-bit hash (hex) - detects truncated/garbled data, not tampering
+ */
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
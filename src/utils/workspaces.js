@@ -0,0 +1,74 @@
+import { DEFAULT_WORKSPACE_ID } from '../../shared/constants';
+
+/**
+ * Workspaces - separate zone sets (e.g. current tariffs, proposed plan, event-day closures)
+ * Workspace: { id, name, createdAt, colorFilter?, attributeFilter?, region? }
+ * - colorFilter: visible colors (all palette colors if null or not saved yet)
+ * - attributeFilter: zones shown by attribute value (see attributes.js), null = off
+ * - region: last visible map region (react-native-maps region)
+ * Stored as { activeId, workspaces } under STORAGE_KEYS.WORKSPACES
+ *
+ * Zones, layers, palette, attribute fields, history and snapshots of a workspace are stored
+ * under workspaceKey(key, id); default workspace uses unscoped keys, so data saved before
+ * workspaces existed belongs to it
+ */
+
+/**
+ * Storage key of per-workspace data
+ */
+export function workspaceKey(key, workspaceId) {
+  return workspaceId === DEFAULT_WORKSPACE_ID ? key : `${key}@${workspaceId}`;
+}
+
+/**
+ * Stored value with only the default workspace (first run, or nothing usable stored)
+ */
+export function createDefaultWorkspaces() {
+  return {
+    activeId: DEFAULT_WORKSPACE_ID,
+    workspaces: [
+      { id: DEFAULT_WORKSPACE_ID, name: 'My Zones', createdAt: new Date().toISOString() },
+    ],
+  };
+}
+
+/**
+ * Validate stored workspaces (falls back to default workspace, active id always valid)
+ */
+export function normalizeWorkspaces(stored) {
+  const workspaces = Array.isArray(stored?.workspaces)
+    ? stored.workspaces.filter((workspace) => workspace && workspace.id && workspace.name)
+    : [];
+
+  if (workspaces.length === 0) {
+    return createDefaultWorkspaces();
+  }
+
+  const activeId = workspaces.some((workspace) => workspace.id === stored.activeId)
+    ? stored.activeId
+    : workspaces[0].id;
+
+  return { activeId, workspaces };
+}
+
+/**
+ * Validate workspace name
+ * @param {string} name - Trimmed by caller
+ * @param {Array} workspaces - Existing workspaces
+ * @param {string} ignoreId - Workspace being renamed (may keep its name)
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateWorkspaceName(name, workspaces, ignoreId = null) {
+  if (!name) {
+    return 'Workspace name is required';
+  }
+  if (
+    workspaces.some(
+      (workspace) =>
+        workspace.id !== ignoreId && workspace.name.toLowerCase() === name.toLowerCase()
+    )
+  ) {
+    return `Workspace "${name}" already exists`;
+  }
+  return null;
+}
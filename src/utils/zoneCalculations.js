@@ -1,104 +1,454 @@
 /**
  * Utility functions for calculating zone geometric properties
- * Handles area and center calculations for all zone types
+ * Geodesic area/perimeter (spherical Earth), area-weighted center, label point inside the shape
  */
 
 /**
- * Calculate area of a zone in square meters
- * Supports: circle, rectangle, polygon
+ * Polygon parts of a zone: primary ring (coordinates/holes) + extra parts
+ * @param {Object} zone - Polygon zone
+ * @returns {Array} Array of { coordinates, holes? }
+ */
+export function getZonePolygons(zone) {
+  return [{ coordinates: zone.coordinates, holes: zone.holes }, ...(zone.parts || [])];
+}
+
+// Mean Earth radius in meters (same sphere as Turf distance/length)
+const EARTH_RADIUS = 6371008.8;
+
+// Label point search stops when a better point can't be more than this far inside (m)
+const LABEL_PRECISION = 1;
+
+/**
+ * All stored metrics of a zone (recalculated whenever geometry changes)
+ * @param {Object} zone - Zone object with type, coordinates, optional radius/holes/parts
+ * @returns {Object} { area, perimeter, center, labelPoint }
+ */
+export function calculateZoneMetrics(zone) {
+  return {
+    area: calculateZoneArea(zone),
+    perimeter: calculateZonePerimeter(zone),
+    center: calculateZoneCenter(zone),
+    labelPoint: calculateLabelPoint(zone),
+  };
+}
+
+/**
+ * Calculate geodesic area of a zone in square meters (on a sphere)
+ * Supports: circle, polygon (holes subtracted, parts summed)
  * @param {Object} zone - Zone object with type, coordinates, and optional radius
  * @returns {number|null} Area in m² or null if calculation fails
  */
 export function calculateZoneArea(zone) {
   if (zone.type === 'circle' && zone.radius) {
-    const area = Math.PI * zone.radius * zone.radius;
-    return area;
+    // Spherical cap: 2πR²(1 − cos(r/R)), written with sin² to keep precision for small r
+    const halfAngle = zone.radius / (2 * EARTH_RADIUS);
+    return 4 * Math.PI * EARTH_RADIUS * EARTH_RADIUS * Math.sin(halfAngle) ** 2;
   }
 
-  if (zone.type === 'rectangle') {
-    // Unwrap nested coordinate arrays to flat array of [lat, lng] points
-    let coords = zone.coordinates;
-    while (Array.isArray(coords[0]) && Array.isArray(coords[0][0]) && coords.length === 1) {
-      coords = coords[0];
-    }
+  if (zone.type === 'polygon') {
+    return getZonePolygons(zone).reduce((sum, part) => sum + partArea(part), 0);
+  }
 
-    const lat1 = Math.min(coords[0][0], coords[1][0], coords[2][0], coords[3][0]);
-    const lat2 = Math.max(coords[0][0], coords[1][0], coords[2][0], coords[3][0]);
-    const lng1 = Math.min(coords[0][1], coords[1][1], coords[2][1], coords[3][1]);
-    const lng2 = Math.max(coords[0][1], coords[1][1], coords[2][1], coords[3][1]);
+  return null;
+}
 
-    const latDiff = Math.abs(lat2 - lat1);
-    const lngDiff = Math.abs(lng2 - lng1);
-    const avgLat = (lat1 + lat2) / 2;
+/**
+ * Calculate geodesic perimeter of a zone in meters
+ * Length of every boundary: outer rings of all parts + holes
+ * @param {Object} zone - Zone object with type, coordinates, and optional radius
+ * @returns {number|null} Perimeter in m or null if calculation fails
+ */
+export function calculateZonePerimeter(zone) {
+  if (zone.type === 'circle' && zone.radius) {
+    return 2 * Math.PI * EARTH_RADIUS * Math.sin(zone.radius / EARTH_RADIUS);
+  }
 
-    const heightM = latDiff * 111000;
-    const widthM = lngDiff * 111000 * Math.cos((avgLat * Math.PI) / 180);
+  if (zone.type === 'polygon') {
+    return getZonePolygons(zone)
+      .flatMap((part) => [part.coordinates, ...(part.holes || [])])
+      .reduce((sum, ring) => sum + ringLength(ring), 0);
+  }
+
+  return null;
+}
 
-    const area = heightM * widthM;
-    return area;
+/**
+ * Calculate center point (area-weighted centroid) of a zone
+ * Holes pull the centroid away, parts pull it towards themselves (by area)
+ * May lie outside concave shapes - use calculateLabelPoint for a point inside
+ * @param {Object} zone - Zone object with type and coordinates
+ * @returns {Object|null} Center point { lat, lng } or null if calculation fails
+ */
+export function calculateZoneCenter(zone) {
+  // Circle: center is the single coordinate point
+  if (zone.type === 'circle') {
+    const [lat, lng] = zone.coordinates[0];
+    return { lat, lng };
   }
 
   if (zone.type === 'polygon') {
-    let coords = zone.coordinates;
-    while (Array.isArray(coords[0]) && Array.isArray(coords[0][0]) && coords.length === 1) {
-      coords = coords[0];
-    }
+    const polygons = getZonePolygons(zone);
+    const origin = polygons[0].coordinates[0];
+    if (!origin) return null;
 
+    // Sum of ring moments in local meters (holes subtract)
     let area = 0;
-    for (let i = 0; i < coords.length; i++) {
-      const j = (i + 1) % coords.length;
-      const lat1 = coords[i][0];
-      const lng1 = coords[i][1];
-      const lat2 = coords[j][0];
-      const lng2 = coords[j][1];
-
-      area += lng1 * lat2 - lng2 * lat1;
-    }
-
-    area = Math.abs(area / 2);
+    let momentX = 0;
+    let momentY = 0;
+    polygons.forEach((part) => {
+      [part.coordinates, ...(part.holes || [])].forEach((ring, ringIndex) => {
+        const sign = ringIndex === 0 ? 1 : -1;
+        const centroid = ringCentroid(ring.map((point) => toLocal(point, origin)));
+        area += sign * centroid.area;
+        momentX += sign * centroid.area * centroid.x;
+        momentY += sign * centroid.area * centroid.y;
+      });
+    });
 
-    const metersPerDegreeLat = 111000;
-    const avgLat = coords.reduce((sum, coord) => sum + coord[0], 0) / coords.length;
-    const metersPerDegreeLng = 111000 * Math.cos((avgLat * Math.PI) / 180);
+    // Degenerate shape (all points on a line): fall back to average of points
+    if (area <= 0) {
+      const points = polygons.flatMap((part) => part.coordinates);
+      return {
+        lat: points.reduce((sum, point) => sum + point[0], 0) / points.length,
+        lng: points.reduce((sum, point) => sum + point[1], 0) / points.length,
+      };
+    }
 
-    const result = area * metersPerDegreeLat * metersPerDegreeLng;
-    return result;
+    const [lat, lng] = fromLocal([momentX / area, momentY / area], origin);
+    return { lat, lng };
   }
 
   return null;
 }
 
 /**
- * Calculate center point (centroid) of a zone
+ * Calculate label point: pole of inaccessibility of the largest part
+ * (point inside the shape that is farthest from its boundary, holes included)
+ * Unlike the centroid it always lies inside, so it is safe for name labels
  * @param {Object} zone - Zone object with type and coordinates
- * @returns {Object|null} Center point { lat, lng } or null if calculation fails
+ * @returns {Object|null} Label point { lat, lng } or null if calculation fails
  */
-export function calculateZoneCenter(zone) {
-  // Circle: center is the single coordinate point
+export function calculateLabelPoint(zone) {
   if (zone.type === 'circle') {
-    const [lat, lng] = zone.coordinates[0];
+    return calculateZoneCenter(zone);
+  }
+
+  if (zone.type === 'polygon') {
+    const largest = getZonePolygons(zone).reduce((best, part) =>
+      partArea(part) > partArea(best) ? part : best
+    );
+    const origin = largest.coordinates[0];
+    if (!origin) return null;
+
+    const rings = [largest.coordinates, ...(largest.holes || [])].map((ring) =>
+      ring.map((point) => toLocal(point, origin))
+    );
+    const [lat, lng] = fromLocal(poleOfInaccessibility(rings, LABEL_PRECISION), origin);
     return { lat, lng };
   }
 
-  // Rectangle & Polygon: calculate centroid (average of all points)
-  if (zone.type === 'rectangle' || zone.type === 'polygon') {
-    // Unwrap nested arrays
-    let coords = zone.coordinates;
-    while (Array.isArray(coords[0]) && Array.isArray(coords[0][0]) && coords.length === 1) {
-      coords = coords[0];
-    }
+  return null;
+}
+
+/**
+ * Format length for display (m below 1 km, km with one decimal above)
+ * @param {number} meters - Length in meters
+ * @returns {string} e.g. "850 m" or "2.4 km"
+ */
+export function formatLength(meters) {
+  return meters < 1000 ? `${Math.round(meters)} m` : `${(meters / 1000).toFixed(1)} km`;
+}
 
-    // Calculate mean of all coordinates
-    const sumLat = coords.reduce((sum, coord) => sum + coord[0], 0);
-    const sumLng = coords.reduce((sum, coord) => sum + coord[1], 0);
+/**
+ * Calculate bounding box of a zone (all parts included)
+ * @param {Object} zone - Zone object with type, coordinates, optional radius/parts
+ * @returns {Object|null} { minLat, maxLat, minLng, maxLng } or null if calculation fails
+ */
+export function calculateZoneBounds(zone) {
+  if (zone.type === 'circle') {
+    const [lat, lng] = zone.coordinates[0];
+    const latOffset = zone.radius / 111000;
+    const lngOffset = zone.radius / (111000 * Math.cos((lat * Math.PI) / 180));
 
-    const center = {
-      lat: sumLat / coords.length,
-      lng: sumLng / coords.length,
+    return {
+      minLat: lat - latOffset,
+      maxLat: lat + latOffset,
+      minLng: lng - lngOffset,
+      maxLng: lng + lngOffset,
     };
+  }
 
-    return center;
+  if (zone.type === 'polygon') {
+    const points = getZonePolygons(zone).flatMap((part) => part.coordinates);
+    if (points.length === 0) return null;
+
+    const lats = points.map((p) => p[0]);
+    const lngs = points.map((p) => p[1]);
+
+    return {
+      minLat: Math.min(...lats),
+      maxLat: Math.max(...lats),
+      minLng: Math.min(...lngs),
+      maxLng: Math.max(...lngs),
+    };
   }
 
   return null;
 }
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+/**
+ * Geodesic area of a single polygon part: outer ring minus holes (inner rings)
+ */
+function partArea(part) {
+  const holesArea = (part.holes || []).reduce((sum, hole) => sum + ringArea(hole), 0);
+  return Math.max(ringArea(part.coordinates) - holesArea, 0);
+}
+
+/**
+ * Area of a single [lat, lng] ring in m² on a sphere
+ * Spherical excess approximation (Chamberlain & Duquette, same as Turf area)
+ */
+function ringArea(coords) {
+  if (coords.length < 3) return 0;
+
+  let total = 0;
+  for (let i = 0; i < coords.length; i++) {
+    const lower = coords[i];
+    const middle = coords[(i + 1) % coords.length];
+    const upper = coords[(i + 2) % coords.length];
+
+    total += (toRadians(upper[1]) - toRadians(lower[1])) * Math.sin(toRadians(middle[0]));
+  }
+
+  return Math.abs((total * EARTH_RADIUS * EARTH_RADIUS) / 2);
+}
+
+/**
+ * Length of a closed [lat, lng] ring in meters (haversine, last point joins first)
+ */
+function ringLength(coords) {
+  let total = 0;
+  for (let i = 0; i < coords.length; i++) {
+    const [lat1, lng1] = coords[i];
+    const [lat2, lng2] = coords[(i + 1) % coords.length];
+
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a =
+      Math.sin(dLat / 2) ** 2 +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+
+    total += 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+
+  return total;
+}
+
+/**
+ * Area and centroid of a planar ring (shoelace)
+ * @returns {Object} { area, x, y } - area is unsigned, centroid in ring units
+ */
+function ringCentroid(points) {
+  let doubleArea = 0;
+  let sumX = 0;
+  let sumY = 0;
+
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+
+    doubleArea += cross;
+    sumX += (x1 + x2) * cross;
+    sumY += (y1 + y2) * cross;
+  }
+
+  if (doubleArea === 0) {
+    return { area: 0, x: 0, y: 0 };
+  }
+
+  // Dividing by signed area makes the centroid independent of winding order
+  return {
+    area: Math.abs(doubleArea / 2),
+    x: sumX / (3 * doubleArea),
+    y: sumY / (3 * doubleArea),
+  };
+}
+
+/**
+ * Pole of inaccessibility of planar rings (outer + holes)
+ * Quadtree search over cells ordered by the best distance they could contain
+ * (polylabel algorithm, Mapbox)
+ * @returns {Array} [x, y] in ring units
+ */
+function poleOfInaccessibility(rings, precision) {
+  const xs = rings[0].map((point) => point[0]);
+  const ys = rings[0].map((point) => point[1]);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const cellSize = Math.min(width, height);
+
+  if (cellSize === 0) {
+    return [minX, minY];
+  }
+
+  const createCell = (x, y, half) => {
+    const distance = signedDistance([x, y], rings);
+    return { x, y, half, distance, max: distance + half * Math.SQRT2 };
+  };
+
+  // Initial grid of square cells covering the bounds
+  const queue = [];
+  for (let x = minX; x < minX + width; x += cellSize) {
+    for (let y = minY; y < minY + height; y += cellSize) {
+      heapPush(queue, createCell(x + cellSize / 2, y + cellSize / 2, cellSize / 2));
+    }
+  }
+
+  // Start from the centroid (good guess for most shapes) or bounds center
+  const centroid = ringCentroid(rings[0]);
+  let best = createCell(centroid.x, centroid.y, 0);
+  const boundsCenter = createCell(minX + width / 2, minY + height / 2, 0);
+  if (boundsCenter.distance > best.distance) {
+    best = boundsCenter;
+  }
+
+  while (queue.length > 0) {
+    // Most promising cell first
+    const cell = heapPop(queue);
+
+    if (cell.distance > best.distance) {
+      best = cell;
+    }
+
+    // Can't beat current best by more than precision - don't split
+    if (cell.max - best.distance <= precision) continue;
+
+    const half = cell.half / 2;
+    heapPush(queue, createCell(cell.x - half, cell.y - half, half));
+    heapPush(queue, createCell(cell.x + half, cell.y - half, half));
+    heapPush(queue, createCell(cell.x - half, cell.y + half, half));
+    heapPush(queue, createCell(cell.x + half, cell.y + half, half));
+  }
+
+  return [best.x, best.y];
+}
+
+/**
+ * Binary max-heap on cell.max (array-backed)
+ */
+function heapPush(heap, cell) {
+  heap.push(cell);
+  let index = heap.length - 1;
+
+  while (index > 0) {
+    const parent = (index - 1) >> 1;
+    if (heap[parent].max >= heap[index].max) break;
+    [heap[parent], heap[index]] = [heap[index], heap[parent]];
+    index = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+
+  if (heap.length > 0) {
+    heap[0] = last;
+    let index = 0;
+
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let largest = index;
+      if (left < heap.length && heap[left].max > heap[largest].max) largest = left;
+      if (right < heap.length && heap[right].max > heap[largest].max) largest = right;
+      if (largest === index) break;
+      [heap[largest], heap[index]] = [heap[index], heap[largest]];
+      index = largest;
+    }
+  }
+
+  return top;
+}
+
+/**
+ * Distance from point to polygon boundary (positive inside, negative outside)
+ */
+function signedDistance([x, y], rings) {
+  let inside = false;
+  let minDistanceSq = Infinity;
+
+  rings.forEach((ring) => {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+
+      // Ray casting (even-odd, so holes flip it back to outside)
+      if (a[1] > y !== b[1] > y && x < ((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1]) + a[0]) {
+        inside = !inside;
+      }
+
+      minDistanceSq = Math.min(minDistanceSq, segmentDistanceSq([x, y], a, b));
+    }
+  });
+
+  return (inside ? 1 : -1) * Math.sqrt(minDistanceSq);
+}
+
+/**
+ * Squared distance from point p to segment ab
+ */
+function segmentDistanceSq(p, a, b) {
+  let [x, y] = a;
+  let dx = b[0] - x;
+  let dy = b[1] - y;
+
+  if (dx !== 0 || dy !== 0) {
+    const t = ((p[0] - x) * dx + (p[1] - y) * dy) / (dx * dx + dy * dy);
+    if (t > 1) {
+      [x, y] = b;
+    } else if (t > 0) {
+      x += dx * t;
+      y += dy * t;
+    }
+  }
+
+  dx = p[0] - x;
+  dy = p[1] - y;
+  return dx * dx + dy * dy;
+}
+
+/**
+ * [lat, lng] → local [x, y] meters (equirectangular around origin, fine for zone-sized shapes)
+ */
+function toLocal([lat, lng], origin) {
+  return [
+    toRadians(lng - origin[1]) * EARTH_RADIUS * Math.cos(toRadians(origin[0])),
+    toRadians(lat - origin[0]) * EARTH_RADIUS,
+  ];
+}
+
+/**
+ * Local [x, y] meters → [lat, lng]
+ */
+function fromLocal([x, y], origin) {
+  return [
+    origin[0] + toDegrees(y / EARTH_RADIUS),
+    origin[1] + toDegrees(x / (EARTH_RADIUS * Math.cos(toRadians(origin[0])))),
+  ];
+}
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function toDegrees(radians) {
+  return (radians * 180) / Math.PI;
+}
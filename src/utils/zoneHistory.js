@@ -0,0 +1,140 @@
+import { HISTORY_DEPTH, HISTORY_STORAGE } from '../../shared/constants';
+
+/**
+ * Undo/redo command history for zone mutations
+ * Command: { label, changes, timestamp, palette? }
+ * Change: { id, index, before, after } - full zone before/after (null = not present),
+ * index = position in zones array when the change was made
+ * palette: optional { before, after } workspace palette changed together with the zones
+ * (removed color - undo brings the color back with its zones)
+ * History: { undo: [command], redo: [command] } (oldest first, plain JSON so it can be persisted)
+ */
+
+export const EMPTY_HISTORY = { undo: [], redo: [] };
+
+/**
+ * Create command from list of changes
+ */
+export function createCommand(label, changes, palette = null) {
+  const command = { label, changes, timestamp: new Date().toISOString() };
+  return palette ? { ...command, palette } : command;
+}
+
+/**
+ * Record new command (clears redo, drops oldest beyond max depth)
+ */
+export function pushCommand(history, command, maxDepth = HISTORY_DEPTH) {
+  return {
+    undo: [...history.undo, command].slice(-maxDepth),
+    redo: [],
+  };
+}
+
+/**
+ * Move last command from undo to redo stack
+ * @returns {Object} { history, command } (command is null if nothing to undo)
+ */
+export function undoCommand(history) {
+  const command = history.undo[history.undo.length - 1];
+  if (!command) {
+    return { history, command: null };
+  }
+
+  return {
+    history: { undo: history.undo.slice(0, -1), redo: [...history.redo, command] },
+    command,
+  };
+}
+
+/**
+ * Move last command from redo to undo stack
+ * @returns {Object} { history, command } (command is null if nothing to redo)
+ */
+export function redoCommand(history) {
+  const command = history.redo[history.redo.length - 1];
+  if (!command) {
+    return { history, command: null };
+  }
+
+  return {
+    history: { undo: [...history.undo, command], redo: history.redo.slice(0, -1) },
+    command,
+  };
+}
+
+/**
+ * Apply command changes to zones array
+ * Undo restores 'before' states in reverse order, redo re-applies 'after' states in order
+ * (changes were recorded sequentially, so indexes stay valid in both directions)
+ *
+ * @param {Array} zones - Current zones
+ * @param {Array} changes - Command changes
+ * @param {string} direction - 'undo' | 'redo'
+ * @returns {Array} New zones array
+ */
+export function applyChanges(zones, changes, direction) {
+  const ordered = direction === 'undo' ? [...changes].reverse() : changes;
+  const result = [...zones];
+
+  ordered.forEach((change) => {
+    const target = direction === 'undo' ? change.before : change.after;
+    const currentIndex = result.findIndex((zone) => zone.id === change.id);
+
+    if (!target) {
+      if (currentIndex !== -1) {
+        result.splice(currentIndex, 1);
+      }
+    } else if (currentIndex !== -1) {
+      result[currentIndex] = target;
+    } else {
+      result.splice(Math.min(change.index, result.length), 0, target);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * History as saved to storage: newest undo commands, then next redo commands, while their
+ * zone copies fit maxZoneCopies (e.g. "Delete all" of a large set is only undoable until restart)
+ */
+export function trimHistoryForStorage(history, maxZoneCopies = HISTORY_STORAGE.MAX_ZONE_COPIES) {
+  let budget = maxZoneCopies;
+  const fits = (command) => {
+    const copies = command.changes.reduce(
+      (count, change) => count + (change.before ? 1 : 0) + (change.after ? 1 : 0),
+      0
+    );
+    if (copies > budget) {
+      budget = 0; // Keep stacks contiguous (no gaps after a command that didn't fit)
+      return false;
+    }
+    budget -= copies;
+    return true;
+  };
+
+  const newestFirst = (commands) => {
+    const kept = [];
+    for (let i = commands.length - 1; i >= 0 && fits(commands[i]); i--) {
+      kept.unshift(commands[i]);
+    }
+    return kept;
+  };
+
+  const undo = newestFirst(history.undo);
+  const redo = newestFirst(history.redo);
+  return { undo, redo };
+}
+
+/**
+ * Validate persisted history (falls back to empty history)
+ */
+export function normalizeHistory(stored) {
+  if (!stored || !Array.isArray(stored.undo) || !Array.isArray(stored.redo)) {
+    return EMPTY_HISTORY;
+  }
+  return {
+    undo: stored.undo.slice(-HISTORY_DEPTH),
+    redo: stored.redo.slice(-HISTORY_DEPTH),
+  };
+}
@@ -0,0 +1,240 @@
+import { rectangleCorners, rectangleFromCorners } from './geometry';
+import { calculateZoneMetrics } from './zoneCalculations';
+import { getColorHex } from '../../shared/colors';
+
+/**
+ * Stored zones schema versioning
+ *
+ * Stored value: { version, zones } (plain array = version 0, saved before versioning)
+ * Canonical zone (current version):
+ * - type: 'circle' | 'polygon' (rectangles are polygons + rectangle parameters)
+ * - coordinates: open ring of [lat, lng] arrays (circle: [[lat, lng]] center)
+ * - holes / parts[].coordinates / parts[].holes: same ring format
+ * - area, perimeter, center, labelPoint: geodesic metrics (see zoneCalculations.js)
+ * - colorHex matching color
+ * - layerId: optional, zones without one belong to the default layer (see layers.js)
+ * - attributes: optional custom attribute values { [fieldId]: value } (see attributes.js)
+ *
+ * Each step is a pure function (zones → zones) upgrading data from the previous version
+ */
+
+/**
+ * Migration steps in order, step N upgrades version N-1 data to version N
+ */
+export const MIGRATIONS = [
+  { version: 1, name: 'Normalize coordinates', migrate: normalizeCoordinates },
+  { version: 2, name: 'Convert rectangles to polygons', migrate: convertRectangles },
+  { version: 3, name: 'Recalculate geodesic metrics', migrate: recalculateMetrics },
+];
+
+export const ZONES_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read stored value in any supported shape
+ * @param {any} stored - Value loaded from storage
+ * @returns {Object} { version, zones } (unknown shapes → no zones)
+ */
+export function parseStoredZones(stored) {
+  if (Array.isArray(stored)) {
+    return { version: 0, zones: stored };
+  }
+
+  if (stored && Number.isInteger(stored.version) && Array.isArray(stored.zones)) {
+    return { version: stored.version, zones: stored.zones };
+  }
+
+  return { version: ZONES_SCHEMA_VERSION, zones: [] };
+}
+
+/**
+ * Zones of stored value in current schema (migrated in memory if saved with older version)
+ */
+export function readStoredZones(stored) {
+  const { version, zones } = parseStoredZones(stored);
+  return version < ZONES_SCHEMA_VERSION ? migrateZones(zones, version).zones : zones;
+}
+
+/**
+ * Wrap zones for storage (current schema version)
+ */
+export function serializeZones(zones) {
+  return { version: ZONES_SCHEMA_VERSION, zones };
+}
+
+/**
+ * Run every migration newer than fromVersion
+ * @param {Array} zones - Zones in fromVersion format
+ * @param {number} fromVersion - Schema version of zones
+ * @returns {Object} { zones, applied: [step names] }
+ * @throws If fromVersion is unknown (e.g. saved by a newer app version)
+ */
+export function migrateZones(zones, fromVersion) {
+  assertKnownVersion(fromVersion);
+  const steps = MIGRATIONS.filter((step) => step.version > fromVersion);
+
+  return {
+    zones: steps.reduce((current, step) => step.migrate(current), zones),
+    applied: steps.map((step) => step.name),
+  };
+}
+
+/**
+ * Migrate zone snapshots stored in undo/redo history (same steps as zones)
+ * @param {Object} history - { undo, redo } commands with { before, after } changes
+ * @param {number} fromVersion - Schema version the history was saved with
+ * @returns {Object} Migrated history
+ * @throws If fromVersion is unknown
+ */
+export function migrateHistory(history, fromVersion) {
+  assertKnownVersion(fromVersion);
+  const migrateSnapshot = (zone) => (zone ? migrateZones([zone], fromVersion).zones[0] : zone);
+  const migrateCommand = (command) => ({
+    ...command,
+    changes: command.changes.map((change) => ({
+      ...change,
+      before: migrateSnapshot(change.before),
+      after: migrateSnapshot(change.after),
+    })),
+  });
+
+  return {
+    undo: history.undo.map(migrateCommand),
+    redo: history.redo.map(migrateCommand),
+  };
+}
+
+// ==========================================
+// MIGRATION STEPS
+// ==========================================
+
+/**
+ * v1: every point as [lat, lng], no nested wrappers, no closing point
+ * Handles { lat, lng } / { latitude, longitude } objects and [[[...]]] wrapped rings
+ * Circles without a readable center are dropped (they can't be drawn or measured)
+ */
+export function normalizeCoordinates(zones) {
+  return zones.flatMap((zone) => {
+    if (zone.type === 'circle') {
+      const center = Array.isArray(zone.coordinates)
+        ? unwrapRing(zone.coordinates)[0]
+        : zone.coordinates;
+      const point = center ? toLatLng(center) : null;
+      if (!point) {
+        console.warn('[Migrations] Circle without readable center dropped:', zone.id);
+        return [];
+      }
+      return [{ ...zone, coordinates: [point] }];
+    }
+
+    const normalized = { ...zone, coordinates: normalizeRing(zone.coordinates) };
+    if (zone.holes) {
+      normalized.holes = zone.holes.map(normalizeRing);
+    }
+    if (zone.parts) {
+      normalized.parts = zone.parts.map((part) => ({
+        ...part,
+        coordinates: normalizeRing(part.coordinates),
+        ...(part.holes && { holes: part.holes.map(normalizeRing) }),
+      }));
+    }
+    return [normalized];
+  });
+}
+
+/**
+ * v2: legacy 'rectangle' type (4 corners, axis-aligned) → polygon + rectangle parameters
+ * Parameters let the zone be edited with rectangle handles like newly drawn rectangles
+ */
+export function convertRectangles(zones) {
+  return zones.map((zone) => {
+    if (zone.type !== 'rectangle') {
+      return zone;
+    }
+
+    const lats = zone.coordinates.map((point) => point[0]);
+    const lngs = zone.coordinates.map((point) => point[1]);
+    const rectangle = rectangleFromCorners(
+      [Math.min(...lats), Math.min(...lngs)],
+      [Math.max(...lats), Math.max(...lngs)]
+    );
+
+    return {
+      ...zone,
+      type: 'polygon',
+      coordinates: rectangleCorners(rectangle),
+      rectangle,
+    };
+  });
+}
+
+/**
+ * v3: geodesic area/perimeter, area-weighted center, label point; missing colorHex filled in
+ */
+export function recalculateMetrics(zones) {
+  return zones.map((zone) => ({
+    ...zone,
+    colorHex: zone.colorHex || getColorHex(zone.color),
+    ...calculateZoneMetrics(zone),
+  }));
+}
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+/**
+ * Versions data can be migrated from (0 = saved before versioning)
+ */
+function assertKnownVersion(version) {
+  if (!Number.isInteger(version) || version < 0 || version > ZONES_SCHEMA_VERSION) {
+    throw new Error(`Unknown zones schema version ${version}`);
+  }
+}
+
+/**
+ * Strip single-element wrappers ([[[lat, lng], ...]] → [[lat, lng], ...], also with object points)
+ * A lone [lat, lng] point is kept as is
+ */
+function unwrapRing(coords) {
+  let ring = coords;
+  while (ring.length === 1 && Array.isArray(ring[0]) && typeof ring[0][0] !== 'number') {
+    ring = ring[0];
+  }
+  return ring;
+}
+
+/**
+ * Ring → open ring of [lat, lng] (invalid points dropped)
+ */
+function normalizeRing(coords) {
+  const ring = unwrapRing(coords)
+    .map(toLatLng)
+    .filter((point) => point !== null);
+
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  if (ring.length > 1 && first[0] === last[0] && first[1] === last[1]) {
+    ring.pop();
+  }
+
+  return ring;
+}
+
+/**
+ * Point in any legacy format → [lat, lng] or null
+ */
+function toLatLng(point) {
+  if (Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1])) {
+    return [point[0], point[1]];
+  }
+  if (point && typeof point === 'object') {
+    const lat = point.lat ?? point.latitude;
+    const lng = point.lng ?? point.longitude;
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      return [lat, lng];
+    }
+  }
+
+  console.warn('[Migrations] Invalid point dropped:', point);
+  return null;
+}
@@ -0,0 +1,199 @@
+import * as turf from '@turf/turf';
+import { zoneToTurfGeometry } from './zoneValidation';
+import { destinationPoint, bearingBetween, distanceMeters, isSelfIntersecting } from './geometry';
+import { calculateZoneCenter, getZonePolygons } from './zoneCalculations';
+
+// Pieces smaller than this are treated as slivers (m²)
+const MIN_PIECE_AREA = 1;
+
+/**
+ * Merge/split/subtract operations on saved zones
+ * Results are polygon geometry fields { coordinates, holes?, parts? } ready for
+ * addZone/updateZone (area/center are recalculated there)
+ */
+
+/**
+ * Union two or more touching zones into one polygon zone
+ * Every zone must touch or overlap at least one other selected zone
+ *
+ * @param {Array} zones - Zones to merge (circles are approximated as polygons)
+ * @returns {Object} { geometry } or { error: string }
+ */
+export function mergeZones(zones) {
+  if (zones.length < 2) {
+    return { error: 'Select at least 2 zones to merge' };
+  }
+
+  const geometries = zones.map(zoneToTurfGeometry);
+  if (geometries.some((geometry) => !geometry)) {
+    return { error: 'Invalid zone geometry' };
+  }
+
+  if (!isConnected(geometries)) {
+    return { error: 'Zones must touch to be merged' };
+  }
+
+  try {
+    const union = turf.union(turf.featureCollection(geometries));
+    if (!union) {
+      return { error: 'Could not merge zones' };
+    }
+    return { geometry: turfToZoneGeometry(union.geometry) };
+  } catch (error) {
+    console.error('[ZoneOperations] Error merging zones:', error);
+    return { error: 'Could not merge zones' };
+  }
+}
+
+/**
+ * Cut zone into two zones along a line
+ * The line is extended past the zone on both ends, so it only has to cross the shape
+ * Both pieces are built from the same cut, so they share the border exactly
+ *
+ * @param {Object} zone - Zone to split
+ * @param {Array} line - Cutting line [lat, lng] points (2+)
+ * @returns {Object} { pieces: [geometry, geometry] } or { error: string }
+ */
+export function splitZone(zone, line) {
+  if (line.length < 2) {
+    return { error: 'Cutting line needs at least 2 points' };
+  }
+
+  const geometry = zoneToTurfGeometry(zone);
+  if (!geometry) {
+    return { error: 'Invalid zone geometry' };
+  }
+
+  const side = buildSidePolygon(zone, line);
+  if (!side) {
+    return { error: 'Invalid cutting line - it crosses itself' };
+  }
+
+  try {
+    const left = turf.intersect(turf.featureCollection([geometry, side]));
+    const right = turf.difference(turf.featureCollection([geometry, side]));
+
+    if (!left || !right || turf.area(left) < MIN_PIECE_AREA || turf.area(right) < MIN_PIECE_AREA) {
+      return { error: 'Cutting line must cross the zone' };
+    }
+
+    return {
+      pieces: [turfToZoneGeometry(left.geometry), turfToZoneGeometry(right.geometry)],
+    };
+  } catch (error) {
+    console.error('[ZoneOperations] Error splitting zone:', error);
+    return { error: 'Could not split zone' };
+  }
+}
+
+/**
+ * Cut other zones out of zone (overlap resolution)
+ * Result may gain holes (zone inside) or parts (zone cut in two)
+ *
+ * @param {Object} zone - Zone to trim
+ * @param {Array} zonesToSubtract - Zones whose area is removed
+ * @returns {Object} { geometry } (null geometry = nothing left) or { error: string }
+ */
+export function subtractZones(zone, zonesToSubtract) {
+  const geometry = zoneToTurfGeometry(zone);
+  const cutters = zonesToSubtract.map(zoneToTurfGeometry);
+
+  if (!geometry || cutters.some((cutter) => !cutter)) {
+    return { error: 'Invalid zone geometry' };
+  }
+
+  try {
+    const remainder = turf.difference(turf.featureCollection([geometry, ...cutters]));
+    if (!remainder || turf.area(remainder) < MIN_PIECE_AREA) {
+      return { geometry: null };
+    }
+    return { geometry: turfToZoneGeometry(remainder.geometry) };
+  } catch (error) {
+    console.error('[ZoneOperations] Error subtracting zones:', error);
+    return { error: 'Could not trim zone' };
+  }
+}
+
+/**
+ * Convert Turf Polygon/MultiPolygon geometry to zone geometry fields
+ * First polygon becomes the main ring, the rest become parts
+ * Rings are returned open (no closing point), as [lat, lng]
+ */
+export function turfToZoneGeometry(geometry) {
+  const polygons = geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+  const [primary, ...parts] = polygons.map(polygonToPart);
+
+  return {
+    coordinates: primary.coordinates,
+    holes: primary.holes,
+    parts: parts.length > 0 ? parts : undefined,
+  };
+}
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+/**
+ * Check that geometries form one connected group (touching counts)
+ */
+function isConnected(geometries) {
+  const visited = new Set([0]);
+  const queue = [0];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    geometries.forEach((geometry, index) => {
+      if (!visited.has(index) && turf.booleanIntersects(geometries[current], geometry)) {
+        visited.add(index);
+        queue.push(index);
+      }
+    });
+  }
+
+  return visited.size === geometries.length;
+}
+
+/**
+ * Polygon covering everything left of the (extended) cutting line
+ * Line ends are pushed well outside the zone, then closed on the left side
+ * @returns {Object|null} Turf Polygon or null if resulting ring crosses itself
+ */
+function buildSidePolygon(zone, line) {
+  const center = calculateZoneCenter(zone);
+  const points = getZonePolygons(zone).flatMap((part) => part.coordinates);
+  const reach =
+    2 * Math.max(...points.map((point) => distanceMeters([center.lat, center.lng], point))) +
+    (zone.radius || 0) * 2 +
+    100;
+
+  const start = line[0];
+  const end = line[line.length - 1];
+  const extendedStart = destinationPoint(start, reach, bearingBetween(line[1], start));
+  const extendedEnd = destinationPoint(end, reach, bearingBetween(line[line.length - 2], end));
+
+  // Close on the left of the overall cut direction
+  const leftBearing = bearingBetween(extendedStart, extendedEnd) - 90;
+  const ring = [
+    extendedStart,
+    ...line,
+    extendedEnd,
+    destinationPoint(extendedEnd, reach, leftBearing),
+    destinationPoint(extendedStart, reach, leftBearing),
+  ];
+
+  if (isSelfIntersecting(ring)) {
+    return null;
+  }
+
+  const turfRing = ring.map(([lat, lng]) => [lng, lat]);
+  return turf.polygon([[...turfRing, turfRing[0]]]);
+}
+
+/**
+ * Turf polygon rings → { coordinates, holes? }
+ */
+function polygonToPart(rings) {
+  const [outer, ...holes] = rings.map((ring) => ring.slice(0, -1).map(([lng, lat]) => [lat, lng]));
+  return holes.length > 0 ? { coordinates: outer, holes } : { coordinates: outer };
+}
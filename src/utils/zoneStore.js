@@ -0,0 +1,112 @@
+import { setItemAtomic, getItemVerified, quarantineItem, removeItemVerified } from './storage';
+import { parseStoredZones, serializeZones } from './zoneMigrations';
+import { calculateZoneBounds } from './zoneCalculations';
+import { createSqliteZoneStore } from './sqliteZoneStore';
+import { workspaceKey } from './workspaces';
+import { STORAGE_KEYS, DEFAULT_WORKSPACE_ID } from '../../shared/constants';
+
+/**
+ * Zone storage backends (one store per workspace)
+ *
+ * Every store has the same API:
+ * - load() → { status, value } - same result as getItemVerified, value = { version, zones }
+ * - applyChanges(changes, direction, zones) - persist zone changes (zoneHistory format);
+ *   zones = full array after the change (for backends that save everything at once)
+ * - replaceAll(zones) - overwrite all zones (migration, recovery), saved as current schema version
+ * - quarantine() - keep unreadable data aside before it is replaced
+ * - findByColor(color), findInBounds(bounds) → Promise<Array> - lookups without loading all zones
+ * - destroy() - delete all stored data of the workspace
+ *
+ * Writes are queued, so they reach storage in the order they were made
+ * Write methods return a promise that rejects if the write failed (later writes still run)
+ */
+
+/**
+ * Open best available store: SQLite (one row per zone), AsyncStorage as fallback
+ * (e.g. platforms where expo-sqlite can't open a database)
+ */
+export async function openZoneStore(workspaceId = DEFAULT_WORKSPACE_ID) {
+  const storageKey = workspaceKey(STORAGE_KEYS.ZONES, workspaceId);
+  try {
+    return await createSqliteZoneStore(workspaceId, storageKey);
+  } catch (error) {
+    console.warn('[ZoneStore] SQLite unavailable, using AsyncStorage:', error);
+    return createAsyncStorageZoneStore(storageKey);
+  }
+}
+
+/**
+ * AsyncStorage store: all zones in one checksummed value under storageKey
+ * Every change rewrites the whole value (consecutive queued saves are coalesced)
+ */
+export function createAsyncStorageZoneStore(storageKey) {
+  let current = [];
+  let queued = null; // Zones waiting to be saved (only the newest matters)
+  let pending = null; // Result of queued save (rejects if it fails)
+  let writing = Promise.resolve();
+
+  const save = (zones) => {
+    current = zones;
+    const alreadyQueued = queued !== null;
+    queued = zones;
+    if (alreadyQueued) return pending;
+
+    pending = writing.then(() => {
+      const zonesToSave = queued;
+      queued = null;
+      return setItemAtomic(storageKey, serializeZones(zonesToSave));
+    });
+    writing = pending.catch(() => {}); // Failed save doesn't block later ones
+    return pending;
+  };
+
+  return {
+    name: 'asyncstorage',
+
+    async load() {
+      const result = await getItemVerified(storageKey);
+      current = parseStoredZones(result.value).zones;
+      return result;
+    },
+
+    applyChanges(changes, direction, zones) {
+      return save(zones);
+    },
+
+    replaceAll(zones) {
+      return save(zones);
+    },
+
+    quarantine() {
+      return quarantineItem(storageKey);
+    },
+
+    async findByColor(color) {
+      return current.filter((zone) => zone.color === color);
+    },
+
+    async findInBounds(bounds) {
+      return current.filter((zone) => boundsIntersect(calculateZoneBounds(zone), bounds));
+    },
+
+    async destroy() {
+      await writing;
+      current = [];
+      await removeItemVerified(storageKey);
+    },
+  };
+}
+
+// ==========================================
+// HELPER FUNCTIONS
+// ==========================================
+
+function boundsIntersect(a, b) {
+  return (
+    a !== null &&
+    a.maxLat >= b.minLat &&
+    a.minLat <= b.maxLat &&
+    a.maxLng >= b.minLng &&
+    a.minLng <= b.maxLng
+  );
+}
@@ -0,0 +1,151 @@
+import {
+  distanceMeters,
+  bearingBetween,
+  destinationPoint,
+  rectangleCorners,
+  clampRadius,
+} from './geometry';
+import { calculateZoneCenter, getZonePolygons } from './zoneCalculations';
+
+/**
+ * Move / rotate / scale transforms for saved zones
+ * Transforms are applied to the original zone geometry (not accumulated),
+ * so dragging a handle back restores the exact original shape
+ */
+
+/**
+ * Pivot point for transforms (zone center as [lat, lng])
+ */
+export function getTransformPivot(zone) {
+  const center = calculateZoneCenter(zone);
+  return center ? [center.lat, center.lng] : null;
+}
+
+/**
+ * Largest distance from pivot to zone boundary (meters)
+ * Used to place rotate/scale handles just outside the shape
+ */
+export function getTransformRadius(zone) {
+  const pivot = getTransformPivot(zone);
+  if (!pivot) return 0;
+
+  if (zone.type === 'circle') {
+    return zone.radius;
+  }
+
+  const points = getZonePolygons(zone).flatMap((part) => part.coordinates);
+  return Math.max(...points.map((point) => distanceMeters(pivot, point)));
+}
+
+/**
+ * Apply transform to zone geometry
+ * Each point keeps its distance/bearing from the pivot, scaled and rotated,
+ * measured from the new center (geodesic, no flat-earth distortion)
+ *
+ * @param {Object} zone - Original zone
+ * @param {Object} transform - { center: [lat, lng], rotation: degrees, scale: factor }
+ * @returns {Object} Geometry fields { coordinates, radius?, rectangle?, corridor?, holes?, parts? }
+ */
+export function transformZone(zone, { center, rotation, scale }) {
+  const pivot = getTransformPivot(zone);
+
+  // Circle: move center, scale radius within CIRCLE_RADIUS limits (rotation has no effect)
+  if (zone.type === 'circle') {
+    return {
+      coordinates: [center],
+      radius: clampRadius(zone.radius * scale),
+    };
+  }
+
+  // Rectangle drawn as rectangle: transform its parameters, keep it editable
+  if (zone.rectangle) {
+    const rectangleCenter = transformPoint(zone.rectangle.center, pivot, {
+      center,
+      rotation,
+      scale,
+    });
+    const rectangle = {
+      center: rectangleCenter,
+      width: zone.rectangle.width * scale,
+      height: zone.rectangle.height * scale,
+      bearing: (zone.rectangle.bearing + rotation + 360) % 360,
+    };
+
+    return {
+      coordinates: rectangleCorners(rectangle),
+      rectangle,
+      ...transformHoles(zone, pivot, { center, rotation, scale }),
+      ...transformParts(zone, pivot, { center, rotation, scale }),
+    };
+  }
+
+  // Corridor: centerline and width follow the outline
+  if (zone.corridor) {
+    return {
+      coordinates: zone.coordinates.map((point) =>
+        transformPoint(point, pivot, { center, rotation, scale })
+      ),
+      corridor: {
+        centerline: zone.corridor.centerline.map((point) =>
+          transformPoint(point, pivot, { center, rotation, scale })
+        ),
+        width: zone.corridor.width * scale,
+      },
+      ...transformHoles(zone, pivot, { center, rotation, scale }),
+      ...transformParts(zone, pivot, { center, rotation, scale }),
+    };
+  }
+
+  return {
+    coordinates: zone.coordinates.map((point) =>
+      transformPoint(point, pivot, { center, rotation, scale })
+    ),
+    ...transformHoles(zone, pivot, { center, rotation, scale }),
+    ...transformParts(zone, pivot, { center, rotation, scale }),
+  };
+}
+
+/**
+ * Transform extra parts of multi-part zone (all parts move together)
+ * @returns {Object} { parts } or empty object if zone has none
+ */
+function transformParts(zone, pivot, transform) {
+  if (!zone.parts) return {};
+
+  return {
+    parts: zone.parts.map((part) => ({
+      ...part,
+      coordinates: part.coordinates.map((point) => transformPoint(point, pivot, transform)),
+      ...(part.holes && {
+        holes: part.holes.map((hole) =>
+          hole.map((point) => transformPoint(point, pivot, transform))
+        ),
+      }),
+    })),
+  };
+}
+
+/**
+ * Transform inner rings along with outer ring
+ * @returns {Object} { holes } or empty object if zone has none
+ */
+function transformHoles(zone, pivot, transform) {
+  if (!zone.holes) return {};
+
+  return {
+    holes: zone.holes.map((hole) => hole.map((point) => transformPoint(point, pivot, transform))),
+  };
+}
+
+/**
+ * Transform single [lat, lng] point around pivot
+ */
+function transformPoint(point, pivot, { center, rotation, scale }) {
+  const distance = distanceMeters(pivot, point);
+  if (distance === 0) {
+    return [...center];
+  }
+
+  const bearing = bearingBetween(pivot, point);
+  return destinationPoint(center, distance * scale, bearing + rotation);
+}
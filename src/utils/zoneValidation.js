@@ -1,29 +1,62 @@
 import * as turf from '@turf/turf';
+import { DEFAULT_OVERLAP_POLICY, canZonesOverlap } from './overlapPolicy';
+
+// Intersections smaller than this are treated as shared edges (m²)
+// Absorbs floating-point slivers from snapped vertices (floor for policy minOverlapArea)
+const ADJACENCY_AREA_TOLERANCE = 1;
 
 /**
  * Check if a new zone overlaps with any existing zones
  * Uses Turf.js library for geometric intersection detection
+ * Policy decides which layers / color pairs are exempt, whether zones that only share
+ * edges or vertices (adjacency) count, and how small an overlap is ignored
  *
- * @param {Object} newZone - New zone data with coordinates
+ * @param {Object} newZone - New zone data with coordinates (and color + layerId, for policy)
  * @param {Array} existingZones - Array of existing zones to check against
- * @returns {Object} { hasOverlap: boolean, overlappingZones: Array }
+ * @param {Object} policy - Overlap policy (see overlapPolicy.js), strict by default
+ * @param {Object} spatialIndex - Optional index of existing zones (see spatialIndex.js):
+ *   only zones with nearby bounds are checked and their geometries come from its cache
+ * @returns {Object} { hasOverlap: boolean, overlappingZones: Array, intersections: Array }
+ *   intersections: [{ zoneId, geometry, area }] - shared area with each overlapping zone
+ *   (GeoJSON Polygon/MultiPolygon in [lng, lat], null if zones only touch; area in m²)
  */
-export function checkZoneOverlap(newZone, existingZones) {
+export function checkZoneOverlap(
+  newZone,
+  existingZones,
+  policy = DEFAULT_OVERLAP_POLICY,
+  spatialIndex = null
+) {
   if (!newZone || !existingZones || existingZones.length === 0) {
-    return { hasOverlap: false, overlappingZones: [] };
+    return { hasOverlap: false, overlappingZones: [], intersections: [] };
   }
 
   const overlappingZones = [];
+  const intersections = [];
   const newGeometry = zoneToTurfGeometry(newZone);
 
   if (!newGeometry) {
     console.warn('Could not convert new zone to Turf geometry');
-    return { hasOverlap: false, overlappingZones: [] };
+    return { hasOverlap: false, overlappingZones: [], intersections: [] };
+  }
+
+  const minArea = Math.max(ADJACENCY_AREA_TOLERANCE, policy.minOverlapArea);
+
+  // Zones with bounds away from the new zone can't overlap it (unindexed zones are always checked)
+  let candidates = existingZones;
+  if (spatialIndex) {
+    const nearbyIds = new Set(spatialIndex.searchGeometry(newGeometry).map((zone) => zone.id));
+    candidates = existingZones.filter((zone) => nearbyIds.has(zone.id) || !spatialIndex.has(zone));
   }
 
-  // Check new zone against each existing zone
-  for (const existingZone of existingZones) {
-    const existingGeometry = zoneToTurfGeometry(existingZone);
+  // Check new zone against each candidate zone
+  for (const existingZone of candidates) {
+    if (canZonesOverlap(policy, newZone, existingZone)) {
+      continue;
+    }
+
+    const existingGeometry = spatialIndex
+      ? spatialIndex.getGeometry(existingZone)
+      : zoneToTurfGeometry(existingZone);
 
     if (!existingGeometry) {
       console.warn('Could not convert existing zone to Turf geometry:', existingZone.id);
@@ -35,8 +68,22 @@ export function checkZoneOverlap(newZone, existingZones) {
       const overlaps = turf.booleanOverlap(newGeometry, existingGeometry);
       const intersects = turf.booleanIntersects(newGeometry, existingGeometry);
 
-      if (overlaps || intersects) {
+      if (!overlaps && !intersects) {
+        continue;
+      }
+
+      // Area-based instead of booleanTouches, which misreports some overlapping polygons
+      const intersection = turf.intersect(turf.featureCollection([newGeometry, existingGeometry]));
+      const area = intersection ? turf.area(intersection) : 0;
+      const touchesOnly = area <= ADJACENCY_AREA_TOLERANCE;
+
+      if (area > minArea || (touchesOnly && policy.touchingCounts)) {
         overlappingZones.push(existingZone);
+        intersections.push({
+          zoneId: existingZone.id,
+          geometry: touchesOnly ? null : intersection.geometry,
+          area,
+        });
       }
     } catch (error) {
       console.error('Error checking intersection:', error);
@@ -46,119 +93,109 @@ export function checkZoneOverlap(newZone, existingZones) {
   return {
     hasOverlap: overlappingZones.length > 0,
     overlappingZones,
+    intersections,
   };
 }
 
+/**
+ * Validate holes of a polygon zone
+ * Every hole must lie inside the outer ring and holes must not overlap each other
+ *
+ * @param {Array} coordinates - Outer ring [lat, lng] points
+ * @param {Array} holes - Inner rings
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateHoles(coordinates, holes) {
+  if (!holes || holes.length === 0) {
+    return null;
+  }
+
+  try {
+    const outer = turf.polygon([toClosedTurfRing(coordinates)]);
+    const holePolygons = holes.map((hole) => turf.polygon([toClosedTurfRing(hole)]));
+
+    for (let i = 0; i < holePolygons.length; i++) {
+      if (!turf.booleanWithin(holePolygons[i], outer)) {
+        return 'Hole must lie inside the zone';
+      }
+
+      for (let j = i + 1; j < holePolygons.length; j++) {
+        if (turf.booleanIntersects(holePolygons[i], holePolygons[j])) {
+          return 'Holes cannot overlap each other';
+        }
+      }
+    }
+  } catch (error) {
+    console.error('[Validation] Error validating holes:', error);
+    return 'Invalid hole geometry';
+  }
+
+  return null;
+}
+
+/**
+ * Validate parts of a multi-part zone
+ * Parts must be disjoint (shared edges allowed, same rule as between zones)
+ *
+ * @param {Object} zone - Polygon zone with coordinates/holes and optional parts
+ * @returns {string|null} Error message or null if valid
+ */
+export function validateParts(zone) {
+  if (!zone.parts || zone.parts.length === 0) {
+    return null;
+  }
+
+  const partZones = [
+    { type: 'polygon', coordinates: zone.coordinates, holes: zone.holes },
+    ...zone.parts.map((part) => ({ type: 'polygon', ...part })),
+  ];
+
+  for (let i = 0; i < partZones.length; i++) {
+    const { hasOverlap } = checkZoneOverlap(partZones[i], partZones.slice(i + 1));
+    if (hasOverlap) {
+      return 'Zone parts cannot overlap each other';
+    }
+  }
+
+  return null;
+}
+
 /**
  * Convert zone data to Turf.js geometry format
  * Turf uses [lng, lat] format (GeoJSON standard) vs [lat, lng]
+ * Expects canonical zone format (older stored data is migrated on load, see zoneMigrations.js)
  *
  * @param {Object} zone - Zone with type and coordinates
- * @returns {Object|null} Turf Feature or null if conversion fails
+ * @returns {Object|null} Turf Feature (Polygon/MultiPolygon) or null if conversion fails
  */
-function zoneToTurfGeometry(zone) {
+export function zoneToTurfGeometry(zone) {
   try {
     // Circle: Convert to polygon with 64 points approximation
     if (zone.type === 'circle') {
-      const center = zone.coordinates[0];
-
-      let lat, lng;
-      if (Array.isArray(center)) {
-        lat = center[0];
-        lng = center[1];
-      } else if (center.lat !== undefined && center.lng !== undefined) {
-        lat = center.lat;
-        lng = center.lng;
-      } else {
-        console.error('[Validation] Invalid circle center format:', center);
-        return null;
-      }
-
+      const [lat, lng] = zone.coordinates[0];
       const radius = zone.radius / 1000; // Convert meters to kilometers
-      const turfCenter = [lng, lat]; // Turf expects [lng, lat]
 
-      return turf.circle(turfCenter, radius, {
+      return turf.circle([lng, lat], radius, {
         steps: 64,
         units: 'kilometers',
       });
     }
 
-    // Polygon: Convert coordinates to GeoJSON format
+    // Polygon: Convert coordinates to GeoJSON format (outer ring + holes)
     if (zone.type === 'polygon') {
-      let coords = zone.coordinates;
-
-      // Unwrap nested arrays to flat array of points
-      while (Array.isArray(coords[0]) && Array.isArray(coords[0][0]) && coords.length === 1) {
-        coords = coords[0];
-      }
-
-      // Convert [lat, lng] to [lng, lat] for Turf
-      const turfCoords = coords
-        .map((point) => {
-          if (Array.isArray(point)) {
-            return [point[1], point[0]]; // [lat, lng] → [lng, lat]
-          }
-          if (point.lat !== undefined && point.lng !== undefined) {
-            return [point.lng, point.lat];
-          }
-          console.error('[Validation] Invalid polygon point:', point);
-          return null;
-        })
-        .filter((p) => p !== null);
-
-      // Ensure polygon is closed (first point === last point)
-      const first = turfCoords[0];
-      const last = turfCoords[turfCoords.length - 1];
-
-      if (first[0] !== last[0] || first[1] !== last[1]) {
-        turfCoords.push([...first]);
+      const holes = (zone.holes || []).map(toClosedTurfRing);
+      const primary = [toClosedTurfRing(zone.coordinates), ...holes];
+
+      // Multi-part zone: all parts in one MultiPolygon
+      if (zone.parts && zone.parts.length > 0) {
+        const parts = zone.parts.map((part) => [
+          toClosedTurfRing(part.coordinates),
+          ...(part.holes || []).map(toClosedTurfRing),
+        ]);
+        return turf.multiPolygon([primary, ...parts]);
       }
 
-      return turf.polygon([turfCoords]);
-    }
-
-    // Rectangle: Convert to closed polygon
-    if (zone.type === 'rectangle') {
-      let coords = zone.coordinates;
-
-      // Unwrap nested arrays
-      while (Array.isArray(coords[0]) && Array.isArray(coords[0][0]) && coords.length === 1) {
-        coords = coords[0];
-      }
-
-      // Convert coordinate objects to arrays if needed
-      const points = coords
-        .map((point) => {
-          if (Array.isArray(point)) {
-            return point;
-          }
-          if (point && typeof point === 'object' && 'lat' in point && 'lng' in point) {
-            return [point.lat, point.lng];
-          }
-          console.error('[Validation] Invalid rectangle point:', point);
-          return null;
-        })
-        .filter((p) => p !== null);
-
-      // Extract min/max bounds from 4 corner points
-      const lats = points.map((p) => p[0]);
-      const lngs = points.map((p) => p[1]);
-
-      const minLat = Math.min(...lats);
-      const maxLat = Math.max(...lats);
-      const minLng = Math.min(...lngs);
-      const maxLng = Math.max(...lngs);
-
-      // Create closed rectangle in [lng, lat] format
-      const rectangleCoords = [
-        [minLng, minLat],
-        [maxLng, minLat],
-        [maxLng, maxLat],
-        [minLng, maxLat],
-        [minLng, minLat],
-      ];
-
-      return turf.polygon([rectangleCoords]);
+      return turf.polygon(primary);
     }
 
     return null;
@@ -167,3 +204,21 @@ function zoneToTurfGeometry(zone) {
     return null;
   }
 }
+
+/**
+ * Convert ring of [lat, lng] points to closed Turf ring
+ * Turf uses [lng, lat] and requires first point === last point
+ */
+function toClosedTurfRing(points) {
+  const turfCoords = points.map(([lat, lng]) => [lng, lat]);
+
+  // Ensure ring is closed (first point === last point)
+  const first = turfCoords[0];
+  const last = turfCoords[turfCoords.length - 1];
+
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    turfCoords.push([...first]);
+  }
+
+  return turfCoords;
+}